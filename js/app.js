@@ -1,551 +1,1548 @@
-// Mobile Tools - Main App Controller
-// Integrates all modules and handles app lifecycle
-
-import * as Scraper from './scraper.js';
-import * as Storage from './storage.js';
-import * as UI from './ui.js';
-import * as Notifications from './notifications.js';
-import * as Preview from './preview.js';
-import { PullToRefresh, SwipeDetector } from './gestures.js';
-import { Haptics } from './haptics.js';
-import { batteryManager } from './battery.js';
-
-// ============================================================================
-// Global State
-// ============================================================================
-
-const state = {
-    isRunning: false,
-    shouldStop: false,
-    scrapedData: [],
-    newScrapedData: [],
-    detectedDuplicates: [],
-    existingData: [],
-    currentPage: 0,
-    cardsScraped: 0,
-    duplicatesSkipped: 0,
-    currentViewMode: 'full', // 'full' or 'new'
-    settings: null
-};
-
-// ============================================================================
-// App Initialization
-// ============================================================================
-
-async function initApp() {
-    console.log('📱 Mobile Scraper App Initializing...');
-
-    // Inject theme-color meta tag (avoids HTML lint warnings)
-    const themeMeta = document.createElement('meta');
-    themeMeta.name = 'theme-color';
-    themeMeta.content = '#6366f1';
-    document.head.appendChild(themeMeta);
-
-    try {
-        // Initialize theme
-        UI.initTheme();
-
-        // Initialize storage
-        await Storage.initDB();
-
-        // Load settings
-        state.settings = Storage.loadSettings();
-
-        // Load existing data from IndexedDB
-        state.existingData = await Storage.loadMovies();
-        state.scrapedData = [...state.existingData];
-
-        // Setup UI components
-        UI.setupCollapsibles();
-        UI.setupBottomNav();
-        UI.setupModeTabs();
-        UI.setupPWAInstall();
-
-        // Initialize Settings UI with loaded settings
-        initializeSettingsUI();
-
-        // Setup notification handlers
-        Notifications.setupNotificationHandlers();
-
-        // Setup event listeners
-        setupEventListeners();
-
-        // Setup touch gestures
-        setupGestures();
-
-        // Setup battery monitoring
-        setupBatteryMonitoring();
-
-        // Register service worker
-        registerServiceWorker();
-
-        // Update JSON viewer with existing data
-        UI.updateJsonViewer(state.scrapedData);
-
-        // Update status
-        UI.updateStatus('Ready', 0, state.scrapedData.length, 0);
-
-        console.log('✅ App initialized successfully');
-        UI.showToast('App ready!', 'success');
-
-        // Check for PWA installation
-        if (window.matchMedia('(display-mode: standalone)').matches) {
-            console.log('✅ Running as installed PWA');
-        }
-
-    } catch (error) {
-        console.error('❌ App initialization failed:', error);
-        UI.showToast('Failed to initialize app', 'error');
-    }
-}
-
-// ============================================================================
-// Service Worker Registration
-// ============================================================================
-
-async function registerServiceWorker() {
-    if ('serviceWorker' in navigator) {
-        try {
-            const registration = await navigator.serviceWorker.register('/service-worker.js');
-            console.log('✅ Service Worker registered:', registration.scope);
-
-            // Check for updates
-            registration.addEventListener('updatefound', () => {
-                console.log('🔄 Service Worker update found');
-                UI.showToast('App update available', 'info');
-            });
-
-        } catch (error) {
-            console.error('❌ Service Worker registration failed:', error);
-        }
-    }
-}
-
-// ============================================================================
-// Event Listeners
-// ============================================================================
-
-function setupEventListeners() {
-    // FAB button
-    const fab = document.getElementById('fab');
-    if (fab) {
-        fab.addEventListener('click', handleFABClick);
-    }
-
-    // Theme toggle
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        themeToggle.addEventListener('click', () => {
-            const newTheme = UI.toggleTheme();
-            state.settings.theme = newTheme;
-            Storage.saveSettings(state.settings);
-        });
-    }
-
-    // Export buttons
-    const viewFullBtn = document.getElementById('viewFullBtn');
-    const viewNewBtn = document.getElementById('viewNewBtn');
-    const copyFullBtn = document.getElementById('copyFullBtn');
-    const saveBtn = document.getElementById('saveBtn');
-    const shareBtn = document.getElementById('shareBtn');
-
-    if (viewFullBtn) {
-        viewFullBtn.addEventListener('click', () => {
-            state.currentViewMode = 'full';
-            UI.updateJsonViewer(state.scrapedData);
-            UI.showToast('Viewing full JSON', 'info');
-        });
-    }
-
-    if (viewNewBtn) {
-        viewNewBtn.addEventListener('click', () => {
-            state.currentViewMode = 'new';
-            UI.updateJsonViewer(state.newScrapedData);
-            UI.showToast('Viewing new items only', 'info');
-        });
-    }
-
-    if (copyFullBtn) {
-        copyFullBtn.addEventListener('click', async () => {
-            const data = state.currentViewMode === 'new' ? state.newScrapedData : state.scrapedData;
-            const jsonString = JSON.stringify(data, null, 2);
-            const success = await Storage.copyToClipboard(jsonString);
-            UI.showToast(success ? 'Copied to clipboard!' : 'Failed to copy', success ? 'success' : 'error');
-        });
-    }
-
-    if (saveBtn) {
-        saveBtn.addEventListener('click', () => {
-            const data = state.currentViewMode === 'new' ? state.newScrapedData : state.scrapedData;
-            const filename = `scraped-movies-${Date.now()}.json`;
-            const success = Storage.exportJSON(data, filename);
-            UI.showToast(success ? 'JSON saved!' : 'Failed to save', success ? 'success' : 'error');
-        });
-    }
-
-    if (shareBtn) {
-        shareBtn.addEventListener('click', async () => {
-            const data = state.currentViewMode === 'new' ? state.newScrapedData : state.scrapedData;
-            const success = await Storage.shareJSON(data);
-            if (!success) {
-                UI.showToast('Share not supported on this device', 'warning');
-            }
-        });
-    }
-
-    // Settings
-    const saveSettingsBtn = document.getElementById('saveSettingsBtn');
-    if (saveSettingsBtn) {
-        saveSettingsBtn.addEventListener('click', () => {
-            const proxyUrl = document.getElementById('proxyUrl')?.value.trim();
-            const vibration = document.getElementById('vibrationSetting')?.value;
-
-            if (proxyUrl) {
-                state.settings.proxyUrl = proxyUrl;
-                state.settings.notificationsEnabled = (vibration === 'enabled');
-
-                Storage.saveSettings(state.settings);
-                UI.showToast('Settings saved successfully!', 'success');
-                Haptics.success();
-            } else {
-                UI.showToast('Proxy URL is required', 'error');
-            }
-        });
-    }
-}
-
-/**
- * Initialize settings values in the UI
- */
-function initializeSettingsUI() {
-    if (!state.settings) return;
-
-    const proxyInput = document.getElementById('proxyUrl');
-    const vibrationSelect = document.getElementById('vibrationSetting');
-
-    if (proxyInput) proxyInput.value = state.settings.proxyUrl || '';
-    if (vibrationSelect) {
-        vibrationSelect.value = state.settings.notificationsEnabled ? 'enabled' : 'disabled';
-    }
-
-    // Update environment label
-    const envLabel = document.getElementById('envLabel');
-    if (envLabel) {
-        const isMobile = /Android|iPhone|iPad/i.test(navigator.userAgent);
-        envLabel.textContent = isMobile ? 'Mobile Browser' : 'Desktop Browser';
-    }
-}
-
-// ============================================================================
-// Touch Gestures Setup
-// ============================================================================
-
-function setupGestures() {
-    // Pull-to-refresh on main content
-    const mainContent = document.getElementById('mainContent');
-    if (mainContent) {
-        new PullToRefresh(mainContent, async () => {
-            Haptics.medium();
-            UI.showToast('Refreshing data...', 'info');
-
-            try {
-                // Reload movies from IndexedDB
-                state.existingData = await Storage.loadMovies();
-                state.scrapedData = [...state.existingData];
-                UI.updateJsonViewer(state.scrapedData);
-                UI.updateStatus('Ready', 0, state.scrapedData.length, 0);
-
-                Haptics.success();
-                UI.showToast('Data refreshed!', 'success');
-            } catch (error) {
-                Haptics.error();
-                UI.showToast('Refresh failed', 'error');
-            }
-        });
-    }
-
-    // Swipe navigation on bottom nav
-    const bottomNav = document.querySelector('.bottom-nav');
-    if (bottomNav) {
-        const navItems = Array.from(document.querySelectorAll('.nav-item'));
-        let currentIndex = 0;
-
-        new SwipeDetector(bottomNav, {
-            left: () => {
-                // Next tab
-                currentIndex = (currentIndex + 1) % navItems.length;
-                navItems[currentIndex].click();
-                Haptics.selection();
-            },
-            right: () => {
-                // Previous tab
-                currentIndex = (currentIndex - 1 + navItems.length) % navItems.length;
-                navItems[currentIndex].click();
-                Haptics.selection();
-            }
-        });
-    }
-
-    console.log('👆 Touch gestures enabled');
-}
-
-// ============================================================================
-// Battery Monitoring Setup
-// ============================================================================
-
-function setupBatteryMonitoring() {
-    // Listen for battery status changes
-    batteryManager.addListener((isLowPower, level, charging) => {
-        if (isLowPower) {
-            UI.showToast(`⚠️ Low battery (${(level * 100).toFixed(0)}%) - Reducing activity`, 'warning');
-
-            // Reduce notifications
-            if (state.isRunning) {
-                console.log('🔋 Low power mode: Reducing scraping speed');
-            }
-        } else if (charging) {
-            console.log('⚡ Device charging - Full performance');
-        }
-    });
-
-    // Display battery info
-    const batteryInfo = batteryManager.getInfo();
-    if (batteryInfo.supported) {
-        console.log(`🔋 Battery: ${batteryInfo.percentage.toFixed(0)}% ${batteryInfo.charging ? '⚡' : ''}`);
-    }
-}
-
-// ============================================================================
-// Scraping Control
-// ============================================================================
-
-async function handleFABClick() {
-    if (state.isRunning) {
-        stopScraping();
-    } else {
-        startScraping();
-    }
-}
-
-async function startScraping() {
-    try {
-        // Get active mode
-        const activeTab = document.querySelector('.mode-tab.active');
-        const mode = activeTab?.getAttribute('data-mode') || 'page-range';
-
-        // Get inputs
-        const websiteUrl = document.getElementById('websiteUrl')?.value.trim();
-        const startPage = parseInt(document.getElementById('startPage')?.value) || 1;
-        const endPage = parseInt(document.getElementById('endPage')?.value) || 1;
-        const direction = document.getElementById('scrapingDirection')?.value || 'start-to-end';
-        const customLinks = document.getElementById('customLinksTextarea')?.value.trim();
-        const jsonUrl = document.getElementById('jsonUrl')?.value.trim();
-
-        // Validate
-        if (mode === 'page-range' && !websiteUrl) {
-            UI.showToast('Please enter a website URL', 'error');
-            return;
-        }
-
-        if (mode === 'custom-links' && !customLinks) {
-            UI.showToast('Please enter at least one link', 'error');
-            return;
-        }
-
-        // Reset state
-        state.isRunning = true;
-        state.shouldStop = false;
-        state.newScrapedData = [];
-        state.detectedDuplicates = [];
-        state.currentPage = 0;
-        state.cardsScraped = 0;
-        state.duplicatesSkipped = 0;
-
-        // Update UI
-        UI.updateFAB(true);
-        UI.updateStatus('Starting...', 0, 0, 0);
-        UI.startRunningTimer();
-        UI.showToast('Scraping started!', 'info');
-
-        // Request notification permission
-        try {
-            await Notifications.requestPermission();
-            Notifications.notifyScrapingStarted(mode);
-        } catch (error) {
-            console.warn('Notifications not available:', error);
-        }
-
-        // Load existing JSON if provided
-        if (jsonUrl) {
-            try {
-                UI.showToast('Loading existing JSON...', 'info');
-                const existingJson = await Storage.importJSON(jsonUrl);
-                state.existingData = existingJson;
-                state.scrapedData = [...existingJson];
-                UI.showToast(`Loaded ${existingJson.length} existing movies`, 'success');
-            } catch (error) {
-                UI.showToast(`Failed to load JSON: ${error.message}`, 'error');
-            }
-        }
-
-        // Start scraping based on mode
-        if (mode === 'page-range') {
-            await scrapePageRange(websiteUrl, startPage, endPage, direction);
-        } else {
-            await scrapeCustomLinks(customLinks);
-        }
-
-    } catch (error) {
-        console.error('Scraping error:', error);
-        UI.showToast(`Error: ${error.message}`, 'error');
-        Notifications.notifyError(error.message);
-        stopScraping();
-    }
-}
-
-async function scrapePageRange(baseUrl, startPage, endPage, direction) {
-    const pages = [];
-
-    if (direction === 'start-to-end') {
-        for (let i = startPage; i <= endPage; i++) {
-            pages.push(i);
-        }
-    } else {
-        for (let i = endPage; i >= startPage; i--) {
-            pages.push(i);
-        }
-    }
-
-    for (const pageNum of pages) {
-        if (state.shouldStop) break;
-
-        state.currentPage = pageNum;
-        const pageUrl = `${baseUrl}?page=${pageNum}`;
-
-        await Scraper.scrapePage(pageUrl, pageNum, {
-            proxyUrl: state.settings.proxyUrl,
-            onProgress: handleProgress,
-            onMovieScraped: handleMovieScraped,
-            shouldStop: () => state.shouldStop,
-            existingData: state.existingData,
-            scrapedData: state.scrapedData,
-            newScrapedData: state.newScrapedData
-        });
-
-        UI.updateProgress(pages.indexOf(pageNum) + 1, pages.length);
-    }
-
-    finishScraping();
-}
-
-async function scrapeCustomLinks(linksText) {
-    const links = linksText.split('\n').filter(l => l.trim());
-
-    for (let i = 0; i < links.length; i++) {
-        if (state.shouldStop) break;
-
-        const link = links[i].trim();
-        // Implement custom link scraping
-        // This would call scrapeMovieDetails directly
-
-        UI.updateProgress(i + 1, links.length);
-    }
-
-    finishScraping();
-}
-
-function stopScraping() {
-    state.shouldStop = true;
-    state.isRunning = false;
-
-    UI.updateFAB(false);
-    UI.stopRunningTimer();
-    UI.updateStatus('Stopped', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
-    UI.showToast('Scraping stopped', 'warning');
-}
-
-async function finishScraping() {
-    state.isRunning = false;
-
-    UI.updateFAB(false);
-    UI.stopRunningTimer();
-    UI.updateStatus('Completed', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
-    UI.showToast(`Scraping completed! ${state.cardsScraped} movies scraped`, 'success');
-
-    // Save to IndexedDB
-    if (state.settings.autoSave && state.newScrapedData.length > 0) {
-        try {
-            await Storage.saveMovies(state.newScrapedData);
-            UI.showToast('Data saved to device', 'success');
-        } catch (error) {
-            UI.showToast('Failed to save data', 'error');
-        }
-    }
-
-    // Show completion notification
-    Notifications.notifyScrapingCompleted(state.cardsScraped, state.duplicatesSkipped);
-}
-
-function handleProgress(event) {
-    const { type, message } = event;
-    UI.showToast(message, type, 2000);
-}
-
-function handleMovieScraped(event) {
-    const { movie, isDuplicate, isUpdated, existingMovie } = event;
-
-    if (isDuplicate) {
-        state.duplicatesSkipped++;
-        state.detectedDuplicates.push({
-            title: existingMovie.title,
-            isUpdated: isUpdated,
-            status: existingMovie.info6_status
-        });
-    } else if (movie) {
-        state.newScrapedData.push(movie);
-        state.scrapedData.push(movie);
-        state.cardsScraped++;
-
-        // Render preview card for new movie
-        Preview.renderPreview(movie);
-    }
-
-    UI.updateStatus('Scraping...', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
-    UI.updateJsonViewer(state.currentViewMode === 'new' ? state.newScrapedData : state.scrapedData);
-}
-
-// ============================================================================
-// App Lifecycle
-// ============================================================================
-
-// Initialize app when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initApp);
-} else {
-    initApp();
-}
-
-// Handle visibility change (pause/resume)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        console.log('📴 App hidden');
-    } else {
-        console.log('📱 App visible');
-    }
-});
-
-// Export for debugging and global access
-window.MobileScraperApp = {
-    state,
-    Scraper,
-    Storage,
-    UI,
-    Notifications,
-    Preview,
-    // Expose preview functions for onclick handlers
-    handleDownload: Preview.handleDownload,
-    downloadQuality: Preview.downloadQuality,
-    showDetails: Preview.showDetails
-};
-
-console.log('📱 Mobile Scraper App Loaded');
+// Mobile Tools - Main App Controller
+// Integrates all modules and handles app lifecycle
+
+import * as Scraper from './scraper.js';
+import * as Storage from './storage.js';
+import * as UI from './ui.js';
+import * as Notifications from './notifications.js';
+import * as Preview from './preview.js';
+import * as Profiles from './profiles.js';
+import * as Pagination from './pagination.js';
+import * as Engine from './engine.js';
+import * as Duplicates from './duplicates.js';
+import * as Merge from './merge.js';
+import * as History from './history.js';
+import * as LinkHealth from './link-health.js';
+import * as Drift from './drift.js';
+import * as Playground from './playground.js';
+import * as Politeness from './politeness.js';
+import * as Sitemap from './sitemap.js';
+import * as Schedules from './schedules.js';
+import { PullToRefresh, SwipeDetector } from './gestures.js';
+import { Haptics } from './haptics.js';
+import { batteryManager } from './battery.js';
+
+// ============================================================================
+// Global State
+// ============================================================================
+
+const state = {
+    isRunning: false,
+    shouldStop: false,
+    scrapedData: [],
+    newScrapedData: [],
+    updatedMovies: new Map(), // stored records changed by this run, by id
+    history: new Map(),       // history entries of this run, by entry key
+    dirtyHistory: new Set(),  // keys of entries not yet saved
+    detectedDuplicates: [],
+    existingData: [],
+    currentPage: 0,
+    cardsScraped: 0,
+    duplicatesSkipped: 0,
+    currentViewMode: 'full', // 'full' or 'new'
+    linkFilter: 'all',       // results filter by download link health
+    linkCheck: null,         // running link check ({ shouldStop })
+    extractionReports: [],   // field rates and drift alerts of the last run, per host
+    runLog: [],              // log entries of the last run (robots.txt, overrides)
+    scheduledJobs: [],       // saved jobs with a schedule
+    scheduledRunActive: false,
+    settings: null,
+    engine: null,         // scrape engine of the running job
+    engineFinished: null, // resolves once that engine's run is finished and saved
+    finishingRun: false,  // a new run waits for a stopped one to finish
+    jsonViewerTimer: null,
+    job: null,            // parameters of the running job (checkpointed)
+    cursor: {},           // position within the job (page, page URL or link index)
+    processedUrls: new Set()
+};
+
+// Scraping mode tabs, as shown in the resume card
+const MODE_LABELS = {
+    'page-range': '📄 Page Range',
+    'custom-links': '🔗 Custom Links',
+    'sitemap': '🗺️ Sitemap',
+    'search': '🔍 Search'
+};
+
+// Minimum time between JSON viewer refreshes while scraping (ms)
+const JSON_VIEWER_INTERVAL = 1000;
+
+// How often an open app checks for due scheduled jobs (ms)
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+// Service worker that imports the scrape engine to run scheduled jobs while the app is closed
+const MODULE_SERVICE_WORKER = '/service-worker-module.js';
+
+// ============================================================================
+// App Initialization
+// ============================================================================
+
+async function initApp() {
+    console.log('📱 Mobile Scraper App Initializing...');
+
+    // Inject theme-color meta tag (avoids HTML lint warnings)
+    const themeMeta = document.createElement('meta');
+    themeMeta.name = 'theme-color';
+    themeMeta.content = '#6366f1';
+    document.head.appendChild(themeMeta);
+
+    try {
+        // Initialize theme
+        UI.initTheme();
+
+        // Initialize storage
+        await Storage.initDB();
+
+        // Load settings (copied to IndexedDB for scheduled jobs run by the service worker)
+        state.settings = Storage.loadSettings();
+        applySiteProfiles(state.settings.siteProfiles);
+        Storage.saveSettingsSnapshot(state.settings).catch(error => console.error('❌ Failed to copy settings:', error));
+
+        // Load existing data from IndexedDB
+        state.existingData = await Storage.loadMovies();
+        state.scrapedData = [...state.existingData];
+
+        // Setup UI components
+        UI.setupCollapsibles();
+        UI.setupBottomNav();
+        UI.setupModeTabs();
+        UI.setupPWAInstall();
+
+        // Initialize Settings UI with loaded settings
+        initializeSettingsUI();
+
+        // Setup notification handlers
+        Notifications.setupNotificationHandlers();
+
+        // Setup event listeners
+        setupEventListeners();
+
+        // Setup touch gestures
+        setupGestures();
+
+        // Setup battery monitoring
+        setupBatteryMonitoring();
+
+        // Register service worker
+        registerServiceWorker();
+
+        // Update JSON viewer with existing data
+        UI.updateJsonViewer(state.scrapedData);
+
+        // Update status
+        UI.updateStatus('Ready', 0, state.scrapedData.length, 0);
+
+        // Offer to resume a session that was interrupted
+        await checkForInterruptedSession();
+
+        // Run scheduled jobs that missed their slot while the app was closed
+        await loadScheduledJobs();
+        runDueJobs();
+        setInterval(runDueJobs, SCHEDULE_CHECK_INTERVAL);
+
+        console.log('✅ App initialized successfully');
+        UI.showToast('App ready!', 'success');
+
+        // Check for PWA installation
+        if (window.matchMedia('(display-mode: standalone)').matches) {
+            console.log('✅ Running as installed PWA');
+        }
+
+    } catch (error) {
+        console.error('❌ App initialization failed:', error);
+        UI.showToast('Failed to initialize app', 'error');
+    }
+}
+
+// ============================================================================
+// Service Worker Registration
+// ============================================================================
+
+/**
+ * Register the module service worker, or the classic one (offline caching
+ * only) where browsers do not support module service workers
+ */
+async function registerWorkerScript() {
+    try {
+        return await navigator.serviceWorker.register(MODULE_SERVICE_WORKER, { type: 'module' });
+    } catch (error) {
+        console.warn('⚠️ Module service worker unavailable, scheduled jobs run while the app is open:', error.message);
+        return navigator.serviceWorker.register('/service-worker.js');
+    }
+}
+
+async function registerServiceWorker() {
+    if ('serviceWorker' in navigator) {
+        try {
+            const registration = await registerWorkerScript();
+            console.log('✅ Service Worker registered:', registration.scope);
+
+            // Scheduled jobs run by the service worker while this page is open
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'SCHEDULED_JOBS_RAN') reloadAfterScheduledRuns();
+            });
+
+            // Check for updates
+            registration.addEventListener('updatefound', () => {
+                console.log('🔄 Service Worker update found');
+                UI.showToast('App update available', 'info');
+            });
+
+        } catch (error) {
+            console.error('❌ Service Worker registration failed:', error);
+        }
+    }
+}
+
+// ============================================================================
+// Event Listeners
+// ============================================================================
+
+function setupEventListeners() {
+    // FAB button
+    const fab = document.getElementById('fab');
+    if (fab) {
+        fab.addEventListener('click', handleFABClick);
+    }
+
+    // Theme toggle
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+        themeToggle.addEventListener('click', () => {
+            const newTheme = UI.toggleTheme();
+            state.settings.theme = newTheme;
+            Storage.saveSettings(state.settings);
+        });
+    }
+
+    // Resume / discard interrupted session
+    document.getElementById('resumeBtn')?.addEventListener('click', resumeSession);
+    document.getElementById('discardSessionBtn')?.addEventListener('click', discardSession);
+
+    // Export buttons
+    const viewFullBtn = document.getElementById('viewFullBtn');
+    const viewNewBtn = document.getElementById('viewNewBtn');
+    const copyFullBtn = document.getElementById('copyFullBtn');
+    const saveBtn = document.getElementById('saveBtn');
+    const shareBtn = document.getElementById('shareBtn');
+
+    if (viewFullBtn) {
+        viewFullBtn.addEventListener('click', () => {
+            state.currentViewMode = 'full';
+            UI.updateJsonViewer(getResultsData());
+            UI.showToast('Viewing full JSON', 'info');
+        });
+    }
+
+    if (viewNewBtn) {
+        viewNewBtn.addEventListener('click', () => {
+            state.currentViewMode = 'new';
+            UI.updateJsonViewer(getResultsData());
+            UI.showToast('Viewing new items only', 'info');
+        });
+    }
+
+    if (copyFullBtn) {
+        copyFullBtn.addEventListener('click', async () => {
+            const data = getExportData();
+            const jsonString = JSON.stringify(data, null, 2);
+            const success = await Storage.copyToClipboard(jsonString);
+            UI.showToast(success ? 'Copied to clipboard!' : 'Failed to copy', success ? 'success' : 'error');
+        });
+    }
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const data = getExportData();
+            const filename = `scraped-movies-${Date.now()}.json`;
+            const success = Storage.exportJSON(data, filename);
+            UI.showToast(success ? 'JSON saved!' : 'Failed to save', success ? 'success' : 'error');
+        });
+    }
+
+    if (shareBtn) {
+        shareBtn.addEventListener('click', async () => {
+            const data = getExportData();
+            const success = await Storage.shareJSON(data);
+            if (!success) {
+                UI.showToast('Share not supported on this device', 'warning');
+            }
+        });
+    }
+
+    // Link health
+    const linkFilter = document.getElementById('linkFilter');
+    const checkLinksBtn = document.getElementById('checkLinksBtn');
+
+    if (linkFilter) {
+        linkFilter.addEventListener('change', () => {
+            state.linkFilter = linkFilter.value;
+            UI.updateJsonViewer(getResultsData());
+        });
+    }
+
+    if (checkLinksBtn) {
+        checkLinksBtn.addEventListener('click', () => {
+            if (state.linkCheck) {
+                state.linkCheck.shouldStop = true;
+                UI.showToast('Stopping link check...', 'warning');
+            } else {
+                checkLinks();
+            }
+        });
+    }
+
+    // Test URL playground
+    const playgroundBtn = document.getElementById('playgroundBtn');
+    if (playgroundBtn) {
+        playgroundBtn.addEventListener('click', testUrl);
+    }
+
+    // Scheduled jobs
+    const scheduleType = document.getElementById('scheduleType');
+    const scheduleJobBtn = document.getElementById('scheduleJobBtn');
+    const scheduledJobsList = document.getElementById('scheduledJobsList');
+
+    if (scheduleType) {
+        scheduleType.addEventListener('change', () => UI.showScheduleInputs(scheduleType.value));
+        UI.showScheduleInputs(scheduleType.value);
+    }
+
+    if (scheduleJobBtn) {
+        scheduleJobBtn.addEventListener('click', scheduleCurrentJob);
+    }
+
+    if (scheduledJobsList) {
+        scheduledJobsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-schedule-action]');
+            if (button) handleScheduleAction(button.dataset.scheduleAction, button.dataset.scheduleId);
+        });
+    }
+
+    // Extraction report: failing pages open as plain text
+    const extractionReport = document.getElementById('extractionReport');
+    const clearSnapshotsBtn = document.getElementById('clearSnapshotsBtn');
+
+    if (extractionReport) {
+        extractionReport.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-snapshot-id]');
+            if (button) viewSnapshot(Number(button.dataset.snapshotId));
+        });
+    }
+
+    if (clearSnapshotsBtn) {
+        clearSnapshotsBtn.addEventListener('click', async () => {
+            try {
+                await Storage.clearHtmlSnapshots();
+                UI.renderExtractionReport(state.extractionReports, [], state.runLog);
+                UI.showToast('Saved pages cleared', 'success');
+            } catch (error) {
+                UI.showToast('Failed to clear saved pages', 'error');
+            }
+        });
+    }
+
+    // Settings
+    const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+    if (saveSettingsBtn) {
+        saveSettingsBtn.addEventListener('click', () => {
+            const proxyUrl = document.getElementById('proxyUrl')?.value.trim();
+            const vibration = document.getElementById('vibrationSetting')?.value;
+            const concurrency = parseInt(document.getElementById('concurrencySetting')?.value);
+            const delay = parseInt(document.getElementById('delaySetting')?.value);
+            const retries = parseInt(document.getElementById('retriesSetting')?.value);
+            const timeoutSeconds = parseInt(document.getElementById('timeoutSetting')?.value);
+            const resolverHops = parseInt(document.getElementById('resolverHopsSetting')?.value);
+            const profilesJson = document.getElementById('siteProfilesTextarea')?.value || '';
+            const posterMatch = document.getElementById('posterMatchSetting')?.value !== 'disabled';
+            const fuzzyMatch = document.getElementById('fuzzyMatchSetting')?.value !== 'disabled';
+            const fuzzyThreshold = parseInt(document.getElementById('fuzzyThresholdSetting')?.value);
+
+            const idScheme = document.getElementById('idSchemeSetting')?.value || 'serial';
+            const policiesJson = document.getElementById('mergePoliciesTextarea')?.value.trim() || '';
+
+            let siteProfiles;
+            let mergePolicies = {};
+            try {
+                siteProfiles = Profiles.parseProfilesJSON(profilesJson);
+                if (policiesJson) {
+                    mergePolicies = JSON.parse(policiesJson);
+                }
+                const problems = Merge.validateMergePolicies(mergePolicies);
+                if (problems.length > 0) throw new Error(problems[0]);
+            } catch (error) {
+                UI.showToast(error.message, 'error');
+                Haptics.error();
+                return;
+            }
+
+            if (proxyUrl) {
+                state.settings.proxyUrl = proxyUrl;
+                state.settings.notificationsEnabled = (vibration === 'enabled');
+                state.settings.concurrency = Math.min(8, Math.max(1, concurrency || 1));
+                state.settings.delayBetweenRequests = Math.max(0, delay || 0);
+                state.settings.maxRetries = Math.min(10, Math.max(0, retries || 0));
+                state.settings.requestTimeout = Math.max(5, timeoutSeconds || 30) * 1000;
+                state.settings.resolverMaxHops = Math.min(15, Math.max(1, resolverHops || 6));
+                state.settings.duplicateMatching = {
+                    rules: [
+                        Duplicates.MATCH_RULES.POST_URL,
+                        Duplicates.MATCH_RULES.TITLE_YEAR_TYPE,
+                        ...(posterMatch ? [Duplicates.MATCH_RULES.POSTER] : []),
+                        ...(fuzzyMatch ? [Duplicates.MATCH_RULES.FUZZY_TITLE] : [])
+                    ],
+                    fuzzyThreshold: Math.min(100, Math.max(50, fuzzyThreshold || 88)) / 100
+                };
+                state.settings.idScheme = idScheme;
+                state.settings.mergePolicies = mergePolicies;
+                state.settings.siteProfiles = siteProfiles;
+                applySiteProfiles(siteProfiles);
+
+                Storage.saveSettings(state.settings);
+                UI.showToast('Settings saved successfully!', 'success');
+                Haptics.success();
+            } else {
+                UI.showToast('Proxy URL is required', 'error');
+            }
+        });
+    }
+
+    // Site profiles template
+    const defaultProfileBtn = document.getElementById('defaultProfileBtn');
+    if (defaultProfileBtn) {
+        defaultProfileBtn.addEventListener('click', () => {
+            const textarea = document.getElementById('siteProfilesTextarea');
+            if (!textarea) return;
+
+            let profiles = [];
+            try {
+                profiles = Profiles.parseProfilesJSON(textarea.value);
+            } catch (error) {
+                UI.showToast(error.message, 'error');
+                return;
+            }
+
+            const template = {
+                ...Profiles.DEFAULT_PROFILE,
+                id: `custom-${profiles.length + 1}`,
+                name: 'New Site',
+                hosts: ['example.com']
+            };
+            textarea.value = JSON.stringify([...profiles, template], null, 2);
+            UI.showToast('Default profile added as template', 'info');
+        });
+    }
+}
+
+/**
+ * Register user-defined site profiles with the scraper's profile registry
+ */
+function applySiteProfiles(siteProfiles) {
+    try {
+        Profiles.setCustomProfiles(siteProfiles || []);
+    } catch (error) {
+        console.error('❌ Invalid site profiles:', error);
+        UI.showToast('Invalid site profiles, using default', 'warning');
+        Profiles.setCustomProfiles([]);
+    }
+}
+
+/**
+ * Initialize settings values in the UI
+ */
+function initializeSettingsUI() {
+    if (!state.settings) return;
+
+    const proxyInput = document.getElementById('proxyUrl');
+    const vibrationSelect = document.getElementById('vibrationSetting');
+    const profilesTextarea = document.getElementById('siteProfilesTextarea');
+
+    if (proxyInput) proxyInput.value = state.settings.proxyUrl || '';
+
+    const concurrencyInput = document.getElementById('concurrencySetting');
+    const delayInput = document.getElementById('delaySetting');
+    if (concurrencyInput) concurrencyInput.value = state.settings.concurrency ?? 3;
+    if (delayInput) delayInput.value = state.settings.delayBetweenRequests ?? 500;
+
+    const retriesInput = document.getElementById('retriesSetting');
+    const timeoutInput = document.getElementById('timeoutSetting');
+    const resolverHopsInput = document.getElementById('resolverHopsSetting');
+    if (retriesInput) retriesInput.value = state.settings.maxRetries ?? 3;
+    if (timeoutInput) timeoutInput.value = Math.round((state.settings.requestTimeout ?? 30000) / 1000);
+    if (resolverHopsInput) resolverHopsInput.value = state.settings.resolverMaxHops ?? 6;
+    const matching = state.settings.duplicateMatching || Duplicates.DEFAULT_MATCH_OPTIONS;
+    const posterSelect = document.getElementById('posterMatchSetting');
+    const fuzzySelect = document.getElementById('fuzzyMatchSetting');
+    const thresholdInput = document.getElementById('fuzzyThresholdSetting');
+    if (posterSelect) posterSelect.value = matching.rules.includes(Duplicates.MATCH_RULES.POSTER) ? 'enabled' : 'disabled';
+    if (fuzzySelect) fuzzySelect.value = matching.rules.includes(Duplicates.MATCH_RULES.FUZZY_TITLE) ? 'enabled' : 'disabled';
+    if (thresholdInput) thresholdInput.value = Math.round((matching.fuzzyThreshold ?? 0.88) * 100);
+
+    const idSchemeSelect = document.getElementById('idSchemeSetting');
+    if (idSchemeSelect) idSchemeSelect.value = state.settings.idScheme || 'serial';
+
+    const policiesTextarea = document.getElementById('mergePoliciesTextarea');
+    const mergePolicies = state.settings.mergePolicies || {};
+    if (policiesTextarea && Object.keys(mergePolicies).length > 0) {
+        policiesTextarea.value = JSON.stringify(mergePolicies, null, 2);
+    }
+
+    if (profilesTextarea) {
+        const siteProfiles = state.settings.siteProfiles || [];
+        profilesTextarea.value = siteProfiles.length > 0 ? JSON.stringify(siteProfiles, null, 2) : '';
+    }
+    if (vibrationSelect) {
+        vibrationSelect.value = state.settings.notificationsEnabled ? 'enabled' : 'disabled';
+    }
+
+    // Update environment label
+    const envLabel = document.getElementById('envLabel');
+    if (envLabel) {
+        const isMobile = /Android|iPhone|iPad/i.test(navigator.userAgent);
+        envLabel.textContent = isMobile ? 'Mobile Browser' : 'Desktop Browser';
+    }
+}
+
+// ============================================================================
+// Touch Gestures Setup
+// ============================================================================
+
+function setupGestures() {
+    // Pull-to-refresh on main content
+    const mainContent = document.getElementById('mainContent');
+    if (mainContent) {
+        new PullToRefresh(mainContent, async () => {
+            Haptics.medium();
+            UI.showToast('Refreshing data...', 'info');
+
+            try {
+                // Reload movies from IndexedDB
+                state.existingData = await Storage.loadMovies();
+                state.scrapedData = [...state.existingData];
+                UI.updateJsonViewer(state.scrapedData);
+                UI.updateStatus('Ready', 0, state.scrapedData.length, 0);
+
+                Haptics.success();
+                UI.showToast('Data refreshed!', 'success');
+            } catch (error) {
+                Haptics.error();
+                UI.showToast('Refresh failed', 'error');
+            }
+        });
+    }
+
+    // Swipe navigation on bottom nav
+    const bottomNav = document.querySelector('.bottom-nav');
+    if (bottomNav) {
+        const navItems = Array.from(document.querySelectorAll('.nav-item'));
+        let currentIndex = 0;
+
+        new SwipeDetector(bottomNav, {
+            left: () => {
+                // Next tab
+                currentIndex = (currentIndex + 1) % navItems.length;
+                navItems[currentIndex].click();
+                Haptics.selection();
+            },
+            right: () => {
+                // Previous tab
+                currentIndex = (currentIndex - 1 + navItems.length) % navItems.length;
+                navItems[currentIndex].click();
+                Haptics.selection();
+            }
+        });
+    }
+
+    console.log('👆 Touch gestures enabled');
+}
+
+// ============================================================================
+// Battery Monitoring Setup
+// ============================================================================
+
+function setupBatteryMonitoring() {
+    // Listen for battery status changes
+    batteryManager.addListener((isLowPower, level, charging) => {
+        if (isLowPower) {
+            UI.showToast(`⚠️ Low battery (${(level * 100).toFixed(0)}%) - Reducing activity`, 'warning');
+
+            // Reduce notifications
+            if (state.isRunning) {
+                console.log('🔋 Low power mode: Reducing scraping speed');
+            }
+        } else if (charging) {
+            console.log('⚡ Device charging - Full performance');
+        }
+    });
+
+    // Display battery info
+    const batteryInfo = batteryManager.getInfo();
+    if (batteryInfo.supported) {
+        console.log(`🔋 Battery: ${batteryInfo.percentage.toFixed(0)}% ${batteryInfo.charging ? '⚡' : ''}`);
+    }
+}
+
+// ============================================================================
+// Scraping Control
+// ============================================================================
+
+async function handleFABClick() {
+    if (state.isRunning) {
+        stopScraping();
+    } else {
+        startScraping();
+    }
+}
+
+async function startScraping() {
+    if (state.scheduledRunActive) {
+        UI.showToast('A scheduled job is running, try again when it finishes', 'warning');
+        return;
+    }
+
+    const job = readJobFromInputs();
+    if (job && await confirmRobotsRules(job)) {
+        await runJob(job);
+    }
+}
+
+/**
+ * Warn before a run whose start URLs (listing pages, sitemap, search pages
+ * or links) robots.txt disallows. Post URLs found later are only checked
+ * while scraping. Resolves to false when the user cancels.
+ */
+async function confirmRobotsRules(job) {
+    const urls = {
+        // "All pages" runs have no end page yet
+        'page-range': () => [...new Set((job.endPage ? [job.startPage, job.endPage] : [job.startPage])
+            .map(page => Pagination.buildPageUrl(job.websiteUrl, page, Engine.getJobPagination(job))))],
+        'sitemap': () => [job.sitemapUrl],
+        'search': () => Pagination.parseSearchTerms(job.searchTerms).map(term => Pagination.buildSearchUrl(
+            job.searchSiteUrl, term, job.searchType, Profiles.getProfileForUrl(job.searchSiteUrl).search))
+    }[job.mode]?.() || job.customLinks.split('\n').map(link => link.trim()).filter(Boolean);
+
+    let disallowed = [];
+    try {
+        disallowed = await Politeness.findDisallowedUrls(urls, {
+            proxyUrl: state.settings.proxyUrl,
+            retryPolicy: { retries: 1, timeout: state.settings.requestTimeout ?? 30000 }
+        });
+    } catch (error) {
+        console.warn('robots.txt check failed:', error);
+    }
+    if (disallowed.length === 0) return true;
+
+    const examples = disallowed.slice(0, 3).map(item => `• ${item.url}\n  (${item.rule})`).join('\n');
+    return window.confirm(
+        `robots.txt disallows start URLs of this run:\n${examples}\n\n` +
+        'Other pages and posts of the run may be affected too. Disallowed pages will be skipped ' +
+        'unless the site profile overrides robots.txt. Start anyway?'
+    );
+}
+
+/**
+ * Read and validate the job parameters from the scraper view
+ */
+function readJobFromInputs() {
+    // Get active mode
+    const activeTab = document.querySelector('.mode-tab.active');
+    const mode = activeTab?.getAttribute('data-mode') || 'page-range';
+
+    // Get inputs
+    const job = {
+        mode,
+        websiteUrl: document.getElementById('websiteUrl')?.value.trim(),
+        startPage: parseInt(document.getElementById('startPage')?.value) || 1,
+        endPage: parseInt(document.getElementById('endPage')?.value) || null,
+        direction: document.getElementById('scrapingDirection')?.value || 'start-to-end',
+        pagination: {
+            strategy: document.getElementById('paginationStrategy')?.value || Pagination.PAGINATION_STRATEGIES.AUTO,
+            param: document.getElementById('pageParam')?.value.trim() || ''
+        },
+        incrementalMode: document.getElementById('incrementalMode')?.value === 'enabled',
+        stopAfterKnown: parseInt(document.getElementById('stopAfterKnown')?.value) || 10,
+        customLinks: document.getElementById('customLinksTextarea')?.value.trim(),
+        sitemapUrl: document.getElementById('sitemapUrl')?.value.trim(),
+        urlPattern: document.getElementById('sitemapPattern')?.value.trim() || '',
+        lastmodFrom: document.getElementById('lastmodFrom')?.value || '',
+        lastmodTo: document.getElementById('lastmodTo')?.value || '',
+        skipKnown: document.getElementById('sitemapSkipKnown')?.value !== 'disabled',
+        searchSiteUrl: document.getElementById('searchSiteUrl')?.value.trim(),
+        searchType: document.getElementById('searchType')?.value || Pagination.SEARCH_TYPES.QUERY,
+        searchTerms: document.getElementById('searchTerms')?.value.trim(),
+        maxPages: parseInt(document.getElementById('searchMaxPages')?.value) || null,
+        jsonUrl: document.getElementById('jsonUrl')?.value.trim()
+    };
+
+    // Validate
+    if (mode === 'page-range' && !job.websiteUrl) {
+        UI.showToast('Please enter a website URL', 'error');
+        return null;
+    }
+
+    if (mode === 'custom-links' && !job.customLinks) {
+        UI.showToast('Please enter at least one link', 'error');
+        return null;
+    }
+
+    if (mode === 'sitemap' && !job.sitemapUrl) {
+        UI.showToast('Please enter a site or sitemap URL', 'error');
+        return null;
+    }
+
+    if (mode === 'search' && !job.searchSiteUrl) {
+        UI.showToast('Please enter a website URL', 'error');
+        return null;
+    }
+
+    if (mode === 'search' && Pagination.parseSearchTerms(job.searchTerms).length === 0) {
+        UI.showToast('Please enter at least one query or category', 'error');
+        return null;
+    }
+
+    if (mode === 'sitemap') {
+        try {
+            Sitemap.compileUrlPattern(job.urlPattern);
+        } catch (error) {
+            UI.showToast(`Invalid URL pattern: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    return job;
+}
+
+/**
+ * Hold the run lock shared with scheduled jobs (this and other tabs, the
+ * service worker) until `released` settles. Resolves to false when another
+ * run holds it.
+ */
+function acquireRunLock(released) {
+    if (!navigator.locks) return Promise.resolve(true);
+
+    return new Promise((resolve, reject) => {
+        navigator.locks.request(Schedules.RUN_LOCK_NAME, { ifAvailable: true }, (lock) => {
+            resolve(Boolean(lock));
+            return lock ? released : null;
+        }).catch(reject);
+    });
+}
+
+/**
+ * Run a scraping job. With a session checkpoint the job continues where it
+ * was interrupted: partial results are restored and processed posts skipped.
+ * The job itself runs in the scrape engine (a Web Worker when available);
+ * this thread only renders what the engine reports.
+ */
+async function runJob(job, session = null) {
+    const { mode } = job;
+
+    // A stopped run still posts DONE: let it save its records before the
+    // new run takes over the state
+    if (state.engine) {
+        if (state.finishingRun) return;
+        state.finishingRun = true;
+        UI.showToast('Finishing the stopped run...', 'info');
+        try {
+            await state.engineFinished;
+        } finally {
+            state.finishingRun = false;
+        }
+    }
+
+    // The lock is released once this run's DONE has been handled
+    let finishRun;
+    const runFinished = new Promise(resolve => { finishRun = resolve; });
+    if (!await acquireRunLock(runFinished)) {
+        UI.showToast('Another run is in progress, try again when it finishes', 'warning');
+        return;
+    }
+
+    try {
+        // Reset state
+        state.isRunning = true;
+        state.shouldStop = false;
+        state.job = job;
+        state.cursor = session?.cursor || {};
+        state.processedUrls = new Set(session?.processedUrls || []);
+        state.newScrapedData = session?.newScrapedData || [];
+        state.updatedMovies = new Map();
+        state.history = new Map();
+        state.dirtyHistory = new Set();
+        // A resumed job keeps its run id, so its history entries are continued
+        if (!job.runId) job.runId = new Date().toISOString();
+        state.detectedDuplicates = [];
+        state.currentPage = 0;
+        state.cardsScraped = session?.cardsScraped || 0;
+        state.duplicatesSkipped = session?.duplicatesSkipped || 0;
+
+        // Update UI
+        UI.updateFAB(true);
+        UI.updateStatus('Starting...', 0, state.cardsScraped, state.duplicatesSkipped);
+        UI.startRunningTimer();
+        UI.showToast(session ? 'Resuming previous session...' : 'Scraping started!', 'info');
+        hideResumeCard();
+
+        // Request notification permission
+        try {
+            await Notifications.requestPermission();
+            Notifications.notifyScrapingStarted(mode);
+        } catch (error) {
+            console.warn('Notifications not available:', error);
+        }
+
+        // Load existing JSON if provided
+        if (job.jsonUrl) {
+            try {
+                UI.showToast('Loading existing JSON...', 'info');
+                const existingJson = await Storage.importJSON(job.jsonUrl);
+                state.existingData = existingJson;
+                state.scrapedData = [...existingJson];
+                UI.showToast(`Loaded ${existingJson.length} existing movies`, 'success');
+            } catch (error) {
+                UI.showToast(`Failed to load JSON: ${error.message}`, 'error');
+            }
+        }
+
+        // Restore partial results (some may already be saved to the device)
+        if (session) {
+            const knownIds = new Set(state.scrapedData.map(item => item.id));
+            state.newScrapedData
+                .filter(movie => !knownIds.has(movie.id))
+                .forEach(movie => state.scrapedData.push(movie));
+            (session.updatedMovies || []).forEach(movie => {
+                const local = state.scrapedData.find(item => item.id === movie.id);
+                if (local) Object.assign(local, movie);
+                state.updatedMovies.set(movie.id, local || movie);
+            });
+            state.newScrapedData.forEach(movie => Preview.renderPreview(movie));
+            UI.updateJsonViewer(getResultsData());
+        }
+
+        saveCheckpoint();
+
+        // The engine is replaced only after its DONE has been handled (see above)
+        const engine = Engine.createScrapeEngine({
+            onProgress: (message) => state.engine === engine && handleEngineProgress(message),
+            onItem: (event) => state.engine === engine && handleMovieScraped(event),
+            onDone: (message) => state.engine === engine && handleEngineDone(message).finally(finishRun)
+        });
+        state.engine = engine;
+        state.engineFinished = runFinished;
+
+        engine.start({
+            job,
+            settings: state.settings,
+            siteProfiles: state.settings.siteProfiles || [],
+            existingData: state.existingData,
+            scrapedData: state.scrapedData,
+            newScrapedData: state.newScrapedData,
+            processedUrls: [...state.processedUrls],
+            cursor: state.cursor
+        });
+
+    } catch (error) {
+        console.error('Scraping error:', error);
+        UI.showToast(`Error: ${error.message}`, 'error');
+        Notifications.notifyError(error.message);
+        stopScraping();
+        if (!state.engine) finishRun();
+    }
+}
+
+function stopScraping() {
+    state.shouldStop = true;
+    state.isRunning = false;
+    state.engine?.stop();
+
+    UI.updateFAB(false);
+    UI.stopRunningTimer();
+    UI.updateStatus('Stopped', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
+    UI.showToast('Scraping stopped', 'warning');
+
+    // Keep the checkpoint so the session can be resumed later
+    saveCheckpoint();
+}
+
+async function finishScraping(result = {}) {
+    const runId = state.job?.runId;
+    state.isRunning = false;
+
+    UI.updateFAB(false);
+    UI.stopRunningTimer();
+    if (result.stopped) {
+        UI.updateStatus('Stopped', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
+        UI.showToast(`Partial run: ${state.cardsScraped} movies scraped before the stop`, 'warning');
+    } else {
+        UI.updateStatus('Completed', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
+        UI.showToast(`Scraping completed! ${state.cardsScraped} movies scraped`, 'success');
+    }
+    flushJsonViewer();
+    flushHistory();
+
+    if (result.knownSkipped !== null && result.knownSkipped !== undefined) {
+        UI.showToast(`Incremental run: ${result.knownSkipped} known posts skipped`, 'info');
+    }
+
+    await saveRunRecords();
+
+    // A completed job needs no checkpoint; a stopped one stays resumable
+    if (!state.shouldStop) {
+        state.job = null;
+        Storage.clearSession().catch(error => console.error('❌ Failed to clear session:', error));
+    }
+
+    // Show completion notification
+    if (!result.stopped) {
+        Notifications.notifyScrapingCompleted(state.cardsScraped, state.duplicatesSkipped);
+    }
+
+    checkStructureDrift(result.stats || [], runId, result.log || []);
+}
+
+/**
+ * Save to IndexedDB (with auto-save on) the new movies of the run plus the
+ * stored records it updated. Finished, stopped and failed runs all save.
+ */
+async function saveRunRecords() {
+    const newIds = new Set(state.newScrapedData.map(movie => movie.id));
+    const toSave = [
+        ...state.newScrapedData,
+        ...[...state.updatedMovies.values()].filter(movie => !newIds.has(movie.id))
+    ];
+    if (!state.settings.autoSave || toSave.length === 0) return;
+
+    try {
+        await Storage.saveMovies(toSave);
+        UI.showToast('Data saved to device', 'success');
+    } catch (error) {
+        UI.showToast('Failed to save data', 'error');
+    }
+}
+
+// ============================================================================
+// Scheduled Jobs
+// ============================================================================
+
+/**
+ * Read the schedule inputs: { type, minute | time | expression }
+ */
+function readScheduleFromInputs() {
+    const type = document.getElementById('scheduleType')?.value || Schedules.SCHEDULE_TYPES.DAILY;
+    return {
+        [Schedules.SCHEDULE_TYPES.HOURLY]: () => ({ type, minute: parseInt(document.getElementById('scheduleMinute')?.value) || 0 }),
+        [Schedules.SCHEDULE_TYPES.DAILY]: () => ({ type, time: document.getElementById('scheduleTime')?.value || '' }),
+        [Schedules.SCHEDULE_TYPES.CRON]: () => ({ type, expression: document.getElementById('scheduleCron')?.value.trim() || '' })
+    }[type]();
+}
+
+/**
+ * Save the job set up in the scraper view with the chosen schedule
+ */
+async function scheduleCurrentJob() {
+    const job = readJobFromInputs();
+    if (!job) return;
+
+    let entry;
+    try {
+        entry = Schedules.createScheduledJob({
+            name: document.getElementById('scheduleName')?.value.trim(),
+            job,
+            schedule: readScheduleFromInputs()
+        });
+    } catch (error) {
+        UI.showToast(`Invalid schedule: ${error.message}`, 'error');
+        return;
+    }
+
+    try {
+        await Storage.saveScheduledJob(entry);
+        await loadScheduledJobs();
+        UI.showToast(`Scheduled "${entry.name}", next run ${new Date(entry.nextRunAt).toLocaleString()}`, 'success');
+        Haptics.success();
+    } catch (error) {
+        UI.showToast('Failed to save scheduled job', 'error');
+        return;
+    }
+
+    // Background runs need notifications to report back
+    Notifications.requestPermission().catch(error => console.warn('Notifications not available:', error));
+}
+
+/**
+ * Load the scheduled jobs and keep Periodic Background Sync registered
+ * while any of them is enabled
+ */
+async function loadScheduledJobs() {
+    try {
+        state.scheduledJobs = await Storage.loadScheduledJobs();
+    } catch (error) {
+        console.error('❌ Failed to load scheduled jobs:', error);
+        state.scheduledJobs = [];
+    }
+    renderScheduledJobs();
+    updatePeriodicSync();
+}
+
+function renderScheduledJobs() {
+    const entries = state.scheduledJobs.map(entry => ({ ...entry, description: Schedules.describeSchedule(entry.schedule) }));
+    UI.renderScheduledJobs(entries, state.scheduledRunActive);
+}
+
+/**
+ * Register (or drop) the periodic sync that runs scheduled jobs in the
+ * service worker. Browsers grant it to installed apps only; elsewhere due
+ * jobs run when the app is open.
+ */
+async function updatePeriodicSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (!registration.periodicSync) return;
+
+        // Only the module service worker can run jobs
+        const runsJobs = registration.active?.scriptURL.endsWith(MODULE_SERVICE_WORKER);
+        if (!runsJobs || !state.scheduledJobs.some(entry => entry.enabled)) {
+            await registration.periodicSync.unregister(Schedules.PERIODIC_SYNC_TAG);
+            return;
+        }
+
+        const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (permission.state !== 'granted') {
+            console.log('⏰ Periodic Background Sync not granted, scheduled jobs run while the app is open');
+            return;
+        }
+
+        await registration.periodicSync.register(Schedules.PERIODIC_SYNC_TAG, { minInterval: Schedules.PERIODIC_SYNC_INTERVAL });
+        console.log('⏰ Periodic Background Sync registered');
+    } catch (error) {
+        console.warn('Periodic Background Sync unavailable:', error);
+    }
+}
+
+/**
+ * Run due scheduled jobs (or the given ones) in this page, unless a
+ * scraping job is running
+ */
+async function runDueJobs(jobIds = null) {
+    if (state.isRunning || state.scheduledRunActive) return;
+
+    state.scheduledRunActive = true;
+    try {
+        await Schedules.runDueScheduledJobs({
+            jobIds,
+            settings: state.settings,
+            // Off the main thread, like manual runs
+            runJob: Engine.runScrapeJobInWorker,
+            onJobStart: (entry) => {
+                UI.showToast(`⏰ Running scheduled job "${entry.name}"...`, 'info');
+                renderScheduledJobs();
+            },
+            onJobDone: (entry, summary) => {
+                if (summary) {
+                    mergeStoredRecords([...summary.newRecords, ...summary.updatedRecords]);
+                    UI.showToast(`"${entry.name}": ${entry.lastResult.newCount} new, ${entry.lastResult.updatedCount} updated`, 'success');
+                } else {
+                    UI.showToast(`"${entry.name}" failed: ${entry.lastResult.error}`, 'error');
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Scheduled jobs failed:', error);
+    } finally {
+        state.scheduledRunActive = false;
+        await loadScheduledJobs();
+    }
+}
+
+/**
+ * Bring records saved by a scheduled run into the results shown here
+ */
+function mergeStoredRecords(records) {
+    records.forEach(record => {
+        const local = state.scrapedData.find(item => item.id === record.id);
+        if (local) {
+            Object.assign(local, record);
+        } else {
+            state.existingData.push(record);
+            state.scrapedData.push(record);
+        }
+    });
+
+    if (records.length > 0 && !state.isRunning) {
+        UI.updateJsonViewer(getResultsData());
+        UI.updateStatus('Ready', 0, state.scrapedData.length, 0);
+    }
+}
+
+/**
+ * The service worker ran scheduled jobs: pick up their records
+ */
+async function reloadAfterScheduledRuns() {
+    if (!state.isRunning) {
+        try {
+            mergeStoredRecords(await Storage.loadMovies());
+        } catch (error) {
+            console.error('❌ Failed to reload records:', error);
+        }
+    }
+    await loadScheduledJobs();
+}
+
+async function handleScheduleAction(action, id) {
+    const entry = state.scheduledJobs.find(item => item.id === id);
+    if (!entry) return;
+
+    try {
+        if (action === 'run') {
+            if (state.isRunning || state.scheduledRunActive) {
+                UI.showToast('Wait for the running job to finish', 'warning');
+                return;
+            }
+            await runDueJobs([id]);
+            return;
+        }
+
+        if (action === 'toggle') {
+            const enabled = !entry.enabled;
+            // A re-enabled job starts from its next slot instead of catching up
+            const nextRun = enabled ? Schedules.getNextRunTime(entry.schedule) : null;
+            await Storage.saveScheduledJob({ ...entry, enabled, nextRunAt: nextRun ? nextRun.toISOString() : entry.nextRunAt });
+        } else if (action === 'delete') {
+            if (!window.confirm(`Delete scheduled job "${entry.name}"?`)) return;
+            await Storage.deleteScheduledJob(id);
+        }
+        await loadScheduledJobs();
+    } catch (error) {
+        UI.showToast(`Scheduled job update failed: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Test URL Playground
+// ============================================================================
+
+/**
+ * Run the extraction on the playground URL and show the result
+ */
+async function testUrl() {
+    const url = document.getElementById('playgroundUrl')?.value.trim();
+    const kind = document.getElementById('playgroundKind')?.value || Playground.PAGE_KINDS.AUTO;
+    const playgroundBtn = document.getElementById('playgroundBtn');
+
+    if (!url) {
+        UI.showToast('Please enter a URL to test', 'error');
+        return;
+    }
+
+    if (playgroundBtn) playgroundBtn.disabled = true;
+    try {
+        const result = await Playground.testUrl(url, {
+            proxyUrl: state.settings.proxyUrl,
+            kind,
+            retryPolicy: { retries: 1, timeout: state.settings.requestTimeout ?? 30000 }
+        });
+        UI.renderPlaygroundResult(result);
+    } catch (error) {
+        console.error('Test URL error:', error);
+        UI.showToast(`Test failed: ${error.message}`, 'error');
+    } finally {
+        if (playgroundBtn) playgroundBtn.disabled = false;
+    }
+}
+
+// ============================================================================
+// Structure Drift
+// ============================================================================
+
+/**
+ * Compare this run's extraction rates with the previous runs of each site,
+ * alert on drift, save the run log and show the extraction report
+ */
+async function checkStructureDrift(stats, runId, logEntries = []) {
+    const reports = [];
+
+    for (const current of stats) {
+        let alerts = [];
+        try {
+            const previous = (await Storage.loadRunStats(current.host)).filter(run => run.runId !== runId);
+            alerts = Drift.detectDrift(current, previous);
+            await Storage.saveRunStats({ ...current, runId, alerts, finishedAt: new Date().toISOString() });
+        } catch (error) {
+            console.error('❌ Failed to compare run stats:', error);
+        }
+
+        if (alerts.length > 0) {
+            console.warn(`⚠️ Structure drift on ${current.host}:`, alerts);
+            UI.showToast(`⚠️ Structure drift on ${current.host}: ${alerts[0].message}`, 'error', 6000);
+            Notifications.notifyStructureDrift(current.host, alerts);
+        }
+        reports.push({ ...current, alerts });
+    }
+
+    state.extractionReports = reports;
+    state.runLog = logEntries;
+
+    let snapshots = [];
+    try {
+        if (logEntries.length > 0) await Storage.saveRunLog(runId, logEntries);
+        // A resumed run shows its whole log
+        state.runLog = await Storage.loadRunLog(runId);
+        snapshots = (await Storage.loadHtmlSnapshots()).filter(snapshot => snapshot.runId === runId);
+    } catch (error) {
+        console.error('❌ Failed to save run log or load HTML snapshots:', error);
+    }
+    UI.renderExtractionReport(reports, snapshots, state.runLog);
+}
+
+/**
+ * Open the saved HTML of a failing page as plain text (scripts not run)
+ */
+async function viewSnapshot(id) {
+    const snapshot = (await Storage.loadHtmlSnapshots()).find(item => item.id === id);
+    if (!snapshot) {
+        UI.showToast('Saved page not found', 'error');
+        return;
+    }
+
+    const blob = new Blob([`<!-- ${snapshot.url} -->\n${snapshot.html}`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+// ============================================================================
+// Results & Link Health
+// ============================================================================
+
+/**
+ * Records shown in the results view (full or new only, then the link filter)
+ */
+function getResultsData() {
+    const data = state.currentViewMode === 'new' ? state.newScrapedData : state.scrapedData;
+    return LinkHealth.filterRecordsByLinkStatus(data, state.linkFilter);
+}
+
+/**
+ * Records to copy, save or share (dead links left out when requested)
+ */
+function getExportData() {
+    const data = getResultsData();
+    const excludeDead = document.getElementById('exportDeadLinks')?.value === 'exclude';
+    return excludeDead ? LinkHealth.excludeDeadQualities(data) : data;
+}
+
+/**
+ * Check every download link of the records in the results view
+ */
+async function checkLinks() {
+    const records = getResultsData();
+    const checkLinksBtn = document.getElementById('checkLinksBtn');
+    const summary = document.getElementById('linkHealthSummary');
+
+    if (state.isRunning) {
+        UI.showToast('Wait for scraping to finish', 'warning');
+        return;
+    }
+    if (records.length === 0) {
+        UI.showToast('No records to check', 'warning');
+        return;
+    }
+
+    const scheduler = Scraper.createRequestScheduler({
+        concurrency: 1,
+        minInterval: state.settings.delayBetweenRequests ?? 500,
+        jitter: state.settings.requestJitter ?? 250
+    });
+    const check = { shouldStop: false };
+    const checked = new Set();
+    state.linkCheck = check;
+
+    if (checkLinksBtn) checkLinksBtn.innerHTML = '<span>⏹️</span> Stop Checking';
+    UI.showToast(`Checking links of ${records.length} records...`, 'info');
+
+    try {
+        const counts = await LinkHealth.checkRecordsLinks(records, {
+            proxyUrl: state.settings.proxyUrl,
+            maxHops: state.settings.resolverMaxHops ?? 6,
+            schedule: (url, task) => scheduler.schedule(url, task),
+            shouldStop: () => check.shouldStop,
+            onProgress: ({ completed, total, record }) => {
+                checked.add(record);
+                UI.updateProgress(completed, total);
+                if (summary) summary.textContent = `Checked ${completed} of ${total} links...`;
+            }
+        });
+
+        const dead = counts[LinkHealth.LINK_STATUS.REMOVED] + counts[LinkHealth.LINK_STATUS.NEEDS_LOGIN];
+        const text = `${counts.alive} alive · ${counts.removed} removed · ${counts['quota-exceeded']} over quota · ` +
+            `${counts['needs-login']} need login · ${counts.unknown} unknown`;
+        if (summary) summary.textContent = text;
+        UI.showToast(`Link check ${check.shouldStop ? 'stopped' : 'done'}: ${dead} dead links`, dead > 0 ? 'warning' : 'success');
+
+        if (state.settings.autoSave && checked.size > 0) {
+            await Storage.saveMovies([...checked]);
+        }
+    } catch (error) {
+        console.error('❌ Link check failed:', error);
+        UI.showToast(`Link check failed: ${error.message}`, 'error');
+    } finally {
+        state.linkCheck = null;
+        if (checkLinksBtn) checkLinksBtn.innerHTML = '<span>🩺</span> Check Links';
+        UI.updateJsonViewer(getResultsData());
+    }
+}
+
+// ============================================================================
+// Engine Events
+// ============================================================================
+
+/**
+ * Render a progress message: toast notices, cursor moves, page progress
+ */
+function handleEngineProgress(message) {
+    const { notice, cursor, currentPage, completed, total, job } = message;
+
+    if (notice) {
+        UI.showToast(notice.message, notice.type, 2000);
+    }
+
+    if (job && state.job) {
+        Object.assign(state.job, job);
+    }
+
+    if (cursor) {
+        state.cursor = cursor;
+        state.currentPage = currentPage;
+        saveCheckpoint();
+        flushHistory();
+    }
+
+    if (completed !== undefined) {
+        UI.updateProgress(completed, total);
+    }
+}
+
+async function handleEngineDone(message) {
+    try {
+        if (message.error) {
+            console.error('Scraping error:', message.error);
+            UI.showToast(`Error: ${message.error}`, 'error');
+            Notifications.notifyError(message.error);
+            flushHistory();
+            if (state.isRunning) stopScraping();
+            await saveRunRecords();
+        } else {
+            await finishScraping(message);
+        }
+    } finally {
+        state.engine = null;
+    }
+}
+
+function handleMovieScraped(event) {
+    const { movie, isDuplicate, isUpdated, existingMovie, postUrl } = event;
+
+    if (postUrl) {
+        state.processedUrls.add(Scraper.canonicalUrl(postUrl));
+    }
+
+    if (isDuplicate) {
+        state.duplicatesSkipped++;
+        state.detectedDuplicates.push({
+            title: existingMovie.title,
+            isUpdated: isUpdated,
+            status: existingMovie.info6_status,
+            reason: event.match?.reason || '',
+            changedFields: (event.changes || []).map(change => change.field)
+        });
+
+        // The engine updated its own copy; mirror the update here
+        if (isUpdated) {
+            const local = state.scrapedData.find(item => item.id === existingMovie.id);
+            if (local) Object.assign(local, existingMovie);
+            state.updatedMovies.set(existingMovie.id, local || existingMovie);
+        }
+    } else if (movie) {
+        state.newScrapedData.push(movie);
+        state.scrapedData.push(movie);
+        state.cardsScraped++;
+
+        // Render preview card for new movie
+        Preview.renderPreview(movie);
+    }
+
+    recordHistory(event);
+
+    UI.updateStatus('Scraping...', state.currentPage, state.cardsScraped, state.duplicatesSkipped);
+    scheduleJsonViewerUpdate();
+
+    saveCheckpoint();
+}
+
+/**
+ * Add a scraped item to this run's history (one entry per record)
+ */
+function recordHistory(event) {
+    if (!state.job) return;
+
+    const entry = History.createHistoryEntry(event, { runId: state.job.runId, mode: state.job.mode });
+    if (!entry) return;
+
+    state.history.set(entry.key, History.mergeHistoryEntries(state.history.get(entry.key), entry));
+    state.dirtyHistory.add(entry.key);
+}
+
+/**
+ * Save history entries changed since the last flush
+ */
+function flushHistory() {
+    const entries = [...state.dirtyHistory].map(key => state.history.get(key));
+    state.dirtyHistory.clear();
+
+    Storage.saveHistoryEntries(entries)
+        .catch(error => console.error('❌ Failed to save history:', error));
+}
+
+/**
+ * Refresh the JSON viewer at most once per interval while scraping
+ * (stringifying the whole dataset per item blocks the page on large runs)
+ */
+function scheduleJsonViewerUpdate() {
+    if (state.jsonViewerTimer) return;
+
+    state.jsonViewerTimer = setTimeout(flushJsonViewer, JSON_VIEWER_INTERVAL);
+}
+
+function flushJsonViewer() {
+    clearTimeout(state.jsonViewerTimer);
+    state.jsonViewerTimer = null;
+    UI.updateJsonViewer(getResultsData());
+}
+
+// ============================================================================
+// Session Checkpoints
+// ============================================================================
+
+/**
+ * Write the current job, cursor, processed posts and partial results to IndexedDB
+ */
+function saveCheckpoint() {
+    if (!state.job) return;
+
+    Storage.saveSession({
+        job: state.job,
+        cursor: state.cursor,
+        processedUrls: [...state.processedUrls],
+        newScrapedData: state.newScrapedData,
+        updatedMovies: [...state.updatedMovies.values()],
+        cardsScraped: state.cardsScraped,
+        duplicatesSkipped: state.duplicatesSkipped,
+        status: state.isRunning ? 'running' : 'stopped'
+    }).catch(error => console.error('❌ Checkpoint failed:', error));
+}
+
+/**
+ * Show the resume card when the last session did not complete
+ */
+async function checkForInterruptedSession() {
+    let session = null;
+    try {
+        session = await Storage.loadSession();
+    } catch (error) {
+        console.error('❌ Failed to load session checkpoint:', error);
+    }
+
+    const resumeCard = document.getElementById('resumeCard');
+    if (!session || !resumeCard) return;
+
+    const { job, cursor = {} } = session;
+    const position = {
+        'page-range': () => `page ${cursor.page || job.startPage}`,
+        'sitemap': () => `post ${(cursor.linkIndex || 0) + 1} of ${job.sitemapUrls?.length ?? '?'}`,
+        'search': () => `query ${(cursor.queryIndex || 0) + 1} of ${Pagination.parseSearchTerms(job.searchTerms).length}, page ${cursor.page || 1}`
+    }[job.mode]?.() || `link ${(cursor.linkIndex || 0) + 1}`;
+    const savedAt = new Date(session.updatedAt).toLocaleString();
+
+    const summary = document.getElementById('resumeSummary');
+    if (summary) {
+        summary.textContent = `${MODE_LABELS[job.mode] || job.mode} stopped at ${position} ` +
+            `with ${session.newScrapedData.length} new items (saved ${savedAt}).`;
+    }
+
+    resumeCard.classList.remove('hidden');
+}
+
+function hideResumeCard() {
+    document.getElementById('resumeCard')?.classList.add('hidden');
+}
+
+async function resumeSession() {
+    if (state.isRunning) return;
+
+    try {
+        const session = await Storage.loadSession();
+        if (!session) {
+            hideResumeCard();
+            UI.showToast('No session to resume', 'warning');
+            return;
+        }
+
+        Haptics.medium();
+        await runJob(session.job, session);
+    } catch (error) {
+        UI.showToast(`Failed to resume: ${error.message}`, 'error');
+    }
+}
+
+async function discardSession() {
+    try {
+        await Storage.clearSession();
+        hideResumeCard();
+        UI.showToast('Previous session discarded', 'info');
+    } catch (error) {
+        UI.showToast('Failed to discard session', 'error');
+    }
+}
+
+// ============================================================================
+// App Lifecycle
+// ============================================================================
+
+// Initialize app when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initApp);
+} else {
+    initApp();
+}
+
+// Handle visibility change (pause/resume)
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        console.log('📴 App hidden');
+
+        // The tab may be killed while hidden
+        if (state.isRunning) saveCheckpoint();
+    } else {
+        console.log('📱 App visible');
+    }
+});
+
+// Export for debugging and global access
+window.MobileScraperApp = {
+    state,
+    Scraper,
+    Storage,
+    UI,
+    Notifications,
+    Preview,
+    Profiles,
+    // Expose preview functions for onclick handlers
+    handleDownload: Preview.handleDownload,
+    downloadQuality: Preview.downloadQuality,
+    resolveAllLinks: Preview.resolveAllLinks,
+    showDetails: Preview.showDetails
+};
+
+console.log('📱 Mobile Scraper App Loaded');
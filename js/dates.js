@@ -0,0 +1,260 @@
+// Mobile Tools - Dates Module
+// Parses upload-time texts (relative, absolute, ISO, localized) into ISO timestamps
+// with the raw text and a confidence flag
+
+export const DATE_CONFIDENCE = {
+    EXACT: 'exact',          // ISO / datetime attribute / unambiguous calendar date
+    RELATIVE: 'relative',    // "2 hours ago", "yesterday" (relative to the scrape time)
+    AMBIGUOUS: 'ambiguous',  // numeric date where day/month order had to be guessed
+    DEFAULTED: 'defaulted'   // nothing recognisable: the scrape time is used
+};
+
+const UNIT_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Unit words (several languages) => unit
+const UNIT_WORDS = [
+    [/^(s|secs?|seconds?|segundos?|secondes?|sekunden?|সেকেন্ড|सेकंड)$/i, 'second'],
+    [/^(m|mins?|minutes?|minutos?|minuten?|মিনিট|मिनट)$/i, 'minute'],
+    [/^(h|hrs?|hours?|horas?|heures?|stunden?|ঘণ্টা|ঘন্টা|घंटे|घंटा)$/i, 'hour'],
+    [/^(d|days?|d[ií]as?|jours?|tagen?|tag|দিন|दिन)$/i, 'day'],
+    [/^(w|wks?|weeks?|semanas?|semaines?|wochen?|সপ্তাহ|हफ़्ते|हफ्ते|सप्ताह)$/i, 'week'],
+    [/^(mo|mos|months?|mes(es)?|mois|monate?n?|মাস|महीने|महीना)$/i, 'month'],
+    [/^(y|yrs?|years?|a[ñn]os?|ans?|jahren?|বছর|साल)$/i, 'year']
+];
+
+// Words for "one" in "an hour ago", "hace un día", "vor einem Tag"
+const ONE_WORDS = /^(a|an|one|un|una|uno|une|ein|eine|einem|einer)$/i;
+
+const MONTHS = {
+    jan: 0, january: 0, enero: 0, ene: 0, janvier: 0, januar: 0, janeiro: 0,
+    feb: 1, february: 1, febrero: 1, février: 1, fevrier: 1, februar: 1, fevereiro: 1, fev: 1,
+    mar: 2, march: 2, marzo: 2, mars: 2, märz: 2, marz: 2, março: 2, marco: 2,
+    apr: 3, april: 3, abril: 3, abr: 3, avril: 3, avr: 3,
+    may: 4, mayo: 4, mai: 4, maio: 4,
+    jun: 5, june: 5, junio: 5, juin: 5, juni: 5, junho: 5,
+    jul: 6, july: 6, julio: 6, juillet: 6, juli: 6, julho: 6,
+    aug: 7, august: 7, agosto: 7, ago: 7, août: 7, aout: 7,
+    sep: 8, sept: 8, september: 8, septiembre: 8, septembre: 8, setembro: 8, set: 8,
+    oct: 9, october: 9, octubre: 9, octobre: 9, oktober: 9, outubro: 9, out: 9, okt: 9,
+    nov: 10, november: 10, noviembre: 10, novembre: 10, novembro: 10,
+    dec: 11, december: 11, diciembre: 11, dic: 11, décembre: 11, decembre: 11, dezember: 11, dezembro: 11, dez: 11
+};
+
+// Bengali and Devanagari digits => ASCII
+const NATIVE_DIGITS = /[০-৯०-९]/g;
+
+function toAsciiDigits(text) {
+    return text.replace(NATIVE_DIGITS, d => {
+        const code = d.charCodeAt(0);
+        return String(code >= 0x09E6 && code <= 0x09EF ? code - 0x09E6 : code - 0x0966);
+    });
+}
+
+function result(date, raw, confidence) {
+    return { iso: date.toISOString(), raw, confidence };
+}
+
+function isValid(date) {
+    return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+function unitFor(word) {
+    const found = UNIT_WORDS.find(([pattern]) => pattern.test(word));
+    return found ? found[1] : null;
+}
+
+function subtract(now, amount, unit) {
+    const date = new Date(now);
+    if (unit === 'month') date.setMonth(date.getMonth() - amount);
+    else if (unit === 'year') date.setFullYear(date.getFullYear() - amount);
+    else date.setTime(date.getTime() - amount * UNIT_MS[unit]);
+    return date;
+}
+
+/**
+ * Parse a "hh:mm[:ss] [am|pm]" time found in the text
+ */
+function readTime(text) {
+    const match = text.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i);
+    if (!match) return { hours: 0, minutes: 0, seconds: 0 };
+
+    let hours = parseInt(match[1]);
+    const meridiem = (match[4] || '').replace(/\./g, '').toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+
+    return { hours, minutes: parseInt(match[2]), seconds: parseInt(match[3] || '0') };
+}
+
+function buildDate(year, month, day, time) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(fullYear, month, day, time.hours, time.minutes, time.seconds);
+    // Reject rollovers like 31/02
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+function parseIso(text) {
+    if (!/^\d{4}-\d{2}-\d{2}([T\s]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i.test(text)) return null;
+
+    // A date-only ISO value is a calendar day in local time
+    const date = text.length === 10
+        ? (() => {
+            const [y, m, d] = text.split('-').map(Number);
+            return buildDate(y, m - 1, d, { hours: 0, minutes: 0, seconds: 0 });
+        })()
+        : new Date(text.replace(' ', 'T'));
+    return isValid(date) ? date : null;
+}
+
+function parseTimestamp(text) {
+    if (!/^\d{10}(\d{3})?$/.test(text)) return null;
+    const value = parseInt(text);
+    return new Date(text.length === 10 ? value * 1000 : value);
+}
+
+function parseRelative(text, now) {
+    const lower = text.toLowerCase();
+
+    if (/^(just now|now|right now|moments? ago|a few seconds ago|ahora|à l'instant|gerade eben|এইমাত্র|अभी)$/.test(lower)) {
+        return now;
+    }
+    if (/\b(today|hoy|aujourd'hui|heute|hoje)\b|আজ|आज/.test(lower)) {
+        const time = readTime(lower);
+        return time.hours || time.minutes
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate(), time.hours, time.minutes, time.seconds)
+            : now;
+    }
+    if (/\b(yesterday|ayer|hier|gestern|ontem)\b|গতকাল|कल/.test(lower)) {
+        const time = readTime(lower);
+        const date = subtract(now, 1, 'day');
+        if (time.hours || time.minutes) date.setHours(time.hours, time.minutes, time.seconds, 0);
+        return date;
+    }
+    if (/^a few (minutes|mins) ago$/.test(lower)) return subtract(now, 3, 'minute');
+    if (/^last (week|month|year)$/.test(lower)) return subtract(now, 1, lower.split(' ')[1]);
+
+    // "<n> <unit> ago", "2h ago", "hace 2 días", "vor 2 Tagen", "il y a 2 jours", "há 2 dias", "২ দিন আগে"
+    const match = lower.match(/^(?:hace|vor|il y a|há|ha)?\s*(\d+|[a-zà-ÿ]+)\s*([^\s\d]+)\s*(?:ago|atrás|আগে|पहले)?$/i);
+    if (!match) return null;
+
+    const hasMarker = /\b(ago|hace|vor|il y a|há|atrás)\b|আগে|पहले/.test(lower) || /^ha\s/.test(lower);
+    if (!hasMarker) return null;
+
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : (ONE_WORDS.test(match[1]) ? 1 : null);
+    const unit = unitFor(match[2].replace(/[.,]$/, ''));
+    if (amount === null || !unit) return null;
+
+    return subtract(now, amount, unit);
+}
+
+function parseMonthName(text) {
+    const lower = text.toLowerCase().replace(/,/g, ' ').replace(/\b(\d{1,2})(st|nd|rd|th|er|º|o)\b/g, '$1');
+    const time = readTime(lower);
+    const dateText = lower.replace(/\b\d{1,2}:\d{2}(:\d{2})?\s*(am|pm|a\.m\.|p\.m\.)?/g, ' ');
+    const words = dateText.split(/[\s./-]+|\bde\b/).filter(Boolean);
+
+    const monthIndex = words.findIndex(word => MONTHS[word.replace(/\.$/, '')] !== undefined);
+    if (monthIndex === -1) return null;
+
+    const month = MONTHS[words[monthIndex].replace(/\.$/, '')];
+    const numbers = words.filter((word, i) => i !== monthIndex && /^\d+$/.test(word)).map(Number);
+    const year = numbers.find(n => n >= 1900) ?? (numbers.length > 1 ? numbers[numbers.length - 1] : null);
+    const day = numbers.find(n => n >= 1 && n <= 31 && n !== year);
+
+    if (!day || year === null || year === undefined) return null;
+    return buildDate(year, month, day, time);
+}
+
+function parseNumeric(text, dateOrder) {
+    const match = text.match(/\b(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\b/);
+    if (!match) return null;
+
+    const time = readTime(text.slice(match.index + match[0].length));
+    const [a, b, c] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+
+    // yyyy/mm/dd
+    if (match[1].length === 4) {
+        const date = buildDate(a, b - 1, c, time);
+        return date ? { date, ambiguous: false } : null;
+    }
+
+    let dayFirst;
+    let ambiguous = false;
+    if (a > 12 && b <= 12) dayFirst = true;
+    else if (b > 12 && a <= 12) dayFirst = false;
+    else {
+        dayFirst = dateOrder !== 'mdy';
+        ambiguous = !dateOrder && a !== b;
+    }
+
+    const date = dayFirst ? buildDate(c, b - 1, a, time) : buildDate(c, a - 1, b, time);
+    return date ? { date, ambiguous } : null;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parse an upload time text. Options:
+ *   now       - reference time for relative texts (default: current time)
+ *   dateOrder - 'dmy' or 'mdy' for numeric dates like 05/01/2025 (default: guess, day first)
+ * Returns { iso, raw, confidence }; unparseable text falls back to `now`
+ * with confidence "defaulted".
+ */
+export function parseDateText(text, options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const raw = (text || '').trim().replace(/\s+/g, ' ');
+    if (!raw) return result(now, raw, DATE_CONFIDENCE.DEFAULTED);
+
+    const clean = toAsciiDigits(raw)
+        .replace(/^(posted|published|uploaded|updated|added|date)\s*(on|at)?\s*:?\s*/i, '')
+        .trim();
+
+    const iso = parseIso(clean) || parseTimestamp(clean);
+    if (iso) return result(iso, raw, DATE_CONFIDENCE.EXACT);
+
+    // Texts with an explicit zone (RFC 2822, "... GMT") keep their offset
+    if (/\b(GMT|UTC)\b|[+-]\d{4}$/.test(clean)) {
+        const zoned = new Date(clean);
+        if (isValid(zoned)) return result(zoned, raw, DATE_CONFIDENCE.EXACT);
+    }
+
+    const relative = parseRelative(clean, now);
+    if (relative) return result(relative, raw, DATE_CONFIDENCE.RELATIVE);
+
+    const named = parseMonthName(clean);
+    if (named) return result(named, raw, DATE_CONFIDENCE.EXACT);
+
+    const numeric = parseNumeric(clean, options.dateOrder);
+    if (numeric) return result(numeric.date, raw, numeric.ambiguous ? DATE_CONFIDENCE.AMBIGUOUS : DATE_CONFIDENCE.EXACT);
+
+    // Last resort: whatever Date understands (RFC 2822 etc.)
+    const native = new Date(clean);
+    if (isValid(native) && /\d{4}/.test(clean)) return result(native, raw, DATE_CONFIDENCE.EXACT);
+
+    return result(now, raw, DATE_CONFIDENCE.DEFAULTED);
+}
+
+/**
+ * Whether a parsed date came from the text (anything but "defaulted")
+ */
+export function isParsedDate(confidence) {
+    return !!confidence && confidence !== DATE_CONFIDENCE.DEFAULTED;
+}
+
+export default {
+    DATE_CONFIDENCE,
+    parseDateText,
+    isParsedDate
+};
@@ -0,0 +1,239 @@
+// Mobile Tools - Download Links Module
+// Groups a post's download links by server and parses their link texts
+
+// Known file hosts: name, host names and a pattern for link/section texts
+const KNOWN_SERVERS = [
+    { name: 'G-Drive', hosts: ['drive.google.com', 'docs.google.com', 'drive.usercontent.google.com'], pattern: /\b(g[-\s]?drive|google\s*drive)\b/i },
+    { name: 'GDFlix', hosts: ['gdflix'], pattern: /\bgd\s?flix\b/i },
+    { name: 'HubCloud', hosts: ['hubcloud'], pattern: /\bhub\s?cloud\b/i },
+    { name: 'Mega', hosts: ['mega.nz', 'mega.co.nz', 'mega.io'], pattern: /\bmega(\.nz)?\b/i },
+    { name: 'MediaFire', hosts: ['mediafire.com'], pattern: /\bmedia\s?fire\b/i },
+    { name: 'Pixeldrain', hosts: ['pixeldrain.com'], pattern: /\bpixel\s?drain\b/i },
+    { name: 'Terabox', hosts: ['terabox.com', '1024terabox.com', 'teraboxapp.com'], pattern: /\btera\s?box\b/i },
+    { name: 'OneDrive', hosts: ['1drv.ms', 'onedrive.live.com'], pattern: /\bone\s?drive\b/i },
+    { name: 'Dropbox', hosts: ['dropbox.com'], pattern: /\bdropbox\b/i },
+    { name: 'Telegram', hosts: ['t.me', 'telegram.me'], pattern: /\btelegram\b/i }
+];
+
+const QUALITY_PATTERN = /\b(2160p|1440p|1080p|720p|576p|540p|480p|360p|240p|4k|uhd|fhd|hdrip|hd|sd)\b/i;
+const SIZE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(tb|gb|mb|kb)\b/i;
+const EPISODE_PATTERN = /\b(?:episode|ep|e)\s*\.?\s*(\d{1,4})(?:\s*(?:-|–|to)\s*(?:(?:episode|ep|e)\s*\.?\s*)?(\d{1,4}))?\b/i;
+const PACK_PATTERN = /\b(batch|zip|pack|complete(?:\s+season)?|all\s+episodes|full\s+season)\b/i;
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function clean(text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+function hostIs(host, known) {
+    if (!host) return false;
+    if (!known.includes('.')) return host.split('.').includes(known);
+    return host === known || host.endsWith(`.${known}`);
+}
+
+// ============================================================================
+// Link Text Parsing
+// ============================================================================
+
+/**
+ * Parse a download link text. The profile's text patterns (quality, size)
+ * are tried first; other formats like "720p - 1.2GB", "Episode 3" or
+ * "Batch Zip 1080p" are read field by field.
+ */
+export function parseDownloadLinkText(text, textPatterns = []) {
+    const raw = clean(text);
+
+    for (const pattern of toList(textPatterns)) {
+        const match = raw.match(new RegExp(pattern, 'i'));
+        if (match && match[1]) {
+            return {
+                quality: clean(match[1]),
+                size: clean(match[2]),
+                label: describeLabel(raw),
+                matched: true
+            };
+        }
+    }
+
+    const quality = raw.match(QUALITY_PATTERN);
+    const size = raw.match(SIZE_PATTERN);
+    const label = describeLabel(raw);
+
+    // Nothing recognisable: keep the text itself (minus a leading "Download")
+    const fallback = raw.replace(/^download\s*(now|link|here)?\s*[:\-–]?\s*/i, '').replace(/^\[|\]$/g, '').trim();
+
+    return {
+        quality: quality ? quality[1] : (label ? '' : fallback),
+        size: size ? `${size[1].replace(',', '.')}${size[2].toUpperCase()}` : '',
+        label,
+        matched: false
+    };
+}
+
+/**
+ * Episode or pack label of a link text ("Episode 3", "Episode 1-8", "Batch")
+ */
+function describeLabel(text) {
+    const episode = text.match(EPISODE_PATTERN);
+    if (episode) {
+        return episode[2] ? `Episode ${parseInt(episode[1])}-${parseInt(episode[2])}` : `Episode ${parseInt(episode[1])}`;
+    }
+
+    const pack = text.match(PACK_PATTERN);
+    if (pack) {
+        return pack[1].replace(/\s+/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    }
+
+    return '';
+}
+
+// ============================================================================
+// Server Detection
+// ============================================================================
+
+/**
+ * Find a known server name in a text ("GDFlix 720p", "Mega Links")
+ */
+export function detectServerName(text) {
+    const found = KNOWN_SERVERS.find(server => server.pattern.test(text || ''));
+    return found ? found.name : '';
+}
+
+/**
+ * Name a server from a link host (built-in hosts plus the profile's "servers" map)
+ */
+export function serverForHost(host, customServers = {}) {
+    const custom = Object.entries(customServers).find(([known]) => hostIs(host, known.toLowerCase()));
+    if (custom) return custom[1];
+
+    const found = KNOWN_SERVERS.find(server => server.hosts.some(known => hostIs(host, known)));
+    return found ? found.name : '';
+}
+
+/**
+ * Text of the nearest heading before the link (looking at earlier siblings
+ * of the link and of a few of its ancestors)
+ */
+function findPrecedingHeading(el, headingSelector, depth = 4) {
+    let node = el;
+
+    for (let level = 0; node && level < depth; level++) {
+        let sibling = node.previousElementSibling;
+        while (sibling) {
+            if (sibling.matches(headingSelector)) return clean(sibling.textContent);
+            const nested = sibling.querySelectorAll(headingSelector);
+            if (nested.length > 0) return clean(nested[nested.length - 1].textContent);
+            sibling = sibling.previousElementSibling;
+        }
+        node = node.parentElement;
+    }
+
+    return '';
+}
+
+function readRule(root, rules) {
+    for (const rule of toList(rules)) {
+        const el = root.querySelector(rule);
+        const value = clean(el?.textContent);
+        if (value) return value;
+    }
+    return '';
+}
+
+// ============================================================================
+// Extraction
+// ============================================================================
+
+/**
+ * Collect the download links of a parsed post, grouped into
+ * { server, server_info, qualities, labels } entries.
+ * Always returns at least one (possibly empty) group.
+ */
+export function extractDownloadOptions(doc, baseUrl, rules = {}) {
+    const pageHost = hostOf(baseUrl);
+    const defaultServer = rules.defaultServer || 'G-Drive';
+    const groups = new Map();
+    const seen = new Set();
+
+    const groupFor = (server) => {
+        if (!groups.has(server)) {
+            groups.set(server, { server, infos: new Set(), qualities: [], labels: new Set() });
+        }
+        return groups.get(server);
+    };
+
+    toList(rules.selectors).forEach(selector => {
+        doc.querySelectorAll(selector).forEach(a => {
+            const href = a.getAttribute('href');
+            if (!href || href.startsWith('#') || href.startsWith('javascript:')) return;
+
+            let path;
+            try {
+                path = new URL(href, baseUrl).href;
+            } catch (e) {
+                path = href;
+            }
+            if (seen.has(path)) return;
+            seen.add(path);
+
+            const text = clean(a.textContent) || clean(a.getAttribute('title'));
+            const parsed = parseDownloadLinkText(text, [...toList(rules.textPattern), ...toList(rules.textPatterns)]);
+            const linkHost = hostOf(path);
+            const external = linkHost && linkHost !== pageHost;
+
+            // Server: section title, heading, link text, link host, default
+            const section = rules.sections ? a.closest(rules.sections) : null;
+            const sectionTitle = section ? readRule(section, rules.sectionTitle) : '';
+            const heading = rules.serverHeading ? findPrecedingHeading(a, rules.serverHeading) : '';
+            const server = clean(sectionTitle) ||
+                heading ||
+                detectServerName(`${text} ${a.getAttribute('title') || ''} ${a.getAttribute('class') || ''}`) ||
+                serverForHost(linkHost, rules.servers) ||
+                (external ? linkHost : '') ||
+                defaultServer;
+
+            const group = groupFor(server);
+            const sectionInfo = section && rules.sectionInfo ? readRule(section, rules.sectionInfo) : '';
+            if (sectionInfo) group.infos.add(sectionInfo);
+            else if (external && linkHost !== server.toLowerCase()) group.infos.add(linkHost);
+            if (parsed.label) group.labels.add(parsed.label);
+
+            group.qualities.push({
+                quality_text: parsed.quality,
+                path,
+                file_size: parsed.size,
+                label: parsed.label
+            });
+        });
+    });
+
+    if (groups.size === 0) {
+        groupFor(defaultServer);
+    }
+
+    return Array.from(groups.values()).map(group => ({
+        server: group.server,
+        server_info: Array.from(group.infos).join(', '),
+        qualities: group.qualities,
+        labels: Array.from(group.labels)
+    }));
+}
+
+export default {
+    parseDownloadLinkText,
+    detectServerName,
+    serverForHost,
+    extractDownloadOptions
+};
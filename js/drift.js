@@ -0,0 +1,164 @@
+// Mobile Tools - Drift Module
+// Per-field extraction statistics of a run and structure drift detection
+// against previous runs of the same site
+
+// Record fields whose hit rate is tracked, with the test for a hit
+export const TRACKED_FIELDS = {
+    title: record => !!record.title,
+    imageUrl: record => !!record.imageUrl,
+    genre: record => !!record.genre,
+    imdb: record => !!record.imdb,
+    released: record => !!record.released,
+    cast: record => !!record.cast,
+    storyline: record => !!record.storyline,
+    uploadTime: record => !!record.upload_time_confidence && record.upload_time_confidence !== 'defaulted',
+    screenshots: record => (record.screenshotLinks || []).length > 0,
+    downloadLinks: record => (record.downloadOptions || []).some(option => (option.qualities || []).length > 0)
+};
+
+// A detail page missing any of these is captured as a failing page
+export const REQUIRED_FIELDS = ['title', 'imageUrl', 'downloadLinks'];
+
+export const DEFAULT_DRIFT_OPTIONS = {
+    minRecords: 5,      // runs with fewer records are not compared
+    minBaseline: 0.5,   // fields rarely found before are not alerted on
+    maxDrop: 0.3,       // alert when the rate drops by more than this
+    baselineRuns: 5     // previous runs averaged into the baseline
+};
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+// ============================================================================
+// Run Statistics
+// ============================================================================
+
+/**
+ * Collect extraction statistics per site host during a run
+ */
+export function createExtractionStats() {
+    const hosts = new Map();
+
+    const statsFor = (url) => {
+        const host = hostOf(url) || 'unknown';
+        if (!hosts.has(host)) {
+            hosts.set(host, {
+                host,
+                listingPages: 0,
+                emptyListingPages: 0,
+                records: 0,
+                fields: Object.fromEntries(Object.keys(TRACKED_FIELDS).map(field => [field, { hits: 0, fallback: 0 }]))
+            });
+        }
+        return hosts.get(host);
+    };
+
+    return {
+        /**
+         * Count a parsed listing page
+         */
+        addListing(url, cardCount) {
+            const stats = statsFor(url);
+            stats.listingPages++;
+            if (cardCount === 0) stats.emptyListingPages++;
+        },
+
+        /**
+         * Count an extracted record. Returns the required fields it misses.
+         */
+        addRecord(url, record) {
+            const stats = statsFor(url);
+            stats.records++;
+
+            const missing = [];
+            Object.entries(TRACKED_FIELDS).forEach(([field, hit]) => {
+                if (hit(record)) {
+                    stats.fields[field].hits++;
+                    // Found only through structured data: the profile selector missed it
+                    const source = record.field_sources?.[field];
+                    if (source && source !== 'profile') stats.fields[field].fallback++;
+                } else if (REQUIRED_FIELDS.includes(field)) {
+                    missing.push(field);
+                }
+            });
+            return missing;
+        },
+
+        /**
+         * Plain summaries per host: rates are hits / records
+         */
+        summarize() {
+            return Array.from(hosts.values()).map(stats => ({
+                host: stats.host,
+                listingPages: stats.listingPages,
+                emptyListingPages: stats.emptyListingPages,
+                records: stats.records,
+                fields: Object.fromEntries(Object.entries(stats.fields).map(([field, counts]) => [field, {
+                    ...counts,
+                    rate: stats.records > 0 ? Math.round((counts.hits / stats.records) * 100) / 100 : 0
+                }]))
+            }));
+        }
+    };
+}
+
+// ============================================================================
+// Drift Detection
+// ============================================================================
+
+/**
+ * Compare a host's run summary with its previous runs (newest first).
+ * Returns alerts [{ field, rate, baseline, message }]; empty when nothing
+ * dropped or there is not enough data to compare.
+ */
+export function detectDrift(current, previousRuns = [], options = {}) {
+    const { minRecords, minBaseline, maxDrop, baselineRuns } = { ...DEFAULT_DRIFT_OPTIONS, ...options };
+    const alerts = [];
+
+    // Not a single card on any listing page of the run
+    if (current.listingPages > 0 && current.emptyListingPages === current.listingPages) {
+        alerts.push({
+            field: 'listing',
+            rate: 0,
+            baseline: null,
+            message: `No movie cards found on any of ${current.listingPages} listing pages`
+        });
+    }
+
+    if (current.records < minRecords) return alerts;
+
+    const baseline = previousRuns
+        .filter(run => run.records >= minRecords)
+        .slice(0, baselineRuns);
+    if (baseline.length === 0) return alerts;
+
+    Object.keys(TRACKED_FIELDS).forEach(field => {
+        const rates = baseline.map(run => run.fields?.[field]?.rate ?? 0);
+        const average = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+        const rate = current.fields[field]?.rate ?? 0;
+
+        if (average >= minBaseline && average - rate > maxDrop) {
+            alerts.push({
+                field,
+                rate,
+                baseline: Math.round(average * 100) / 100,
+                message: `${field} found on ${Math.round(rate * 100)}% of posts (was ${Math.round(average * 100)}%)`
+            });
+        }
+    });
+
+    return alerts;
+}
+
+export default {
+    TRACKED_FIELDS,
+    REQUIRED_FIELDS,
+    DEFAULT_DRIFT_OPTIONS,
+    createExtractionStats,
+    detectDrift
+};
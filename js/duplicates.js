@@ -0,0 +1,295 @@
+// Mobile Tools - Duplicates Module
+// In-memory duplicate index with configurable match rules, fuzzy title
+// similarity and an explanation of every match
+
+import { getSeasonNumbers, SEASON_TAG_PATTERN } from './seasons.js';
+
+export const MATCH_RULES = {
+    POST_URL: 'post_url',
+    TITLE_YEAR_TYPE: 'title_year_type',
+    POSTER: 'poster',
+    FUZZY_TITLE: 'fuzzy_title'
+};
+
+export const DEFAULT_MATCH_OPTIONS = {
+    rules: [MATCH_RULES.POST_URL, MATCH_RULES.TITLE_YEAR_TYPE, MATCH_RULES.POSTER, MATCH_RULES.FUZZY_TITLE],
+    fuzzyThreshold: 0.88
+};
+
+// Release/encode words that differ between otherwise identical titles
+const TITLE_NOISE = /\b(2160p|1080p|720p|480p|360p|4k|uhd|hdrip|web-?dl|webrip|bluray|brrip|dvdrip|hdtv|x264|x265|hevc|10bit|dual audio|hindi dubbed|dubbed|esubs?|full movie|watch online|download)\b/g;
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/**
+ * Canonical form of a post URL (no scheme, "www.", hash or trailing slash)
+ */
+export function normalizeUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${path}${parsed.search}`;
+    } catch (e) {
+        return url.trim().toLowerCase().replace(/#.*$/, '').replace(/\/+$/, '');
+    }
+}
+
+/**
+ * Poster URL without query, CDN host prefix and size/format variants
+ * ("-300x450", "_thumb", ".webp"), so re-encoded posters still match
+ */
+export function normalizePosterUrl(url) {
+    if (!url) return '';
+    let path = url.trim().toLowerCase();
+    try {
+        path = new URL(url).pathname.toLowerCase();
+    } catch (e) {
+        path = path.replace(/[?#].*$/, '');
+    }
+    const file = path.split('/').filter(Boolean).pop() || '';
+    return file
+        .replace(/\.(jpe?g|png|webp|avif|gif)$/, '')
+        .replace(/[-_](\d{2,4}x\d{2,4}|thumb|small|medium|large|scaled|w\d+|h\d+)$/g, '')
+        .replace(/[-_](\d{2,4}x\d{2,4}|thumb|small|medium|large|scaled)$/g, '');
+}
+
+/**
+ * Lowercase title without season tags, years, release words and punctuation
+ */
+export function normalizeTitle(title) {
+    return (title || '')
+        .replace(SEASON_TAG_PATTERN, ' ')
+        .toLowerCase()
+        .replace(/[([]\s*(19|20)\d{2}\s*[)\]]/g, ' ')
+        .replace(TITLE_NOISE, ' ')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Four-digit year of a record (released field, else the title)
+ */
+export function getRecordYear(record) {
+    const match = `${record?.released || ''} ${record?.title || ''}`.match(/\b(19\d{2}|20\d{2})\b/);
+    return match ? match[1] : '';
+}
+
+function normalizeType(type) {
+    const value = (type || '').toLowerCase();
+    if (/series|season|tv|show/.test(value)) return 'series';
+    return value.trim() || 'movie';
+}
+
+// ============================================================================
+// Similarity
+// ============================================================================
+
+function bigrams(text) {
+    const value = ` ${text} `;
+    const grams = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+        const gram = value.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+/**
+ * Dice coefficient of character bigrams (0..1) of two normalized titles
+ */
+export function titleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+
+    gramsA.forEach((count, gram) => {
+        total += count;
+        overlap += Math.min(count, gramsB.get(gram) || 0);
+    });
+    gramsB.forEach(count => {
+        total += count;
+    });
+
+    return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+function seasonsOverlap(a, b) {
+    const seasonsA = getSeasonNumbers(a);
+    const seasonsB = getSeasonNumbers(b);
+    if (seasonsA.length === 0 || seasonsB.length === 0) return true;
+    return seasonsA.some(season => seasonsB.includes(season));
+}
+
+function addToBucket(map, key, record) {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(record);
+}
+
+function removeFromBucket(map, key, matches) {
+    if (!key || !map.has(key)) return;
+    const bucket = map.get(key).filter(item => !matches(item));
+    if (bucket.length > 0) map.set(key, bucket);
+    else map.delete(key);
+}
+
+/**
+ * Create a duplicate index. Lookups are keyed by canonical post URL,
+ * title+year+type and poster; fuzzy title matching only compares records
+ * of the same type and first title word, and their years when both have one.
+ * A series never matches a record that covers other seasons only (separate
+ * posts per season).
+ */
+export function createDuplicateIndex(records = [], options = {}) {
+    const rules = options.rules || DEFAULT_MATCH_OPTIONS.rules;
+    const fuzzyThreshold = options.fuzzyThreshold ?? DEFAULT_MATCH_OPTIONS.fuzzyThreshold;
+
+    const byUrl = new Map();
+    const byTitleKey = new Map();
+    const byPoster = new Map();
+    const byFuzzyBucket = new Map();
+    let size = 0;
+
+    const keysOf = (record) => {
+        const title = normalizeTitle(record.title);
+        const year = getRecordYear(record);
+        const type = normalizeType(record.info4_type);
+        return {
+            url: normalizeUrl(record.post_url),
+            title,
+            titleKey: title ? `${title}|${year}|${type}` : '',
+            poster: normalizePosterUrl(record.imageUrl),
+            year,
+            fuzzyBucket: title ? `${type}|${title.split(' ')[0]}` : ''
+        };
+    };
+
+    const add = (record) => {
+        if (!record) return;
+        const keys = keysOf(record);
+        if (keys.url && !byUrl.has(keys.url)) byUrl.set(keys.url, record);
+        addToBucket(byTitleKey, keys.titleKey, record);
+        addToBucket(byPoster, keys.poster, record);
+        addToBucket(byFuzzyBucket, keys.fuzzyBucket, { record, title: keys.title, year: keys.year });
+        size++;
+    };
+
+    /**
+     * Drop a record from the index. Its keys are computed from its current
+     * values, so remove it before changing them and add it again after.
+     */
+    const remove = (record) => {
+        if (!record) return;
+        const keys = keysOf(record);
+        if (byUrl.get(keys.url) === record) byUrl.delete(keys.url);
+        removeFromBucket(byTitleKey, keys.titleKey, item => item === record);
+        removeFromBucket(byPoster, keys.poster, item => item === record);
+        removeFromBucket(byFuzzyBucket, keys.fuzzyBucket, item => item.record === record);
+        size--;
+    };
+
+    /**
+     * Find the record a scraped item duplicates.
+     * Returns { record, rule, score, reason } or null.
+     */
+    const find = (record) => {
+        const keys = keysOf(record);
+        const title = record.title || keys.title;
+
+        if (rules.includes(MATCH_RULES.POST_URL) && keys.url && byUrl.has(keys.url)) {
+            return {
+                record: byUrl.get(keys.url),
+                rule: MATCH_RULES.POST_URL,
+                score: 1,
+                reason: `Same post URL (${keys.url})`
+            };
+        }
+
+        if (rules.includes(MATCH_RULES.TITLE_YEAR_TYPE) && keys.titleKey) {
+            const match = (byTitleKey.get(keys.titleKey) || []).find(item => seasonsOverlap(item, record));
+            if (match) {
+                const year = getRecordYear(record);
+                return {
+                    record: match,
+                    rule: MATCH_RULES.TITLE_YEAR_TYPE,
+                    score: 1,
+                    reason: `Same title "${title}"${year ? `, year ${year}` : ''} and type ${normalizeType(record.info4_type)}`
+                };
+            }
+        }
+
+        if (rules.includes(MATCH_RULES.POSTER) && keys.poster) {
+            const match = (byPoster.get(keys.poster) || []).find(item =>
+                seasonsOverlap(item, record) &&
+                titleSimilarity(normalizeTitle(item.title), keys.title) >= fuzzyThreshold / 2);
+            if (match) {
+                return {
+                    record: match,
+                    rule: MATCH_RULES.POSTER,
+                    score: 1,
+                    reason: `Same poster image (${keys.poster}) and similar title "${match.title}"`
+                };
+            }
+        }
+
+        if (rules.includes(MATCH_RULES.FUZZY_TITLE) && keys.fuzzyBucket) {
+            let best = null;
+            (byFuzzyBucket.get(keys.fuzzyBucket) || []).forEach(candidate => {
+                if (candidate.year && keys.year && candidate.year !== keys.year) return;
+                const score = titleSimilarity(candidate.title, keys.title);
+                if (score >= fuzzyThreshold && (!best || score > best.score) && seasonsOverlap(candidate.record, record)) {
+                    best = { record: candidate.record, score };
+                }
+            });
+            if (best) {
+                return {
+                    record: best.record,
+                    rule: MATCH_RULES.FUZZY_TITLE,
+                    score: Math.round(best.score * 100) / 100,
+                    reason: `Title "${title}" is ${Math.round(best.score * 100)}% similar to "${best.record.title}"`
+                };
+            }
+        }
+
+        return null;
+    };
+
+    records.forEach(add);
+
+    return {
+        rules,
+        fuzzyThreshold,
+        add,
+        remove,
+        find,
+        findByPostUrl: (url) => byUrl.get(normalizeUrl(url)) || null,
+        get size() {
+            return size;
+        }
+    };
+}
+
+export default {
+    MATCH_RULES,
+    DEFAULT_MATCH_OPTIONS,
+    normalizeUrl,
+    normalizePosterUrl,
+    normalizeTitle,
+    getRecordYear,
+    titleSimilarity,
+    createDuplicateIndex
+};
@@ -0,0 +1,564 @@
+// Mobile Tools - Scrape Engine Module
+// Runs scraping jobs (page range / custom links / sitemap / search) without touching the DOM,
+// either inside the scraper Web Worker or inline as a fallback
+
+import * as Scraper from './scraper.js';
+import { getProfileForUrl } from './profiles.js';
+import * as Pagination from './pagination.js';
+import { createDuplicateIndex } from './duplicates.js';
+import { createIdAllocator, ID_SCHEMES } from './ids.js';
+import { recordIdStore, saveHtmlSnapshot } from './storage.js';
+import { createExtractionStats } from './drift.js';
+import { createPolitenessPolicy, getRobots } from './politeness.js';
+import * as Sitemap from './sitemap.js';
+
+// Failing pages saved per run; the rest only count in the statistics
+const MAX_SNAPSHOTS_PER_RUN = 10;
+
+// Sitemap posts scraped per batch (one cursor step)
+const SITEMAP_BATCH_SIZE = 20;
+
+// How often runScrapeJobInWorker asks its caller whether to stop
+const STOP_CHECK_INTERVAL = 500;
+
+// ============================================================================
+// Message Protocol
+// ============================================================================
+//
+// Main thread -> worker:
+//   { type: 'start', job, settings, siteProfiles, existingData, scrapedData,
+//     newScrapedData, processedUrls, cursor }
+//   { type: 'stop' }
+//
+// Worker -> main thread:
+//   { type: 'progress', notice?, cursor?, currentPage?, completed?, total?, job? }
+//   { type: 'item', event }      (the onMovieScraped event of the scraper)
+//   { type: 'done', stopped, knownSkipped, stats, log, error? }
+
+export const ENGINE_MESSAGES = {
+    START: 'start',
+    STOP: 'stop',
+    PROGRESS: 'progress',
+    ITEM: 'item',
+    DONE: 'done'
+};
+
+// ============================================================================
+// Job Runner
+// ============================================================================
+
+/**
+ * Run a scraping job to completion. Everything the UI needs is reported
+ * through emit(type, payload); the data arrays in `context` are owned by the run.
+ */
+export async function runScrapeJob(job, context = {}) {
+    const settings = context.settings || {};
+    // scrapedData usually starts as a copy of existingData: each record once
+    const knownRecords = [...new Set([...(context.existingData || []), ...(context.scrapedData || [])])];
+
+    const run = {
+        job,
+        cursor: { ...(context.cursor || {}) },
+        emit: context.emit || (() => {}),
+        shouldStop: context.shouldStop || (() => false),
+        existingData: context.existingData || [],
+        scrapedData: context.scrapedData || [],
+        newScrapedData: context.newScrapedData || [],
+        processedUrls: new Set(context.processedUrls || []),
+        scheduler: Scraper.createRequestScheduler({
+            concurrency: settings.concurrency ?? 3,
+            minInterval: settings.delayBetweenRequests ?? 500,
+            jitter: settings.requestJitter ?? 250
+        }),
+        incremental: (job.mode === 'page-range' && job.incrementalMode)
+            ? Scraper.createIncrementalTracker({ stopAfterKnown: job.stopAfterKnown })
+            : null,
+        // One duplicate index for the whole run; new movies are added as they are scraped
+        duplicateIndex: createDuplicateIndex(knownRecords, settings.duplicateMatching || {}),
+        // IDs are reserved in IndexedDB (shared with other tabs) when available
+        idAllocator: createIdAllocator({
+            scheme: settings.idScheme || ID_SCHEMES.SERIAL,
+            records: [...new Set([...knownRecords, ...(context.newScrapedData || [])])],
+            store: typeof indexedDB !== 'undefined' ? recordIdStore : null
+        }),
+        mergePolicies: settings.mergePolicies || {},
+        // Per-field extraction rates (structure drift detection)
+        stats: createExtractionStats(),
+        snapshots: 0,
+        retryPolicy: {
+            retries: settings.maxRetries ?? 3,
+            timeout: settings.requestTimeout ?? 30000
+        },
+        proxyUrl: settings.proxyUrl,
+        // Run log: robots.txt decisions, overrides and skipped URLs per host
+        log: []
+    };
+
+    // robots.txt is fetched through the run's scheduler and timeout
+    run.robotsOptions = {
+        proxyUrl: run.proxyUrl,
+        retryPolicy: { retries: 1, timeout: run.retryPolicy.timeout },
+        scheduler: run.scheduler
+    };
+    run.politeness = createPolitenessPolicy({
+        ...run.robotsOptions,
+        onLog: (entry) => addLogEntry(run, entry)
+    });
+
+    if (job.mode === 'page-range') {
+        await scrapePageRange(run);
+    } else if (job.mode === 'sitemap') {
+        await scrapeSitemap(run);
+    } else if (job.mode === 'search') {
+        await scrapeSearch(run);
+    } else {
+        await scrapeCustomLinks(run);
+    }
+
+    return {
+        stopped: run.shouldStop(),
+        knownSkipped: run.incremental ? run.incremental.knownSkipped : null,
+        stats: run.stats.summarize(),
+        log: run.log
+    };
+}
+
+/**
+ * Options shared by every scrapePage/scrapeLink call of a run
+ */
+function getScrapeOptions(run) {
+    return {
+        proxyUrl: run.proxyUrl,
+        scheduler: run.scheduler,
+        incremental: run.incremental,
+        duplicateIndex: run.duplicateIndex,
+        mergePolicies: run.mergePolicies,
+        idAllocator: run.idAllocator,
+        retryPolicy: run.retryPolicy,
+        politeness: run.politeness,
+        onProgress: (notice) => run.emit(ENGINE_MESSAGES.PROGRESS, { notice }),
+        onMovieScraped: (event) => handleMovieScraped(run, event),
+        onPageParsed: (page) => handlePageParsed(run, page),
+        shouldStop: run.shouldStop,
+        skipUrls: run.processedUrls,
+        existingData: run.existingData,
+        scrapedData: run.scrapedData,
+        newScrapedData: run.newScrapedData
+    };
+}
+
+function handleMovieScraped(run, event) {
+    if (event.postUrl) {
+        run.processedUrls.add(Scraper.canonicalUrl(event.postUrl));
+    }
+    if (event.movie && !event.isDuplicate) {
+        run.newScrapedData.push(event.movie);
+        run.scrapedData.push(event.movie);
+    }
+    run.emit(ENGINE_MESSAGES.ITEM, { event });
+}
+
+/**
+ * Count a parsed page in the run statistics and keep the HTML of pages
+ * where extraction failed (no cards, required fields missing)
+ */
+function handlePageParsed(run, page) {
+    let reason = '';
+    if (page.kind === 'listing') {
+        run.stats.addListing(page.url, page.cardCount);
+        if (page.cardCount === 0) reason = 'No movie cards found';
+    } else {
+        const missing = run.stats.addRecord(page.url, page.record);
+        if (missing.length > 0) reason = `Missing fields: ${missing.join(', ')}`;
+    }
+
+    if (!reason || run.snapshots >= MAX_SNAPSHOTS_PER_RUN || typeof indexedDB === 'undefined') return;
+    run.snapshots++;
+
+    saveHtmlSnapshot({ runId: run.job.runId || '', url: page.url, kind: page.kind, reason, html: page.html || '' })
+        .catch(error => console.error('Failed to save HTML snapshot:', error.message));
+}
+
+function moveCursor(run, cursor, currentPage) {
+    run.cursor = cursor;
+    run.emit(ENGINE_MESSAGES.PROGRESS, { cursor, currentPage });
+}
+
+/**
+ * Add an entry to the run log; warnings are shown as they happen
+ */
+function addLogEntry(run, entry) {
+    run.log.push({ time: new Date().toISOString(), ...entry });
+    if (entry.type !== 'info') notify(run, entry.type, `${entry.host}: ${entry.message}`);
+}
+
+function notify(run, type, message) {
+    run.emit(ENGINE_MESSAGES.PROGRESS, { notice: { type, message } });
+}
+
+/**
+ * Pagination of a page-range job: the site profile's, with the job's choices on top
+ */
+export function getJobPagination(job) {
+    const { strategy, param } = job.pagination || {};
+    const pagination = { ...getProfileForUrl(job.websiteUrl).pagination };
+    if (strategy) pagination.strategy = strategy;
+    if (param) pagination.param = param;
+    return pagination;
+}
+
+/**
+ * Scrape listing pages startPage..endPage. A missing endPage is detected from
+ * the pager of the start page; the "next-link" strategy follows Next links instead.
+ */
+async function scrapePageRange(run) {
+    const { websiteUrl: baseUrl, startPage, direction } = run.job;
+    let endPage = run.job.endPage;
+
+    const pagination = getJobPagination(run.job);
+
+    if (Pagination.resolveStrategy(baseUrl, pagination) === Pagination.PAGINATION_STRATEGIES.NEXT_LINK) {
+        await scrapeFollowingNextLinks(run, baseUrl, startPage, endPage);
+        return;
+    }
+
+    if (!endPage) {
+        notify(run, 'info', 'Detecting last page...');
+        try {
+            const firstPageUrl = Pagination.buildPageUrl(baseUrl, startPage, pagination);
+            const { lastPage } = await Scraper.fetchPagerInfo(firstPageUrl, getScrapeOptions(run));
+            endPage = Math.max(startPage, lastPage);
+            notify(run, 'info', lastPage ? `Last page detected: ${endPage}` : 'No pager found, scraping start page only');
+        } catch (error) {
+            endPage = startPage;
+            notify(run, 'warning', `Could not detect last page: ${error.message}`);
+        }
+
+        // Remember the detected range so a resumed session does not detect again
+        run.emit(ENGINE_MESSAGES.PROGRESS, { job: { endPage } });
+    }
+
+    const pages = [];
+
+    if (direction === 'start-to-end') {
+        for (let i = startPage; i <= endPage; i++) {
+            pages.push(i);
+        }
+    } else {
+        for (let i = endPage; i >= startPage; i--) {
+            pages.push(i);
+        }
+    }
+
+    // Resumed session: continue with the page that was interrupted
+    const resumeIndex = run.cursor.page ? pages.indexOf(run.cursor.page) : -1;
+    if (resumeIndex > 0) {
+        pages.splice(0, resumeIndex);
+    }
+
+    for (const pageNum of pages) {
+        if (run.shouldStop() || run.incremental?.isDone) break;
+
+        moveCursor(run, { page: pageNum }, pageNum);
+        const pageUrl = Pagination.buildPageUrl(baseUrl, pageNum, pagination);
+
+        await Scraper.scrapePage(pageUrl, pageNum, getScrapeOptions(run));
+
+        run.emit(ENGINE_MESSAGES.PROGRESS, { completed: pages.indexOf(pageNum) + 1, total: pages.length });
+    }
+}
+
+/**
+ * Crawl listing pages by following each page's Next link, starting at the URL
+ * as entered. Stops after endPage - startPage + 1 pages, or at the last page.
+ * `options.cursor` adds fields to every cursor step; with `options.pagination`
+ * pagers without a Next link continue with numbered pages up to the last one.
+ */
+async function scrapeFollowingNextLinks(run, startUrl, startPage, endPage, options = {}) {
+    const { cursor = {}, pagination = null } = options;
+    const maxPages = endPage ? Math.max(1, endPage - (run.cursor.page || startPage) + 1) : Infinity;
+    const visited = new Set();
+    let pageUrl = run.cursor.pageUrl || startUrl;
+    let pageNum = run.cursor.page || startPage;
+    let lastPage = 0;
+
+    while (pageUrl && !visited.has(pageUrl) && visited.size < maxPages) {
+        if (run.shouldStop() || run.incremental?.isDone) break;
+
+        visited.add(pageUrl);
+        moveCursor(run, { ...cursor, page: pageNum, pageUrl }, pageNum);
+        let nextPageUrl = '';
+
+        await Scraper.scrapePage(pageUrl, pageNum, {
+            ...getScrapeOptions(run),
+            onPageLoaded: (pager) => {
+                nextPageUrl = pager.nextPageUrl;
+                lastPage = Math.max(lastPage, pager.lastPage);
+            }
+        });
+
+        if (!nextPageUrl && pagination && pageNum < lastPage) {
+            nextPageUrl = Pagination.buildPageUrl(startUrl, pageNum + 1, pagination);
+        }
+
+        const total = Number.isFinite(maxPages) ? maxPages : Math.max(lastPage - startPage + 1, visited.size + (nextPageUrl ? 1 : 0));
+        run.emit(ENGINE_MESSAGES.PROGRESS, { completed: visited.size, total });
+
+        pageUrl = nextPageUrl;
+        pageNum++;
+    }
+
+    if (!pageUrl && !run.incremental?.isDone) {
+        notify(run, 'info', 'Reached the last page');
+    }
+}
+
+/**
+ * Post URLs of a sitemap job, filtered by URL pattern and lastmod. Stored posts
+ * are left out unless their sitemap lastmod is newer than the stored record.
+ */
+async function discoverSitemapUrls(run) {
+    const { job } = run;
+    const options = getScrapeOptions(run);
+
+    notify(run, 'info', 'Reading sitemaps...');
+    const robots = await getRobots(job.sitemapUrl, run.robotsOptions);
+    const start = Sitemap.getStartSitemaps(job.sitemapUrl, robots.rules?.sitemaps || []);
+
+    let entries = await Sitemap.collectSitemapUrls(start.urls, {
+        fetchPage: (url) => Scraper.fetchScheduled(url, options),
+        urlPattern: job.urlPattern,
+        lastmodFrom: job.lastmodFrom,
+        lastmodTo: job.lastmodTo,
+        optional: start.guessed,
+        onProgress: options.onProgress,
+        shouldStop: run.shouldStop
+    });
+
+    if (job.skipKnown) {
+        const total = entries.length;
+        entries = entries.filter(entry => {
+            const stored = run.duplicateIndex.findByPostUrl(entry.loc);
+            return !stored || (entry.lastmod && Date.parse(entry.lastmod) > Date.parse(stored.lastUpdated || 0));
+        });
+        notify(run, 'info', `${total - entries.length} stored posts skipped (unchanged since last scrape)`);
+    }
+
+    return entries.map(entry => entry.loc);
+}
+
+/**
+ * Scrape the posts listed in a site's sitemaps, in batches through the same
+ * detail pipeline as listing cards
+ */
+async function scrapeSitemap(run) {
+    let urls = run.job.sitemapUrls;
+
+    if (!urls) {
+        urls = await discoverSitemapUrls(run);
+        if (run.shouldStop()) return;
+
+        notify(run, urls.length > 0 ? 'info' : 'warning', `${urls.length} posts found in sitemaps`);
+        // A resumed session continues this list instead of reading the sitemaps again
+        run.emit(ENGINE_MESSAGES.PROGRESS, { job: { sitemapUrls: urls } });
+    }
+
+    for (let i = run.cursor.linkIndex || 0; i < urls.length; i += SITEMAP_BATCH_SIZE) {
+        if (run.shouldStop()) break;
+
+        const batchNumber = Math.floor(i / SITEMAP_BATCH_SIZE) + 1;
+        moveCursor(run, { linkIndex: i }, batchNumber);
+
+        await Scraper.scrapePostUrls(urls.slice(i, i + SITEMAP_BATCH_SIZE), batchNumber, getScrapeOptions(run));
+
+        run.emit(ENGINE_MESSAGES.PROGRESS, { completed: Math.min(i + SITEMAP_BATCH_SIZE, urls.length), total: urls.length });
+    }
+}
+
+/**
+ * Scrape every result page of each search query or category path. Posts found
+ * by an earlier query are not fetched again, and the run's duplicate index
+ * merges the same movie reached through different post URLs.
+ */
+async function scrapeSearch(run) {
+    const { searchSiteUrl: siteUrl, searchType, searchTerms, maxPages } = run.job;
+    const terms = Pagination.parseSearchTerms(searchTerms);
+    const profile = getProfileForUrl(siteUrl);
+
+    // Numbered result pages only work with query or path pagination (templates describe the home listing)
+    const strategy = Pagination.resolveStrategy(siteUrl, profile.pagination);
+    const pagination = [Pagination.PAGINATION_STRATEGIES.QUERY, Pagination.PAGINATION_STRATEGIES.PATH].includes(strategy)
+        ? { ...profile.pagination, strategy }
+        : null;
+    const label = searchType === Pagination.SEARCH_TYPES.CATEGORY ? 'Category' : 'Search';
+
+    const resumeIndex = run.cursor.queryIndex || 0;
+
+    for (let i = resumeIndex; i < terms.length; i++) {
+        if (run.shouldStop()) break;
+
+        // Only the interrupted query continues at its saved page
+        if (i !== resumeIndex) run.cursor = { queryIndex: i };
+
+        const startUrl = Pagination.buildSearchUrl(siteUrl, terms[i], searchType, profile.search);
+        notify(run, 'info', `${label} ${i + 1} of ${terms.length}: "${terms[i]}"`);
+
+        await scrapeFollowingNextLinks(run, startUrl, 1, maxPages || null, { cursor: { queryIndex: i }, pagination });
+    }
+}
+
+async function scrapeCustomLinks(run) {
+    const links = (run.job.customLinks || '').split('\n').filter(l => l.trim());
+
+    for (let i = run.cursor.linkIndex || 0; i < links.length; i++) {
+        if (run.shouldStop()) break;
+
+        const link = links[i].trim();
+        moveCursor(run, { linkIndex: i }, i + 1);
+
+        await Scraper.scrapeLink(link, i + 1, getScrapeOptions(run));
+
+        run.emit(ENGINE_MESSAGES.PROGRESS, { completed: i + 1, total: links.length });
+    }
+}
+
+// ============================================================================
+// Engine Client (main thread)
+// ============================================================================
+
+/**
+ * Create an engine that runs jobs in the scraper worker, or inline when
+ * module workers are unavailable. Handlers receive the protocol messages.
+ */
+export function createScrapeEngine(handlers = {}) {
+    const { onProgress = () => {}, onItem = () => {}, onDone = () => {} } = handlers;
+    let worker = null;
+    let inlineStop = false;
+    let running = false;
+
+    const dispatch = (message) => {
+        switch (message.type) {
+            case ENGINE_MESSAGES.PROGRESS:
+                onProgress(message);
+                break;
+            case ENGINE_MESSAGES.ITEM:
+                onItem(message.event);
+                break;
+            case ENGINE_MESSAGES.DONE:
+                running = false;
+                if (worker) {
+                    worker.terminate();
+                    worker = null;
+                }
+                onDone(message);
+                break;
+        }
+    };
+
+    const runInline = async (payload) => {
+        console.log('⚙️ Scraping on the main thread');
+        inlineStop = false;
+
+        try {
+            const result = await runScrapeJob(payload.job, {
+                ...payload,
+                // The run owns its arrays; the main thread keeps its own copies
+                scrapedData: [...payload.scrapedData],
+                newScrapedData: [...payload.newScrapedData],
+                emit: (type, data) => dispatch({ type, ...data }),
+                shouldStop: () => inlineStop
+            });
+            dispatch({ type: ENGINE_MESSAGES.DONE, ...result });
+        } catch (error) {
+            dispatch({ type: ENGINE_MESSAGES.DONE, stopped: true, knownSkipped: null, stats: [], log: [], error: error.message });
+        }
+    };
+
+    const start = (payload) => {
+        running = true;
+
+        if (typeof Worker === 'undefined') {
+            runInline(payload);
+            return;
+        }
+
+        let received = false;
+        try {
+            worker = new Worker(new URL('./scraper-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Scraper worker unavailable:', error);
+            worker = null;
+            runInline(payload);
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            received = true;
+            dispatch(e.data);
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault?.();
+            worker?.terminate();
+            worker = null;
+
+            // A worker that never answered failed to load (no module worker support)
+            if (!received) {
+                console.warn('Scraper worker failed to start, running inline:', e.message);
+                runInline(payload);
+            } else {
+                dispatch({ type: ENGINE_MESSAGES.DONE, stopped: true, knownSkipped: null, stats: [], log: [], error: e.message || 'Worker error' });
+            }
+        };
+
+        worker.postMessage({ type: ENGINE_MESSAGES.START, ...payload });
+        console.log('⚙️ Scraping in a Web Worker');
+    };
+
+    const stop = () => {
+        inlineStop = true;
+        worker?.postMessage({ type: ENGINE_MESSAGES.STOP });
+    };
+
+    return {
+        start,
+        stop,
+        get running() {
+            return running;
+        }
+    };
+}
+
+/**
+ * runScrapeJob through a scrape engine: same context and result, but the
+ * run happens in the scraper worker where available. A failed run rejects.
+ */
+export function runScrapeJobInWorker(job, context = {}) {
+    const { emit = () => {}, shouldStop = () => false, ...payload } = context;
+
+    return new Promise((resolve, reject) => {
+        let stopTimer = null;
+        const engine = createScrapeEngine({
+            onProgress: (message) => emit(ENGINE_MESSAGES.PROGRESS, message),
+            onItem: (event) => emit(ENGINE_MESSAGES.ITEM, { event }),
+            onDone: ({ type, error, ...result }) => {
+                clearInterval(stopTimer);
+                if (error) reject(new Error(error));
+                else resolve(result);
+            }
+        });
+
+        engine.start({ ...payload, job, siteProfiles: payload.settings?.siteProfiles || [] });
+        stopTimer = setInterval(() => {
+            if (shouldStop()) engine.stop();
+        }, STOP_CHECK_INTERVAL);
+    });
+}
+
+export default {
+    ENGINE_MESSAGES,
+    runScrapeJob,
+    getJobPagination,
+    createScrapeEngine,
+    runScrapeJobInWorker
+};
@@ -0,0 +1,103 @@
+// Mobile Tools - History Module
+// Per-record scrape history: one entry per run per record (created, updated
+// fields with old/new values, skipped as duplicate) and timeline formatting
+
+export const HISTORY_ACTIONS = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    DUPLICATE: 'duplicate'
+};
+
+// When a record is hit several times in one run, the strongest action wins
+const ACTION_RANK = {
+    [HISTORY_ACTIONS.DUPLICATE]: 0,
+    [HISTORY_ACTIONS.UPDATED]: 1,
+    [HISTORY_ACTIONS.CREATED]: 2
+};
+
+// ============================================================================
+// Entries
+// ============================================================================
+
+/**
+ * History entry of a scraped item event (see handleScrapedMovie).
+ * Returns null for events without a record.
+ */
+export function createHistoryEntry(event, run) {
+    const record = event.isDuplicate ? event.existingMovie : event.movie;
+    if (!record?.id) return null;
+
+    const action = !event.isDuplicate
+        ? HISTORY_ACTIONS.CREATED
+        : (event.isUpdated ? HISTORY_ACTIONS.UPDATED : HISTORY_ACTIONS.DUPLICATE);
+    const timestamp = new Date().toISOString();
+
+    return {
+        key: `${record.id}|${run.runId}`,
+        recordId: record.id,
+        runId: run.runId,
+        mode: run.mode || '',
+        action,
+        timestamp,
+        postUrl: event.postUrl || record.post_url || '',
+        match: event.match ? { rule: event.match.rule, reason: event.match.reason } : null,
+        changes: (event.changes || []).map(change => ({ field: change.field, from: change.from, to: change.to }))
+    };
+}
+
+/**
+ * Combine two entries of the same record and run. Changed fields keep their
+ * first old value and their latest new value.
+ */
+export function mergeHistoryEntries(current, next) {
+    if (!current) return next;
+
+    const changes = current.changes.map(change => ({ ...change }));
+    next.changes.forEach(change => {
+        const known = changes.find(item => item.field === change.field);
+        if (known) known.to = change.to;
+        else changes.push({ ...change });
+    });
+
+    const stronger = ACTION_RANK[next.action] > ACTION_RANK[current.action] ? next : current;
+
+    return {
+        ...current,
+        action: stronger.action,
+        timestamp: next.timestamp,
+        match: current.match || next.match,
+        changes
+    };
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Short text for a stored value ("7.4", "3 items", "—")
+ */
+export function summarizeValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return '{…}';
+
+    const text = String(value);
+    return text.length > 60 ? `${text.substring(0, 60)}…` : text;
+}
+
+/**
+ * One line per changed field, e.g. "imdb: 7.0 → 7.4"
+ */
+export function describeChanges(changes) {
+    return (changes || []).map(change =>
+        `${change.field}: ${summarizeValue(change.from)} → ${summarizeValue(change.to)}`);
+}
+
+export default {
+    HISTORY_ACTIONS,
+    createHistoryEntry,
+    mergeHistoryEntries,
+    summarizeValue,
+    describeChanges
+};
@@ -0,0 +1,777 @@
+// Mobile Tools - HTML Parser Module
+// Small DOM-independent HTML parser with CSS selector queries.
+// Used where DOMParser is unavailable (Web Workers, Node).
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+const BLOCK_ELEMENTS = [
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer',
+    'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p',
+    'pre', 'section', 'table', 'ul'
+];
+
+// Open element => start tags that implicitly close it
+const IMPLIED_END = {
+    p: new Set(BLOCK_ELEMENTS),
+    li: new Set(['li']),
+    dt: new Set(['dt', 'dd']),
+    dd: new Set(['dt', 'dd']),
+    option: new Set(['option', 'optgroup']),
+    tr: new Set(['tr']),
+    td: new Set(['td', 'th', 'tr']),
+    th: new Set(['td', 'th', 'tr'])
+};
+
+// HTML 4 named character references (Latin-1, punctuation, symbols, Greek, math)
+const NAMED_ENTITIES = {
+    // Markup
+    quot: '"', amp: '&', apos: "'", lt: '<', gt: '>',
+    // Latin-1
+    nbsp: '\u00a0', iexcl: '¡', cent: '¢', pound: '£', curren: '¤', yen: '¥', brvbar: '¦',
+    sect: '§', uml: '¨', copy: '©', ordf: 'ª', laquo: '«', not: '¬', shy: '\u00ad', reg: '®',
+    macr: '¯', deg: '°', plusmn: '±', sup2: '²', sup3: '³', acute: '´', micro: 'µ', para: '¶',
+    middot: '·', cedil: '¸', sup1: '¹', ordm: 'º', raquo: '»', frac14: '¼', frac12: '½',
+    frac34: '¾', iquest: '¿', Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä',
+    Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë',
+    Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð', Ntilde: 'Ñ', Ograve: 'Ò',
+    Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö', times: '×', Oslash: 'Ø', Ugrave: 'Ù',
+    Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý', THORN: 'Þ', szlig: 'ß', agrave: 'à',
+    aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ', ccedil: 'ç',
+    egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î',
+    iuml: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö',
+    divide: '÷', oslash: 'ø', ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý',
+    thorn: 'þ', yuml: 'ÿ',
+    // Latin Extended and spacing modifiers
+    OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+    // Greek
+    Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Epsilon: 'Ε', Zeta: 'Ζ', Eta: 'Η', Theta: 'Θ',
+    Iota: 'Ι', Kappa: 'Κ', Lambda: 'Λ', Mu: 'Μ', Nu: 'Ν', Xi: 'Ξ', Omicron: 'Ο', Pi: 'Π', Rho: 'Ρ',
+    Sigma: 'Σ', Tau: 'Τ', Upsilon: 'Υ', Phi: 'Φ', Chi: 'Χ', Psi: 'Ψ', Omega: 'Ω', alpha: 'α',
+    beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι',
+    kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ',
+    sigmaf: 'ς', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    thetasym: 'ϑ', upsih: 'ϒ', piv: 'ϖ',
+    // Punctuation
+    ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e',
+    rlm: '\u200f', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“',
+    rdquo: '”', bdquo: '„', dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰',
+    prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', oline: '‾', frasl: '⁄',
+    // Currency, letter-like symbols and arrows
+    euro: '€', image: 'ℑ', weierp: '℘', real: 'ℜ', trade: '™', alefsym: 'ℵ', larr: '←', uarr: '↑',
+    rarr: '→', darr: '↓', harr: '↔', crarr: '↵', lArr: '⇐', uArr: '⇑', rArr: '⇒', dArr: '⇓',
+    hArr: '⇔',
+    // Math
+    forall: '∀', part: '∂', exist: '∃', empty: '∅', nabla: '∇', isin: '∈', notin: '∉', ni: '∋',
+    prod: '∏', sum: '∑', minus: '−', lowast: '∗', radic: '√', prop: '∝', infin: '∞', ang: '∠',
+    and: '∧', or: '∨', cap: '∩', cup: '∪', int: '∫', there4: '∴', sim: '∼', cong: '≅', asymp: '≈',
+    ne: '≠', equiv: '≡', le: '≤', ge: '≥', sub: '⊂', sup: '⊃', nsub: '⊄', sube: '⊆', supe: '⊇',
+    oplus: '⊕', otimes: '⊗', perp: '⊥', sdot: '⋅',
+    // Technical, shapes and card suits
+    lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', lang: '⟨', rang: '⟩', loz: '◊', spades: '♠',
+    clubs: '♣', hearts: '♥', diams: '♦'
+};
+
+/**
+ * Decode HTML character references
+ */
+export function decodeEntities(text) {
+    if (!text || text.indexOf('&') === -1) return text;
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const num = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            try {
+                return String.fromCodePoint(num);
+            } catch (e) {
+                return entity;
+            }
+        }
+        // Exact name first (&Eacute; and &eacute; differ), then any case (&AMP;)
+        const named = NAMED_ENTITIES[code] ?? NAMED_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+// ============================================================================
+// Nodes
+// ============================================================================
+
+class TextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.parentNode = null;
+        this.data = text;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+}
+
+class ElementNode {
+    constructor(localName, attributes, source, start) {
+        this.nodeType = 1;
+        this.localName = localName;
+        this.tagName = localName.toUpperCase();
+        this.attributeMap = attributes;
+        this.childNodes = [];
+        this.parentNode = null;
+        // Element children and sibling links, kept by the tree builder
+        this.children = [];
+        this.previousElementSibling = null;
+        this.nextElementSibling = null;
+        this.elementIndex = 0; // position among the parent's element children
+        this.typeIndex = 0;    // position among those with the same tag name
+        this.source = source;
+        this.start = start;
+        this.innerStart = start;
+        this.innerEnd = start;
+        this.end = start;
+    }
+
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    get classList() {
+        const classes = this.className.split(/\s+/).filter(Boolean);
+        return {
+            length: classes.length,
+            contains: (name) => classes.includes(name),
+            [Symbol.iterator]: () => classes[Symbol.iterator]()
+        };
+    }
+
+    get attributes() {
+        return Object.entries(this.attributeMap).map(([name, value]) => ({ name, value }));
+    }
+
+    getAttribute(name) {
+        const key = name.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(this.attributeMap, key) ? this.attributeMap[key] : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    get outerHTML() {
+        return this.source.slice(this.start, this.end);
+    }
+
+    get innerHTML() {
+        return this.source.slice(this.innerStart, this.innerEnd);
+    }
+
+    querySelector(selector) {
+        return querySelectorAll(this, selector, true)[0] || null;
+    }
+
+    querySelectorAll(selector) {
+        return querySelectorAll(this, selector, false);
+    }
+
+    closest(selector) {
+        const selectors = parseSelector(selector);
+        let el = this;
+        while (el && el.nodeType === 1) {
+            if (selectors.some(complex => matchesComplex(el, complex))) return el;
+            el = el.parentNode;
+        }
+        return null;
+    }
+
+    matches(selector) {
+        return parseSelector(selector).some(complex => matchesComplex(this, complex));
+    }
+}
+
+class DocumentNode extends ElementNode {
+    constructor(source) {
+        super('#document', {}, source, 0);
+        this.nodeType = 9;
+        this.end = source.length;
+        this.innerEnd = source.length;
+    }
+
+    get documentElement() {
+        return this.querySelector('html');
+    }
+
+    get head() {
+        return this.querySelector('head');
+    }
+
+    get body() {
+        return this.querySelector('body');
+    }
+
+    get title() {
+        return (this.querySelector('title')?.textContent || '').trim();
+    }
+}
+
+// ============================================================================
+// Tokenizer / Tree Builder
+// ============================================================================
+
+/**
+ * Parse an HTML string into a lightweight document
+ */
+export function parseHTMLDocument(html) {
+    const source = html || '';
+    const doc = new DocumentNode(source);
+    const stack = [doc];
+    const length = source.length;
+    let pos = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    // parent -> { tag name: elements so far }, for :nth-of-type
+    const typeCounts = new Map();
+
+    const appendElement = (el) => {
+        const parent = current();
+        const previous = parent.children[parent.children.length - 1] || null;
+        if (!typeCounts.has(parent)) typeCounts.set(parent, new Map());
+        const counts = typeCounts.get(parent);
+
+        el.parentNode = parent;
+        el.elementIndex = parent.children.length;
+        el.typeIndex = counts.get(el.localName) || 0;
+        el.previousElementSibling = previous;
+        if (previous) previous.nextElementSibling = el;
+        counts.set(el.localName, el.typeIndex + 1);
+
+        parent.childNodes.push(el);
+        parent.children.push(el);
+    };
+
+    const appendText = (text, raw = false) => {
+        if (!text) return;
+        const node = new TextNode(raw ? text : decodeEntities(text));
+        node.parentNode = current();
+        current().childNodes.push(node);
+    };
+
+    // Close open elements down to (and including) stack index `index`
+    const closeTo = (index, at, endAt = at) => {
+        while (stack.length - 1 > index) {
+            const el = stack.pop();
+            el.innerEnd = at;
+            el.end = at;
+        }
+        const el = stack.pop();
+        el.innerEnd = at;
+        el.end = endAt;
+    };
+
+    while (pos < length) {
+        const lt = source.indexOf('<', pos);
+        if (lt === -1) {
+            appendText(source.slice(pos));
+            break;
+        }
+        if (lt > pos) appendText(source.slice(pos, lt));
+
+        const next = source[lt + 1];
+
+        // Comments, doctype, processing instructions
+        if (source.startsWith('<!--', lt)) {
+            const end = source.indexOf('-->', lt + 4);
+            pos = end === -1 ? length : end + 3;
+            continue;
+        }
+        if (next === '!' || next === '?') {
+            const end = source.indexOf('>', lt);
+            pos = end === -1 ? length : end + 1;
+            continue;
+        }
+
+        // End tag
+        if (next === '/') {
+            const end = source.indexOf('>', lt);
+            if (end === -1) {
+                appendText(source.slice(lt));
+                break;
+            }
+            const name = source.slice(lt + 2, end).trim().split(/[\s/]/)[0].toLowerCase();
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].localName === name) {
+                    closeTo(i, lt, end + 1);
+                    break;
+                }
+            }
+            pos = end + 1;
+            continue;
+        }
+
+        // Start tag
+        if (!/[a-zA-Z]/.test(next || '')) {
+            appendText('<');
+            pos = lt + 1;
+            continue;
+        }
+
+        const tag = readStartTag(source, lt);
+        const name = tag.name;
+
+        // Implied end tags (<p>...<div>, <li>...<li>)
+        const open = current();
+        if (open.nodeType === 1 && IMPLIED_END[open.localName]?.has(name)) {
+            closeTo(stack.length - 1, lt);
+        }
+
+        const el = new ElementNode(name, tag.attributes, source, lt);
+        el.innerStart = tag.end;
+        appendElement(el);
+        pos = tag.end;
+
+        if (VOID_ELEMENTS.has(name) || tag.selfClosing) {
+            el.innerEnd = tag.end;
+            el.end = tag.end;
+            continue;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const closing = new RegExp(`</${name}\\s*>`, 'ig');
+            closing.lastIndex = tag.end;
+            const match = closing.exec(source);
+            const textEnd = match ? match.index : length;
+            const rawText = source.slice(tag.end, textEnd);
+            const textNode = new TextNode(name === 'script' || name === 'style' ? rawText : decodeEntities(rawText));
+            textNode.parentNode = el;
+            el.childNodes.push(textNode);
+            el.innerEnd = textEnd;
+            el.end = match ? textEnd + match[0].length : length;
+            pos = el.end;
+            continue;
+        }
+
+        stack.push(el);
+    }
+
+    // Close whatever is still open at the end of input
+    if (stack.length > 1) {
+        closeTo(1, length);
+    }
+
+    return doc;
+}
+
+function readStartTag(source, lt) {
+    const length = source.length;
+    let pos = lt + 1;
+
+    const nameStart = pos;
+    while (pos < length && !/[\s/>]/.test(source[pos])) pos++;
+    const name = source.slice(nameStart, pos).toLowerCase();
+
+    const attributes = {};
+    let selfClosing = false;
+
+    while (pos < length) {
+        while (pos < length && /\s/.test(source[pos])) pos++;
+
+        if (source[pos] === '>') {
+            pos++;
+            break;
+        }
+        if (source[pos] === '/') {
+            if (source[pos + 1] === '>') {
+                selfClosing = true;
+                pos += 2;
+                break;
+            }
+            pos++;
+            continue;
+        }
+
+        const attrStart = pos;
+        while (pos < length && !/[\s=/>]/.test(source[pos])) pos++;
+        const attrName = source.slice(attrStart, pos).toLowerCase();
+        if (!attrName) {
+            pos++;
+            continue;
+        }
+
+        while (pos < length && /\s/.test(source[pos])) pos++;
+
+        let value = '';
+        if (source[pos] === '=') {
+            pos++;
+            while (pos < length && /\s/.test(source[pos])) pos++;
+
+            const quote = source[pos];
+            if (quote === '"' || quote === "'") {
+                const close = source.indexOf(quote, pos + 1);
+                const valueEnd = close === -1 ? length : close;
+                value = source.slice(pos + 1, valueEnd);
+                pos = valueEnd + 1;
+            } else {
+                const valueStart = pos;
+                while (pos < length && !/[\s>]/.test(source[pos])) pos++;
+                value = source.slice(valueStart, pos);
+            }
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(attributes, attrName)) {
+            attributes[attrName] = decodeEntities(value);
+        }
+    }
+
+    return { name, attributes, selfClosing, end: Math.min(pos, length) };
+}
+
+// ============================================================================
+// CSS Selectors
+// ============================================================================
+
+const selectorCache = new Map();
+
+/**
+ * Parse a selector list into complex selectors (arrays of compound parts,
+ * each with the combinator that links it to the part before)
+ */
+function parseSelector(selector) {
+    if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+    const list = [];
+    let complex = [];
+    let compound = newCompound();
+    let combinator = ' ';
+    let pos = 0;
+    const input = selector.trim();
+
+    const readIdent = () => {
+        let out = '';
+        while (pos < input.length) {
+            const ch = input[pos];
+            if (ch === '\\') {
+                out += input[pos + 1] || '';
+                pos += 2;
+            } else if (/[\w-]/.test(ch) || ch.charCodeAt(0) > 127) {
+                out += ch;
+                pos++;
+            } else {
+                break;
+            }
+        }
+        return out;
+    };
+
+    const pushCompound = () => {
+        if (isEmptyCompound(compound)) {
+            throw new Error(`Invalid selector: ${selector}`);
+        }
+        compound.combinator = complex.length === 0 ? null : combinator;
+        complex.push(compound);
+        compound = newCompound();
+        combinator = ' ';
+    };
+
+    while (pos < input.length) {
+        const ch = input[pos];
+
+        if (/\s/.test(ch) || ch === '>' || ch === '+' || ch === '~') {
+            // Combinator (whitespace alone means descendant)
+            let found = ' ';
+            while (pos < input.length && /[\s>+~]/.test(input[pos])) {
+                if (input[pos] !== ' ' && !/\s/.test(input[pos])) found = input[pos];
+                pos++;
+            }
+            if (!isEmptyCompound(compound)) pushCompound();
+            combinator = found;
+            continue;
+        }
+
+        if (ch === ',') {
+            pushCompound();
+            list.push(complex);
+            complex = [];
+            pos++;
+            continue;
+        }
+
+        if (ch === '*') {
+            compound.tag = '*';
+            pos++;
+        } else if (ch === '#') {
+            pos++;
+            compound.ids.push(readIdent());
+        } else if (ch === '.') {
+            pos++;
+            compound.classes.push(readIdent());
+        } else if (ch === '[') {
+            const close = findClosingBracket(input, pos);
+            compound.attrs.push(parseAttributeSelector(input.slice(pos + 1, close)));
+            pos = close + 1;
+        } else if (ch === ':') {
+            pos++;
+            if (input[pos] === ':') pos++;
+            const name = readIdent().toLowerCase();
+            let arg = null;
+            if (input[pos] === '(') {
+                let depth = 1;
+                const argStart = pos + 1;
+                pos++;
+                while (pos < input.length && depth > 0) {
+                    if (input[pos] === '(') depth++;
+                    if (input[pos] === ')') depth--;
+                    pos++;
+                }
+                arg = input.slice(argStart, pos - 1);
+            }
+            compound.pseudos.push(parsePseudo(name, arg, selector));
+        } else if (/[\w-]/.test(ch) || ch === '\\') {
+            compound.tag = readIdent().toLowerCase();
+        } else {
+            throw new Error(`Unsupported selector: ${selector}`);
+        }
+    }
+
+    pushCompound();
+    list.push(complex);
+
+    selectorCache.set(selector, list);
+    return list;
+}
+
+function newCompound() {
+    return { tag: null, ids: [], classes: [], attrs: [], pseudos: [], combinator: null };
+}
+
+function isEmptyCompound(compound) {
+    return !compound.tag && compound.ids.length === 0 && compound.classes.length === 0 &&
+        compound.attrs.length === 0 && compound.pseudos.length === 0;
+}
+
+function findClosingBracket(input, open) {
+    let quote = null;
+    for (let i = open + 1; i < input.length; i++) {
+        const ch = input[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ']') {
+            return i;
+        }
+    }
+    throw new Error(`Unclosed attribute selector: ${input}`);
+}
+
+function parseAttributeSelector(body) {
+    const match = body.match(/^\s*([^\s~|^$*!=]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(i|s)?)?\s*$/i);
+    if (!match) {
+        throw new Error(`Unsupported attribute selector: [${body}]`);
+    }
+    const value = match[3] ?? match[4] ?? match[5] ?? null;
+    return {
+        name: match[1].replace(/\\/g, '').toLowerCase(),
+        op: match[2] || null,
+        value,
+        ignoreCase: (match[6] || '').toLowerCase() === 'i'
+    };
+}
+
+/**
+ * Parse an :nth-child() argument (odd, even, an+b or b) into { a, b }
+ */
+function parseNth(arg, selector) {
+    const text = (arg || '').trim().toLowerCase();
+    if (text === 'odd') return { a: 2, b: 1 };
+    if (text === 'even') return { a: 2, b: 0 };
+
+    const match = text.match(/^(?:([+-]?\d*)n\s*(?:([+-])\s*(\d+))?|([+-]?\d+))$/);
+    if (!match) throw new Error(`Unsupported selector: ${selector}`);
+    if (match[4] !== undefined) return { a: 0, b: parseInt(match[4]) };
+
+    const a = match[1] === '' || match[1] === '+' ? 1 : (match[1] === '-' ? -1 : parseInt(match[1]));
+    const b = match[3] ? parseInt(match[3]) * (match[2] === '-' ? -1 : 1) : 0;
+    return { a, b };
+}
+
+/**
+ * Whether a 1-based position is an+b for some n >= 0
+ */
+function matchesNth(position, { a, b }) {
+    if (a === 0) return position === b;
+    const n = (position - b) / a;
+    return Number.isInteger(n) && n >= 0;
+}
+
+function parsePseudo(name, arg, selector) {
+    switch (name) {
+        case 'not':
+            return { name, selectors: parseSelector(arg || '') };
+        case 'first-child':
+        case 'last-child':
+        case 'only-child':
+        case 'empty':
+            return { name };
+        case 'nth-child':
+        case 'nth-of-type':
+            return { name, ...parseNth(arg, selector) };
+        default:
+            throw new Error(`Unsupported selector: ${selector}`);
+    }
+}
+
+function matchesAttribute(el, attr) {
+    let actual = el.getAttribute(attr.name);
+    if (actual === null) return false;
+    if (!attr.op) return true;
+
+    let expected = attr.value;
+    if (attr.ignoreCase) {
+        actual = actual.toLowerCase();
+        expected = expected.toLowerCase();
+    }
+
+    switch (attr.op) {
+        case '=': return actual === expected;
+        case '~=': return actual.split(/\s+/).includes(expected);
+        case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+        case '^=': return expected !== '' && actual.startsWith(expected);
+        case '$=': return expected !== '' && actual.endsWith(expected);
+        case '*=': return expected !== '' && actual.includes(expected);
+        default: return false;
+    }
+}
+
+function matchesPseudo(el, pseudo) {
+    const siblings = el.parentNode ? el.parentNode.children : [el];
+
+    switch (pseudo.name) {
+        case 'not': return !pseudo.selectors.some(complex => matchesComplex(el, complex));
+        case 'first-child': return siblings[0] === el;
+        case 'last-child': return siblings[siblings.length - 1] === el;
+        case 'only-child': return siblings.length === 1;
+        case 'empty': return el.childNodes.length === 0;
+        case 'nth-child': return matchesNth(el.elementIndex + 1, pseudo);
+        case 'nth-of-type': return matchesNth(el.typeIndex + 1, pseudo);
+        default: return false;
+    }
+}
+
+function matchesCompound(el, compound) {
+    if (!el || el.nodeType !== 1) return false;
+    if (compound.tag && compound.tag !== '*' && el.localName !== compound.tag) return false;
+    if (compound.ids.length && !compound.ids.every(id => el.getAttribute('id') === id)) return false;
+
+    if (compound.classes.length) {
+        const classes = (el.getAttribute('class') || '').split(/\s+/);
+        if (!compound.classes.every(name => classes.includes(name))) return false;
+    }
+
+    return compound.attrs.every(attr => matchesAttribute(el, attr)) &&
+        compound.pseudos.every(pseudo => matchesPseudo(el, pseudo));
+}
+
+/**
+ * Match an element against a complex selector, right to left
+ */
+function matchesComplex(el, complex, index = complex.length - 1) {
+    const compound = complex[index];
+    if (!matchesCompound(el, compound)) return false;
+    if (index === 0) return true;
+
+    const parentOf = (node) => (node.parentNode && node.parentNode.nodeType === 1 ? node.parentNode : null);
+
+    switch (compound.combinator) {
+        case '>':
+            return matchesComplex(parentOf(el), complex, index - 1);
+        case '+':
+            return matchesComplex(el.previousElementSibling, complex, index - 1);
+        case '~': {
+            let sibling = el.previousElementSibling;
+            while (sibling) {
+                if (matchesComplex(sibling, complex, index - 1)) return true;
+                sibling = sibling.previousElementSibling;
+            }
+            return false;
+        }
+        default: {
+            let ancestor = parentOf(el);
+            while (ancestor) {
+                if (matchesComplex(ancestor, complex, index - 1)) return true;
+                ancestor = parentOf(ancestor);
+            }
+            return false;
+        }
+    }
+}
+
+function querySelectorAll(root, selector, firstOnly) {
+    const selectors = parseSelector(selector);
+    const results = [];
+
+    const walk = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType !== 1) continue;
+            if (selectors.some(complex => matchesComplex(child, complex))) {
+                results.push(child);
+                if (firstOnly) return true;
+            }
+            if (walk(child)) return true;
+        }
+        return false;
+    };
+
+    walk(root);
+    return results;
+}
+
+// ============================================================================
+// Adapter
+// ============================================================================
+
+let customParser = null;
+
+/**
+ * Use a different HTML parser (e.g. a DOM implementation in Node).
+ * The function receives an HTML string and returns a queryable document.
+ */
+export function setHTMLParser(parser) {
+    customParser = typeof parser === 'function' ? parser : null;
+}
+
+/**
+ * Parse HTML with the best available parser: a custom one, the browser's
+ * DOMParser, or the built-in parser (Web Workers have no DOMParser)
+ */
+export function parseHTML(html) {
+    if (customParser) {
+        return customParser(html || '');
+    }
+    if (typeof DOMParser !== 'undefined') {
+        return new DOMParser().parseFromString(html || '', 'text/html');
+    }
+    return parseHTMLDocument(html);
+}
+
+export default {
+    decodeEntities,
+    parseHTMLDocument,
+    setHTMLParser,
+    parseHTML
+};
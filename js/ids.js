@@ -0,0 +1,163 @@
+// Mobile Tools - IDs Module
+// Record ID allocation: serial IDs reserved through a shared store, a
+// post_url => ID map so a re-scraped post keeps its ID, and content-hash IDs
+
+import { normalizeUrl, normalizeTitle, getRecordYear } from './duplicates.js';
+
+export const ID_SCHEMES = {
+    SERIAL: 'serial',             // "movie123": type + run-independent serial
+    CONTENT_HASH: 'content-hash'  // "movie-1f3a9c0b2d4e6f": type + hash of post URL and title
+};
+
+// ============================================================================
+// ID Helpers
+// ============================================================================
+
+/**
+ * Lowercase type without spaces, used as the ID prefix
+ */
+function idPrefix(type) {
+    return (type || 'movie').toString().toLowerCase().trim().replace(/\s+/g, '');
+}
+
+/**
+ * Highest trailing number of the records' IDs (any scheme)
+ */
+export function getHighestSerial(records) {
+    let highest = 0;
+
+    (records || []).forEach(record => {
+        const match = typeof record?.id === 'string' ? record.id.match(/(\d+)$/) : null;
+        // Hash IDs end in hex digits, not serials
+        if (match && !/-[0-9a-f]{14}(-\d+)?$/.test(record.id)) {
+            highest = Math.max(highest, parseInt(match[1]));
+        }
+    });
+
+    return highest;
+}
+
+/**
+ * 53-bit string hash (cyrb53) as 14 hex digits
+ */
+function hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Content-hash ID of a record: same post URL, title, year and type give the
+ * same ID on every device
+ */
+export function contentHashId(record) {
+    const key = [
+        normalizeUrl(record.post_url),
+        normalizeTitle(record.title),
+        getRecordYear(record),
+        idPrefix(record.info4_type)
+    ].join('|');
+    return `${idPrefix(record.info4_type)}-${hashText(key)}`;
+}
+
+// ============================================================================
+// ID Stores
+// ============================================================================
+
+/**
+ * In-memory ID store (used when IndexedDB is not available). A store has:
+ *   reserve(urlKey, propose, isTaken) => id
+ *                                     -- mapped ID of urlKey unless isTaken(id),
+ *                                        else propose(counter) returns { id, counter } to save
+ *   register([[urlKey, id]])          -- map known records, keeping existing entries
+ */
+export function createMemoryIdStore() {
+    const urls = new Map();
+    let counter = 0;
+
+    return {
+        async reserve(urlKey, propose, isTaken = () => false) {
+            if (urlKey && urls.has(urlKey) && !isTaken(urls.get(urlKey))) return urls.get(urlKey);
+
+            const next = propose(counter);
+            counter = next.counter;
+            if (urlKey) urls.set(urlKey, next.id);
+            return next.id;
+        },
+
+        async register(entries) {
+            entries.forEach(([urlKey, id]) => {
+                if (!urls.has(urlKey)) urls.set(urlKey, id);
+            });
+        }
+    };
+}
+
+// ============================================================================
+// Allocator
+// ============================================================================
+
+/**
+ * Create an ID allocator for a run. `records` are the known records: their
+ * post URLs are mapped to their IDs and their IDs are never handed out again.
+ */
+export function createIdAllocator({ scheme = ID_SCHEMES.SERIAL, records = [], store = null } = {}) {
+    const idStore = store || createMemoryIdStore();
+    // ID -> post URL key of the record holding it
+    const knownIds = new Map(records
+        .filter(record => record.id)
+        .map(record => [record.id, normalizeUrl(record.post_url)]));
+    const floor = getHighestSerial(records);
+
+    const ready = idStore.register(records
+        .filter(record => record.id && record.post_url)
+        .map(record => [normalizeUrl(record.post_url), record.id]))
+        .catch(error => console.warn('⚠️ Failed to register record IDs:', error));
+
+    const propose = (record, counter) => {
+        const prefix = idPrefix(record.info4_type);
+
+        if (scheme === ID_SCHEMES.CONTENT_HASH) {
+            const base = contentHashId(record);
+            let id = base;
+            for (let n = 2; knownIds.has(id); n++) id = `${base}-${n}`;
+            return { id, counter };
+        }
+
+        let serial = Math.max(counter, floor) + 1;
+        while (knownIds.has(`${prefix}${serial}`)) serial++;
+        return { id: `${prefix}${serial}`, counter: serial };
+    };
+
+    return {
+        scheme,
+
+        /**
+         * ID for a new record: the ID its post URL had before, else a new one
+         */
+        async allocate(record) {
+            await ready;
+            const urlKey = normalizeUrl(record.post_url);
+            // A mapped ID can belong to another record by now (imports, mixed schemes)
+            const isTaken = (id) => knownIds.has(id) && knownIds.get(id) !== urlKey;
+            const id = await idStore.reserve(urlKey, (counter) => propose(record, counter), isTaken);
+            knownIds.set(id, urlKey);
+            return id;
+        }
+    };
+}
+
+export default {
+    ID_SCHEMES,
+    getHighestSerial,
+    contentHashId,
+    createMemoryIdStore,
+    createIdAllocator
+};
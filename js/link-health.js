@@ -0,0 +1,230 @@
+// Mobile Tools - Link Health Module
+// Checks download links through the proxy and classifies them as alive,
+// removed, quota-exceeded or needs-login
+
+import { fetchPageContent } from './scraper.js';
+import { resolveDownloadLink, isFinalUrl } from './link-resolver.js';
+
+export const LINK_STATUS = {
+    ALIVE: 'alive',
+    REMOVED: 'removed',
+    QUOTA_EXCEEDED: 'quota-exceeded',
+    NEEDS_LOGIN: 'needs-login',
+    UNKNOWN: 'unknown'          // could not be checked (network error, blocked)
+};
+
+// Qualities with these statuses are left out of exports when requested
+export const DEAD_STATUSES = [LINK_STATUS.REMOVED, LINK_STATUS.NEEDS_LOGIN];
+
+export const LINK_FILTERS = {
+    ALL: 'all',
+    DEAD: 'dead',         // records with at least one dead link
+    HEALTHY: 'healthy',   // records whose checked links are all alive
+    UNCHECKED: 'unchecked'
+};
+
+const PAGE_PATTERNS = [
+    {
+        status: LINK_STATUS.QUOTA_EXCEEDED,
+        pattern: /(download\s+quota\s+(for\s+this\s+file\s+)?(has\s+been\s+)?exceeded|too\s+many\s+users\s+have\s+(viewed|downloaded)|bandwidth\s+(limit|exceeded)|quota\s+exceeded|daily\s+limit\s+reached)/i
+    },
+    {
+        status: LINK_STATUS.REMOVED,
+        pattern: /(file\s+(you\s+have\s+requested\s+)?does\s+not\s+exist|file\s+(was|has\s+been)\s+(deleted|removed)|file\s+not\s+found|no\s+longer\s+available|link\s+(has\s+)?expired|invalid\s+(link|file)|this\s+file\s+is\s+unavailable|404\s+not\s+found|removed\s+(for|due\s+to)\s+(a\s+)?(copyright|terms|dmca))/i
+    },
+    {
+        status: LINK_STATUS.NEEDS_LOGIN,
+        pattern: /(you\s+need\s+(access|permission)|request\s+access|sign\s+in\s+to\s+continue|login\s+required|please\s+log\s*in|you\s+must\s+be\s+logged\s+in)/i
+    }
+];
+
+const LOGIN_URL = /(accounts\.google\.com|ServiceLogin|\/login\b|\/signin\b)/i;
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+/**
+ * Classify a fetched link page: { status, reason }
+ */
+export function classifyLinkPage(page) {
+    const finalUrl = page.finalUrl || '';
+
+    if (LOGIN_URL.test(finalUrl)) {
+        return { status: LINK_STATUS.NEEDS_LOGIN, reason: 'Redirected to a login page' };
+    }
+
+    // Only the visible part of the page; scripts often contain these words
+    const text = (page.html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ');
+
+    for (const { status, pattern } of PAGE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return { status, reason: match[0].trim() };
+    }
+
+    return { status: LINK_STATUS.ALIVE, reason: '' };
+}
+
+/**
+ * Classify a failed fetch (HTTP 404/410 mean removed, 401 needs login)
+ */
+function classifyFetchError(error) {
+    if (error.status === 404 || error.status === 410) {
+        return { status: LINK_STATUS.REMOVED, reason: `HTTP ${error.status}` };
+    }
+    if (error.status === 401) {
+        return { status: LINK_STATUS.NEEDS_LOGIN, reason: 'HTTP 401' };
+    }
+    return { status: LINK_STATUS.UNKNOWN, reason: error.message };
+}
+
+// ============================================================================
+// Checking
+// ============================================================================
+
+/**
+ * Check one download link: follow it to the file host (checking every page
+ * on the way) and classify the last page reached.
+ * Returns { status, reason, finalUrl }.
+ */
+export async function checkLink(path, options = {}) {
+    const { proxyUrl = '/api/proxy', maxHops, retryPolicy = { retries: 1 }, schedule = (url, task) => task() } = options;
+
+    let verdict = null;
+    let checked = null;
+
+    // Stop following the chain at the first dead page
+    const fetchPage = async (url, proxy, fetchOptions) => {
+        const page = await schedule(url, () => fetchPageContent(url, proxy, fetchOptions));
+        checked = page.finalUrl || url;
+        verdict = classifyLinkPage(page);
+        if (verdict.status !== LINK_STATUS.ALIVE) {
+            return { ...page, html: '' };
+        }
+        return page;
+    };
+
+    try {
+        const result = await resolveDownloadLink(path, { proxyUrl, maxHops, retryPolicy, fetchPage });
+
+        // A file host reached without fetching it (e.g. a direct Drive link)
+        const alive = !verdict || verdict.status === LINK_STATUS.ALIVE;
+        if (alive && checked !== result.url && isFinalUrl(result.url)) {
+            await fetchPage(result.url, proxyUrl, { retryPolicy });
+        }
+
+        if (!verdict) {
+            return { status: LINK_STATUS.UNKNOWN, reason: 'Nothing fetched', finalUrl: result.url };
+        }
+        if (verdict.status === LINK_STATUS.ALIVE && !result.resolved) {
+            // The page answers, but its file host could not be reached from here
+            return { status: LINK_STATUS.ALIVE, reason: `File host not reached (${result.reason})`, finalUrl: result.url };
+        }
+        return { ...verdict, finalUrl: result.url };
+    } catch (error) {
+        return { ...classifyFetchError(error), finalUrl: checked || path };
+    }
+}
+
+/**
+ * Check every download link of the records, storing the result on each
+ * quality entry (link_status, link_status_reason, link_checked_at).
+ * `onProgress({ completed, total, record, quality })` follows every link.
+ * Returns the counts per status.
+ */
+export async function checkRecordsLinks(records, options = {}) {
+    const { onProgress = () => { }, shouldStop = () => false } = options;
+
+    const links = records.flatMap(record => (record.downloadOptions || [])
+        .flatMap(option => (option.qualities || [])
+            .filter(quality => quality.path)
+            .map(quality => ({ record, quality }))));
+
+    const counts = countStatuses([]);
+    let completed = 0;
+
+    for (const { record, quality } of links) {
+        if (shouldStop()) break;
+
+        const result = await checkLink(quality.path, options);
+        quality.link_status = result.status;
+        quality.link_status_reason = result.reason;
+        quality.link_checked_at = new Date().toISOString();
+
+        counts[result.status]++;
+        completed++;
+        onProgress({ completed, total: links.length, record, quality });
+    }
+
+    return counts;
+}
+
+// ============================================================================
+// Filtering & Export
+// ============================================================================
+
+function qualitiesOf(record) {
+    return (record.downloadOptions || []).flatMap(option => option.qualities || []);
+}
+
+/**
+ * Number of links per status ({ alive: 3, removed: 1, ... })
+ */
+export function countStatuses(records) {
+    const counts = Object.fromEntries(Object.values(LINK_STATUS).map(status => [status, 0]));
+    records.forEach(record => qualitiesOf(record).forEach(quality => {
+        if (quality.link_status) counts[quality.link_status]++;
+    }));
+    return counts;
+}
+
+/**
+ * Records matching a results filter (see LINK_FILTERS)
+ */
+export function filterRecordsByLinkStatus(records, filter = LINK_FILTERS.ALL) {
+    if (filter === LINK_FILTERS.ALL) return records;
+
+    return records.filter(record => {
+        const qualities = qualitiesOf(record);
+        const checked = qualities.filter(quality => quality.link_status);
+
+        if (filter === LINK_FILTERS.DEAD) return checked.some(quality => DEAD_STATUSES.includes(quality.link_status));
+        if (filter === LINK_FILTERS.HEALTHY) return checked.length > 0 && checked.every(quality => quality.link_status === LINK_STATUS.ALIVE);
+        if (filter === LINK_FILTERS.UNCHECKED) return qualities.length > 0 && checked.length < qualities.length;
+        return true;
+    });
+}
+
+/**
+ * Copies of the records without dead qualities (servers left without
+ * links are dropped); the records themselves are not changed
+ */
+export function excludeDeadQualities(records) {
+    return records.map(record => {
+        if (!record.downloadOptions) return record;
+
+        const downloadOptions = record.downloadOptions
+            .map(option => ({
+                ...option,
+                qualities: (option.qualities || []).filter(quality => !DEAD_STATUSES.includes(quality.link_status))
+            }))
+            .filter((option, i) => option.qualities.length > 0 || (record.downloadOptions[i].qualities || []).length === 0);
+
+        return { ...record, downloadOptions };
+    });
+}
+
+export default {
+    LINK_STATUS,
+    DEAD_STATUSES,
+    LINK_FILTERS,
+    classifyLinkPage,
+    checkLink,
+    checkRecordsLinks,
+    countStatuses,
+    filterRecordsByLinkStatus,
+    excludeDeadQualities
+};
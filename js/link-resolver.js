@@ -0,0 +1,305 @@
+// Mobile Tools - Link Resolver Module
+// Follows download link chains (getLink page -> intermediary -> file host)
+// through the configured proxy and caches the final URLs on the record
+
+import { fetchPageContent } from './scraper.js';
+import { parseHTML } from './html-parser.js';
+
+export const DEFAULT_MAX_HOPS = 6;
+
+// Resolved links older than this are resolved again before opening them
+export const RESOLVED_LINK_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+export const HOP_TYPES = {
+    REDIRECT: 'redirect',         // HTTP redirect followed by the proxy
+    META_REFRESH: 'meta-refresh', // <meta http-equiv="refresh" content="5; url=...">
+    JS_LOCATION: 'js-location',   // location.href = "...", location.replace(...), window.open(...)
+    COUNTDOWN: 'countdown',       // "please wait 10 seconds" page with the link in a script
+    FORM: 'form',                 // auto-submitted GET form
+    LINK: 'link'                  // best download/continue link on the page
+};
+
+// Hosts that serve the file itself (or its final download page)
+const FINAL_HOSTS = [
+    'drive.google.com', 'docs.google.com', 'drive.usercontent.google.com',
+    'mega.nz', 'mega.co.nz', 'mediafire.com', 'pixeldrain.com',
+    'terabox.com', '1024terabox.com', 'teraboxapp.com',
+    '1drv.ms', 'onedrive.live.com', 'dropbox.com', 'dl.dropboxusercontent.com',
+    't.me', 'telegram.me'
+];
+
+const FILE_EXTENSION = /\.(mkv|mp4|avi|m4v|webm|zip|rar|7z|iso)(\?|#|$)/i;
+const COUNTDOWN_TEXT = /(please\s+wait|countdown|seconds?\b|generating|your\s+link\s+is\s+(almost\s+)?ready|timer)/i;
+const NEXT_LINK_TEXT = /(download|get\s*link|direct|continue|generate|go\s+to\s+link|click\s+here|instant|fast\s+server)/i;
+const IGNORED_LINKS = /(\.(css|js|png|jpe?g|gif|svg|webp|ico|woff2?)(\?|$)|facebook\.com|twitter\.com|whatsapp|wp-login|\/feed\/?$|googletagmanager|google-analytics|doubleclick|googlesyndication|cloudflareinsights|schema\.org|w3\.org)/i;
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+function absolute(href, baseUrl) {
+    if (!href) return '';
+    try {
+        const url = new URL(href.trim(), baseUrl);
+        return /^https?:$/.test(url.protocol) ? url.href : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Whether a URL points at a file or a file host's page (no further hops)
+ */
+export function isFinalUrl(url, extraHosts = []) {
+    const host = hostOf(url);
+    if (!host) return false;
+    if (FILE_EXTENSION.test(new URL(url).pathname)) return true;
+    return [...FINAL_HOSTS, ...extraHosts].some(known => host === known || host.endsWith(`.${known}`));
+}
+
+// ============================================================================
+// Next Hop Detection
+// ============================================================================
+
+/**
+ * URLs assigned to location/window.open in inline scripts
+ */
+function findScriptRedirect(scripts) {
+    const patterns = [
+        /(?:window\.|document\.|top\.|self\.|parent\.)?location(?:\.href)?\s*=\s*["'`]([^"'`]+)["'`]/,
+        /location\.(?:replace|assign)\(\s*["'`]([^"'`]+)["'`]\s*\)/,
+        /window\.open\(\s*["'`]([^"'`]+)["'`]/
+    ];
+
+    for (const script of scripts) {
+        for (const pattern of patterns) {
+            const match = script.match(pattern);
+            if (match) return match[1];
+        }
+    }
+    return '';
+}
+
+/**
+ * Score a candidate link: file hosts first, then download-looking links,
+ * then links leaving the current site
+ */
+function scoreLink(url, text, pageHost, extraHosts) {
+    if (!url || IGNORED_LINKS.test(url)) return -Infinity;
+    let score = 0;
+    if (isFinalUrl(url, extraHosts)) score += 10;
+    if (NEXT_LINK_TEXT.test(text)) score += 4;
+    if (hostOf(url) !== pageHost) score += 2;
+    return score;
+}
+
+/**
+ * Find where a resolver page leads: { url, type } or null
+ */
+export function findNextHop(html, baseUrl, extraHosts = []) {
+    const doc = parseHTML(html);
+    const pageHost = hostOf(baseUrl);
+
+    // <meta http-equiv="refresh" content="3; url=https://...">
+    const refresh = Array.from(doc.querySelectorAll('meta[http-equiv]'))
+        .find(meta => meta.getAttribute('http-equiv').toLowerCase() === 'refresh');
+    const refreshUrl = refresh?.getAttribute('content')?.match(/url\s*=\s*['"]?([^'";]+)/i);
+    if (refreshUrl && absolute(refreshUrl[1], baseUrl)) {
+        return { url: absolute(refreshUrl[1], baseUrl), type: HOP_TYPES.META_REFRESH };
+    }
+
+    const scripts = Array.from(doc.querySelectorAll('script'))
+        .map(script => script.textContent)
+        .filter(Boolean);
+
+    // Countdown pages reveal the link after a timer: take the best URL from
+    // their scripts or hidden links before falling back to plain redirects
+    const isCountdown = COUNTDOWN_TEXT.test(doc.body?.textContent || '') &&
+        scripts.some(script => /setTimeout|setInterval/.test(script));
+
+    const jsUrl = absolute(findScriptRedirect(scripts), baseUrl);
+    if (jsUrl && !isCountdown) {
+        return { url: jsUrl, type: HOP_TYPES.JS_LOCATION };
+    }
+
+    const candidates = [];
+
+    if (isCountdown) {
+        scripts.forEach(script => {
+            for (const match of script.matchAll(/["'`](https?:\/\/[^"'`\s]+)["'`]/g)) {
+                candidates.push({ url: match[1], text: '', type: HOP_TYPES.COUNTDOWN, bonus: 4 });
+            }
+        });
+        if (jsUrl) candidates.push({ url: jsUrl, text: '', type: HOP_TYPES.COUNTDOWN, bonus: 5 });
+    }
+
+    // Auto-submitted GET forms ("Continue" buttons without a link)
+    doc.querySelectorAll('form').forEach(form => {
+        if ((form.getAttribute('method') || 'get').toLowerCase() !== 'get') return;
+        const action = absolute(form.getAttribute('action') || baseUrl, baseUrl);
+        if (!action) return;
+
+        const url = new URL(action);
+        form.querySelectorAll('input[name]').forEach(input => {
+            url.searchParams.set(input.getAttribute('name'), input.getAttribute('value') || '');
+        });
+        candidates.push({ url: url.href, text: form.textContent, type: HOP_TYPES.FORM });
+    });
+
+    doc.querySelectorAll('a[href]').forEach(a => {
+        const text = `${a.textContent} ${a.getAttribute('class') || ''} ${a.getAttribute('id') || ''}`;
+        const type = isCountdown ? HOP_TYPES.COUNTDOWN : HOP_TYPES.LINK;
+        candidates.push({ url: absolute(a.getAttribute('href'), baseUrl), text, type });
+    });
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const url = absolute(candidate.url, baseUrl);
+        if (!url || url === baseUrl) return;
+        const score = scoreLink(url, candidate.text, pageHost, extraHosts) + (candidate.bonus || 0);
+        if (!best || score > best.score) {
+            best = { url, type: candidate.type, score };
+        }
+    });
+
+    // A link that only stays on the same site without looking like a
+    // download link is navigation, not the next hop
+    return best && best.score >= 4 ? { url: best.url, type: best.type } : null;
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Follow a download link until a file host (or file) is reached.
+ * Returns { url, resolved, hops: [{ url, type }], reason }. An unresolved
+ * result carries the last page reached, which is still worth opening.
+ */
+export async function resolveDownloadLink(startUrl, options = {}) {
+    const {
+        proxyUrl = '/api/proxy',
+        maxHops = DEFAULT_MAX_HOPS,
+        finalHosts = [],
+        retryPolicy = { retries: 1 },
+        fetchPage = fetchPageContent,
+        onHop = () => { }
+    } = options;
+
+    const hops = [];
+    const visited = new Set();
+    let current = startUrl;
+
+    const addHop = (url, type) => {
+        hops.push({ url, type });
+        onHop({ url, type, hop: hops.length });
+    };
+
+    for (let hop = 0; hop <= maxHops; hop++) {
+        if (isFinalUrl(current, finalHosts)) {
+            return { url: current, resolved: true, hops, reason: '' };
+        }
+        if (hop === maxHops) break;
+        if (visited.has(current)) {
+            return { url: current, resolved: false, hops, reason: 'Redirect loop' };
+        }
+        visited.add(current);
+
+        const page = await fetchPage(current, proxyUrl, { retryPolicy });
+
+        if (page.finalUrl && page.finalUrl !== current) {
+            current = page.finalUrl;
+            addHop(current, HOP_TYPES.REDIRECT);
+            if (isFinalUrl(current, finalHosts)) {
+                return { url: current, resolved: true, hops, reason: '' };
+            }
+        }
+
+        // The proxy reached a file (no HTML to read)
+        if (page.contentType && !/html|xml|text/i.test(page.contentType)) {
+            return { url: current, resolved: true, hops, reason: '' };
+        }
+
+        const next = findNextHop(page.html || '', current, finalHosts);
+        if (!next) {
+            return { url: current, resolved: false, hops, reason: 'No further link found' };
+        }
+
+        current = next.url;
+        addHop(current, next.type);
+    }
+
+    return { url: current, resolved: isFinalUrl(current, finalHosts), hops, reason: `Stopped after ${maxHops} hops` };
+}
+
+/**
+ * Cached resolution of a link on a record, unless it is too old
+ */
+export function getCachedResolution(record, path, maxAge = RESOLVED_LINK_MAX_AGE) {
+    const cached = record?.resolvedLinks?.[path];
+    if (!cached) return null;
+    if (Date.now() - Date.parse(cached.resolvedAt) > maxAge) return null;
+    return cached;
+}
+
+/**
+ * Resolve one link of a record and cache the result on it
+ * (record.resolvedLinks[path] = { url, resolved, hops, resolvedAt })
+ */
+export async function resolveRecordLink(record, path, options = {}) {
+    const cached = options.force ? null : getCachedResolution(record, path);
+    if (cached) return cached;
+
+    const result = await resolveDownloadLink(path, options);
+    const entry = {
+        url: result.url,
+        resolved: result.resolved,
+        hops: result.hops,
+        reason: result.reason,
+        resolvedAt: new Date().toISOString()
+    };
+
+    record.resolvedLinks = { ...(record.resolvedLinks || {}), [path]: entry };
+    return entry;
+}
+
+/**
+ * Resolve every download link of a record (one at a time).
+ * Returns { resolved, failed } counts.
+ */
+export async function resolveRecordLinks(record, options = {}) {
+    const paths = (record.downloadOptions || [])
+        .flatMap(option => (option.qualities || []).map(quality => quality.path))
+        .filter(Boolean);
+
+    let resolved = 0;
+    let failed = 0;
+    for (const path of paths) {
+        try {
+            const entry = await resolveRecordLink(record, path, options);
+            if (entry.resolved) resolved++;
+            else failed++;
+        } catch (error) {
+            console.error(`Failed to resolve ${path}:`, error.message);
+            failed++;
+        }
+    }
+
+    return { resolved, failed };
+}
+
+export default {
+    DEFAULT_MAX_HOPS,
+    RESOLVED_LINK_MAX_AGE,
+    HOP_TYPES,
+    isFinalUrl,
+    findNextHop,
+    resolveDownloadLink,
+    getCachedResolution,
+    resolveRecordLink,
+    resolveRecordLinks
+};
@@ -0,0 +1,192 @@
+// Mobile Tools - Merge Module
+// Field-level change detection and merge of a re-scraped record into the stored one
+
+import { mergeSeasons, parseSeasonStatus, formatSeasonStatus, getBadgeSeasons } from './seasons.js';
+
+export const MERGE_POLICIES = {
+    KEEP: 'keep',           // never change the stored value
+    OVERWRITE: 'overwrite', // take the fresh value (empty fresh values are ignored)
+    UNION: 'union'          // combine arrays; plain values are overwritten
+};
+
+/**
+ * Default policy per record field. Fields not listed are overwritten;
+ * `lastUpdated` is managed by the merge itself.
+ */
+export const DEFAULT_FIELD_POLICIES = {
+    id: MERGE_POLICIES.KEEP,
+    post_url: MERGE_POLICIES.KEEP,
+    title: MERGE_POLICIES.KEEP,
+    info1_custom: MERGE_POLICIES.KEEP,
+    info_subtitle: MERGE_POLICIES.KEEP,
+    enablePosterBlur: MERGE_POLICIES.KEEP,
+    blurPercentage: MERGE_POLICIES.KEEP,
+    visibility: MERGE_POLICIES.KEEP,
+    total_views: MERGE_POLICIES.KEEP,
+    info5_views: MERGE_POLICIES.KEEP,
+    screenshotLinks: MERGE_POLICIES.UNION,
+    downloadOptions: MERGE_POLICIES.UNION,
+    seasons: MERGE_POLICIES.UNION
+};
+
+// Upload time fields are only taken from a fresh scrape with an exact date or
+// a more reliable one than stored ("2 days ago" drifts on every re-scrape)
+const UPLOAD_TIME_FIELDS = ['createdAt', 'upload_time_raw', 'upload_time_confidence'];
+const CONFIDENCE_RANK = { exact: 3, relative: 2, ambiguous: 1, defaulted: 0 };
+
+const MANAGED_FIELDS = ['lastUpdated'];
+
+// ============================================================================
+// Value Helpers
+// ============================================================================
+
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Union of two arrays, keeping stored order; items are compared by value
+ */
+function unionArrays(stored, fresh) {
+    const seen = new Set(stored.map(item => JSON.stringify(item)));
+    const added = fresh.filter(item => !seen.has(JSON.stringify(item)));
+    return [...stored, ...added];
+}
+
+/**
+ * Union of download options: servers are matched by name, qualities by path.
+ * A known path takes the fresh quality text, size and label.
+ */
+function unionDownloadOptions(stored, fresh) {
+    const merged = stored.map(option => ({ ...option, qualities: [...(option.qualities || [])] }));
+
+    fresh.forEach(option => {
+        const target = merged.find(item => item.server === option.server);
+        if (!target) {
+            merged.push({ ...option, qualities: [...(option.qualities || [])] });
+            return;
+        }
+
+        (option.qualities || []).forEach(quality => {
+            const index = target.qualities.findIndex(item => item.path === quality.path);
+            if (index === -1) {
+                target.qualities.push(quality);
+            } else {
+                target.qualities[index] = { ...target.qualities[index], ...quality };
+            }
+        });
+        target.server_info = option.server_info || target.server_info;
+        target.labels = unionArrays(target.labels || [], option.labels || []);
+    });
+
+    // Placeholder groups without links are dropped once real links exist
+    const withLinks = merged.filter(option => option.qualities.length > 0);
+    return withLinks.length > 0 ? withLinks : merged;
+}
+
+function mergeValue(field, policy, stored, fresh) {
+    if (policy === MERGE_POLICIES.KEEP && !isEmpty(stored)) return stored;
+    if (isEmpty(fresh)) return stored;
+    if (isEmpty(stored) || policy !== MERGE_POLICIES.UNION) return fresh;
+    if (!Array.isArray(stored) || !Array.isArray(fresh)) return fresh;
+
+    if (field === 'downloadOptions') return unionDownloadOptions(stored, fresh);
+    if (field === 'seasons') return mergeSeasons(stored, fresh);
+    return unionArrays(stored, fresh);
+}
+
+// ============================================================================
+// Merge
+// ============================================================================
+
+/**
+ * Diff a fresh scrape against the stored record and merge it field by field.
+ * `policies` overrides DEFAULT_FIELD_POLICIES per field.
+ * Returns { record, changes } where changes is [{ field, from, to, policy }];
+ * the stored record itself is not modified.
+ */
+export function mergeRecords(stored, fresh, policies = {}) {
+    const fieldPolicies = { ...DEFAULT_FIELD_POLICIES, ...policies };
+    const record = { ...stored };
+    const changes = [];
+
+    // A series stored before seasons existed: start from its status badge
+    const base = { ...stored };
+    if (fresh.seasons && !stored.seasons?.length) {
+        base.seasons = parseSeasonStatus(stored.info6_status);
+    }
+
+    const freshRank = CONFIDENCE_RANK[fresh.upload_time_confidence] ?? 0;
+    const storedRank = CONFIDENCE_RANK[stored.upload_time_confidence] ?? 0;
+    const freshHasDate = freshRank === CONFIDENCE_RANK.exact || freshRank > storedRank;
+
+    Object.keys(fresh).forEach(field => {
+        if (MANAGED_FIELDS.includes(field)) return;
+        if (UPLOAD_TIME_FIELDS.includes(field) && !freshHasDate) return;
+
+        const policy = fieldPolicies[field] || MERGE_POLICIES.OVERWRITE;
+        const value = mergeValue(field, policy, base[field], fresh[field]);
+
+        if (!isEqual(value, stored[field])) {
+            record[field] = value;
+            changes.push({ field, from: stored[field], to: value, policy });
+        }
+    });
+
+    // The status of a series follows its merged seasons, but only when the
+    // merge changed them: re-scraping the same post keeps the stored badge text
+    if (record.seasons?.length && fieldPolicies.info6_status !== MERGE_POLICIES.KEEP) {
+        const merged = getBadgeSeasons(record.seasons);
+        let status = record.info6_status;
+        if (!isEqual(merged, getBadgeSeasons(base.seasons || []))) {
+            const freshMatches = isEqual(getBadgeSeasons(parseSeasonStatus(fresh.info6_status)), merged);
+            status = freshMatches ? fresh.info6_status : formatSeasonStatus(record.seasons);
+        } else if (!isEmpty(stored.info6_status)) {
+            status = stored.info6_status;
+        }
+
+        const change = changes.find(item => item.field === 'info6_status');
+        if (status !== stored.info6_status) {
+            record.info6_status = status;
+            if (change) change.to = status;
+            else changes.push({ field: 'info6_status', from: stored.info6_status, to: status, policy: MERGE_POLICIES.OVERWRITE });
+        } else if (change) {
+            record.info6_status = stored.info6_status;
+            changes.splice(changes.indexOf(change), 1);
+        }
+    }
+
+    if (changes.length > 0) {
+        record.lastUpdated = new Date().toISOString();
+    }
+
+    return { record, changes };
+}
+
+/**
+ * Check a policy map ({ field: policy }) and return a list of problems
+ */
+export function validateMergePolicies(policies) {
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+        return ['Merge policies must be an object of { field: policy }'];
+    }
+
+    const allowed = Object.values(MERGE_POLICIES);
+    return Object.entries(policies)
+        .filter(([, policy]) => !allowed.includes(policy))
+        .map(([field, policy]) => `Unknown merge policy "${policy}" for ${field} (use ${allowed.join(', ')})`);
+}
+
+export default {
+    MERGE_POLICIES,
+    DEFAULT_FIELD_POLICIES,
+    mergeRecords,
+    validateMergePolicies
+};
@@ -0,0 +1,208 @@
+// Mobile Tools - Pagination Module
+// Builds listing page URLs (numbered, search and category listings) and reads
+// pagers (next link, last page number)
+
+import { selectValue } from './profiles.js';
+
+export const PAGINATION_STRATEGIES = {
+    AUTO: 'auto',
+    QUERY: 'query',
+    PATH: 'path',
+    TEMPLATE: 'template',
+    NEXT_LINK: 'next-link'
+};
+
+export const SEARCH_TYPES = {
+    QUERY: 'query',       // site search for a title or keyword
+    CATEGORY: 'category'  // category / tag / genre listing
+};
+
+// Link texts that mean "next page" when no rel="next" is present
+const NEXT_TEXT_PATTERN = /^\s*(next|next page|older posts|›|»|→|>|>>)\s*[›»→]?\s*$/i;
+
+// ============================================================================
+// Page URL Building
+// ============================================================================
+
+/**
+ * Check whether a URL or template contains page placeholders
+ */
+export function hasPagePlaceholder(url) {
+    return /\{(page|offset)\}/.test(url || '');
+}
+
+/**
+ * Resolve the effective strategy ("auto" uses a {page} template when the URL
+ * has one, otherwise the site profile's strategy)
+ */
+export function resolveStrategy(baseUrl, pagination = {}) {
+    const strategy = pagination.strategy || PAGINATION_STRATEGIES.AUTO;
+    if (strategy !== PAGINATION_STRATEGIES.AUTO) return strategy;
+    if (hasPagePlaceholder(baseUrl) || pagination.template) return PAGINATION_STRATEGIES.TEMPLATE;
+    return pagination.defaultStrategy || PAGINATION_STRATEGIES.QUERY;
+}
+
+/**
+ * Build the URL of a listing page.
+ * - query:    sets ?page=N (or the configured parameter), keeping other params
+ * - path:     appends /page/N/ to the path, keeping the query string
+ * - template: replaces {page} and {offset} in the template (or in the base URL)
+ */
+export function buildPageUrl(baseUrl, pageNumber, pagination = {}) {
+    const strategy = resolveStrategy(baseUrl, pagination);
+    const param = pagination.param || 'page';
+
+    if (strategy === PAGINATION_STRATEGIES.TEMPLATE) {
+        const template = pagination.template || baseUrl;
+        const offset = (pageNumber - 1) * (parseInt(pagination.pageSize) || 0);
+        const filled = template
+            .replace(/\{page\}/g, pageNumber)
+            .replace(/\{offset\}/g, offset);
+
+        try {
+            return new URL(filled, hasPagePlaceholder(baseUrl) ? undefined : baseUrl).href;
+        } catch (e) {
+            return filled;
+        }
+    }
+
+    try {
+        const url = new URL(baseUrl);
+
+        if (strategy === PAGINATION_STRATEGIES.PATH) {
+            const path = url.pathname.replace(/\/page\/\d+\/?$/, '').replace(/\/$/, '');
+            url.pathname = `${path}/page/${pageNumber}/`;
+        } else {
+            url.searchParams.set(param, pageNumber);
+        }
+
+        return url.href;
+    } catch (e) {
+        const separator = baseUrl.includes('?') ? '&' : '?';
+        return `${baseUrl}${separator}${param}=${pageNumber}`;
+    }
+}
+
+// ============================================================================
+// Search & Category URLs
+// ============================================================================
+
+/**
+ * Split the search box into queries: one per line, blanks and repeats dropped
+ */
+export function parseSearchTerms(text) {
+    const seen = new Set();
+    return (text || '').split(/\r?\n/)
+        .map(term => term.trim())
+        .filter(term => {
+            const key = term.toLowerCase();
+            if (!term || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Build the first result page of a search query or category path from the
+ * site profile's search templates ({query} / {path}). A full URL entered as
+ * a category is used as it is.
+ */
+export function buildSearchUrl(siteUrl, term, type = SEARCH_TYPES.QUERY, search = {}) {
+    const value = (term || '').trim();
+
+    if (type === SEARCH_TYPES.CATEGORY) {
+        if (/^https?:\/\//i.test(value)) return value;
+
+        const path = value.replace(/^\/+|\/+$/g, '')
+            .split('/')
+            .map(segment => encodeURIComponent(segment))
+            .join('/');
+        return new URL((search.categoryUrl || '/{path}/').replace(/\{path\}/g, path), siteUrl).href;
+    }
+
+    return new URL((search.queryUrl || '/?s={query}').replace(/\{query\}/g, encodeURIComponent(value)), siteUrl).href;
+}
+
+// ============================================================================
+// Pager Reading
+// ============================================================================
+
+/**
+ * Find the "next page" URL of a parsed listing page
+ */
+export function findNextPageUrl(doc, baseUrl, pagination = {}) {
+    let href = selectValue(doc, pagination.nextLink || []);
+
+    if (!href) {
+        const pagerLinks = getPagerLinks(doc, pagination);
+        const nextLink = pagerLinks.find(a => NEXT_TEXT_PATTERN.test(a.textContent || '') ||
+            /next/i.test(a.getAttribute('aria-label') || ''));
+        href = nextLink?.getAttribute('href') || '';
+    }
+
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return '';
+
+    try {
+        return new URL(href, baseUrl).href;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Detect the highest page number shown in the pager (0 when there is no pager)
+ */
+export function detectLastPage(doc, pagination = {}) {
+    const param = pagination.param || 'page';
+    const hrefPattern = new RegExp(`(?:[?&]${param}=|/page/)(\\d+)`, 'i');
+    const inPager = pagination.pager && doc.querySelector(pagination.pager) !== null;
+    let lastPage = 0;
+
+    getPagerLinks(doc, pagination).forEach(a => {
+        const textNumber = parseInt((a.textContent || '').replace(/[^\d]/g, ''));
+        const hrefMatch = (a.getAttribute('href') || '').match(hrefPattern);
+        const hrefNumber = hrefMatch ? parseInt(hrefMatch[1]) : 0;
+
+        // Outside a pager only page URLs count (link texts may be years, counts...)
+        if (inPager && textNumber && /^\s*[\d,.]+\s*$/.test(a.textContent || '')) {
+            lastPage = Math.max(lastPage, textNumber);
+        }
+        lastPage = Math.max(lastPage, hrefNumber);
+    });
+
+    return lastPage;
+}
+
+/**
+ * Read next link and last page from a parsed listing page
+ */
+export function readPager(doc, baseUrl, pagination = {}) {
+    return {
+        nextPageUrl: findNextPageUrl(doc, baseUrl, pagination),
+        lastPage: detectLastPage(doc, pagination)
+    };
+}
+
+function getPagerLinks(doc, pagination) {
+    const containers = pagination.pager ? Array.from(doc.querySelectorAll(pagination.pager)) : [];
+    const roots = containers.length > 0 ? containers : [doc];
+
+    const links = [];
+    roots.forEach(root => {
+        root.querySelectorAll('a[href]').forEach(a => links.push(a));
+    });
+    return links;
+}
+
+export default {
+    PAGINATION_STRATEGIES,
+    SEARCH_TYPES,
+    hasPagePlaceholder,
+    resolveStrategy,
+    buildPageUrl,
+    parseSearchTerms,
+    buildSearchUrl,
+    findNextPageUrl,
+    detectLastPage,
+    readPager
+};
@@ -0,0 +1,189 @@
+// Mobile Tools - Playground Module
+// Tests the extraction on a single listing or detail URL: every field next to
+// the HTML it came from, the cards found and the empty fields. Nothing is saved.
+
+import { fetchPageContent, parseMovieCard, extractMovieDetails } from './scraper.js';
+import { getProfileForUrl, selectElement } from './profiles.js';
+import { parseHTML } from './html-parser.js';
+import { DATE_CONFIDENCE } from './dates.js';
+
+export const PAGE_KINDS = {
+    AUTO: 'auto',
+    LISTING: 'listing',
+    DETAIL: 'detail'
+};
+
+// Longer fragments are cut (full pages would flood the view)
+const MAX_FRAGMENT_LENGTH = 500;
+
+// Listing results show at most this many cards
+const MAX_CARDS = 50;
+
+const CARD_FIELDS = ['href', 'title', 'imageUrl', 'status'];
+
+// Detail record fields read from the profile's info line, with their label key
+const INFO_FIELDS = {
+    imdb: 'imdb',
+    genre: 'genre',
+    language_info: 'language',
+    info2_quality: 'quality',
+    resolution: 'resolution',
+    released: 'released',
+    cast: 'cast',
+    director: 'director'
+};
+
+function fragment(html) {
+    const text = (html || '').trim();
+    return text.length > MAX_FRAGMENT_LENGTH ? `${text.substring(0, MAX_FRAGMENT_LENGTH)}…` : text;
+}
+
+function elementFragment(doc, rules) {
+    return fragment(selectElement(doc, rules)?.element?.outerHTML);
+}
+
+function patternFragment(html, patterns) {
+    for (const pattern of [].concat(patterns || [])) {
+        const match = html.match(new RegExp(pattern, 'i'));
+        if (match) return fragment(match[0]);
+    }
+    return '';
+}
+
+/**
+ * Short text of an extracted value for the results view
+ */
+function displayValue(field, value) {
+    if (field === 'downloadOptions') {
+        return value
+            .filter(option => option.qualities.length > 0)
+            .map(option => `${option.server}: ${option.qualities.map(quality => quality.quality_text || quality.path).join(', ')}`)
+            .join(' · ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === null || value === undefined || value === '';
+}
+
+// ============================================================================
+// Detail Pages
+// ============================================================================
+
+/**
+ * HTML fragment each detail field was read from, per the profile rules
+ */
+function locateDetailFields(doc, html, rules) {
+    const fragments = {
+        title: elementFragment(doc, rules.title),
+        imageUrl: elementFragment(doc, rules.poster),
+        info4_type: patternFragment(html, rules.typePatterns),
+        storyline: elementFragment(doc, rules.storyline),
+        info6_status: elementFragment(doc, rules.status),
+        createdAt: elementFragment(doc, rules.uploadTime),
+        screenshotLinks: elementFragment(doc, rules.screenshots)
+    };
+
+    Object.entries(INFO_FIELDS).forEach(([field, key]) => {
+        const label = rules.infoFields[key];
+        fragments[field] = label ? patternFragment(html, rules.infoPattern.replace('{label}', label)) : '';
+    });
+
+    const linkSelector = [].concat(rules.downloadLinks.selectors || []).find(selector => doc.querySelector(selector));
+    fragments.downloadOptions = linkSelector ? fragment(doc.querySelector(linkSelector).outerHTML) : '';
+
+    return fragments;
+}
+
+/**
+ * Extract a detail page. Fields: [{ field, value, display, source, fragment, empty }],
+ * source being 'profile', a structured data source or 'default'.
+ */
+function testDetailPage(doc, html, url, finalUrl, profile) {
+    const hasAdultBadge = doc.querySelector(profile.listing.adultBadge) !== null;
+    const record = extractMovieDetails(html, url, finalUrl, hasAdultBadge ? 'true' : 'false', 0, profile);
+    const fragments = locateDetailFields(doc, html, profile.detail);
+
+    const fields = Object.entries(fragments).map(([field, html]) => {
+        const value = record[field];
+        const empty = isEmpty(value) ||
+            (field === 'createdAt' && record.upload_time_confidence === DATE_CONFIDENCE.DEFAULTED) ||
+            // Pages without links still get an empty default server
+            (field === 'downloadOptions' && value.every(option => option.qualities.length === 0));
+        const source = record.field_sources[field] || (html ? 'profile' : (empty ? '' : 'default'));
+        return { field, value, display: displayValue(field, value), source, fragment: source === 'profile' ? html : '', empty };
+    });
+
+    return {
+        record,
+        fields,
+        emptyFields: fields.filter(field => field.empty).map(field => field.field)
+    };
+}
+
+// ============================================================================
+// Listing Pages
+// ============================================================================
+
+/**
+ * Parse every card of a listing page. Fields empty on all cards are reported.
+ */
+function testListingPage(cards, baseUrl, profile) {
+    const parsed = cards.slice(0, MAX_CARDS).map(card => {
+        const data = parseMovieCard(card.outerHTML, 1, baseUrl, profile);
+        return {
+            ...data,
+            fragment: fragment(card.outerHTML),
+            emptyFields: CARD_FIELDS.filter(field => isEmpty(data[field]))
+        };
+    });
+
+    return {
+        cards: parsed,
+        cardCount: cards.length,
+        emptyFields: CARD_FIELDS.filter(field => parsed.length === 0 || parsed.every(card => card.emptyFields.includes(field)))
+    };
+}
+
+// ============================================================================
+// Test Runner
+// ============================================================================
+
+/**
+ * Fetch one URL through the proxy and run the extraction on it.
+ * With kind 'auto', pages without post markup but with cards are listings.
+ * Returns { url, finalUrl, kind, profile, ...listing or detail result }.
+ */
+export async function testUrl(url, options = {}) {
+    const { proxyUrl = '/api/proxy', kind = PAGE_KINDS.AUTO, retryPolicy = { retries: 1 } } = options;
+
+    const { html, finalUrl } = await fetchPageContent(url, proxyUrl, { retryPolicy });
+    const doc = parseHTML(html);
+    const baseUrl = finalUrl || url;
+    const profile = getProfileForUrl(baseUrl);
+    const cards = Array.from(doc.querySelectorAll(profile.listing.card));
+
+    const isListing = kind === PAGE_KINDS.AUTO
+        ? !doc.querySelector(profile.detail.marker) && cards.length > 0
+        : kind === PAGE_KINDS.LISTING;
+
+    const result = isListing
+        ? testListingPage(cards, baseUrl, profile)
+        : testDetailPage(doc, html, url, finalUrl, profile);
+
+    return {
+        url,
+        finalUrl: baseUrl,
+        kind: isListing ? PAGE_KINDS.LISTING : PAGE_KINDS.DETAIL,
+        profile: profile.name || profile.id,
+        ...result
+    };
+}
+
+export default {
+    PAGE_KINDS,
+    testUrl
+};
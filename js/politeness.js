@@ -0,0 +1,295 @@
+// Mobile Tools - Politeness Module
+// robots.txt (Disallow / Allow / Crawl-delay) per host, fetched through the
+// proxy and cached, with per-site overrides from the site profiles
+
+import { fetchPageContent, FETCH_ERROR_TYPES } from './scraper.js';
+import { getProfileForUrl } from './profiles.js';
+
+// Product token matched against robots.txt User-agent lines. The proxies
+// (server/proxy.js, cloudflare-proxy/worker.js) send it in their User-Agent.
+export const ROBOTS_USER_AGENT = 'MobileScraper';
+
+export const ROBOTS_STATUS = {
+    FOUND: 'found',             // rules read from robots.txt
+    MISSING: 'missing',         // no robots.txt (4xx): everything allowed
+    UNAVAILABLE: 'unavailable'  // could not be fetched: everything allowed
+};
+
+// robots.txt files are fetched again after this long
+export const ROBOTS_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// Crawl-delay values above this are capped (seconds)
+const MAX_CRAWL_DELAY = 60;
+
+// origin -> { promise, fetchedAt }
+const robotsCache = new Map();
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return '';
+    }
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+}
+
+// ============================================================================
+// robots.txt Parsing
+// ============================================================================
+
+/**
+ * Parse robots.txt into the rules of the group that applies to `userAgent`
+ * (the longest matching User-agent, else "*"):
+ * { allow: [], disallow: [], crawlDelay: seconds|null, sitemaps: [] }
+ */
+export function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    (text || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const colon = line.indexOf(':');
+        if (colon < 0) return;
+
+        const key = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], allow: [], disallow: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (current && (key === 'allow' || key === 'disallow')) {
+            // An empty Disallow allows everything
+            if (value) current[key].push(value);
+        } else if (current && key === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (!Number.isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+        }
+    });
+
+    const token = userAgent.toLowerCase();
+    const matchLength = (group) => Math.max(-1, ...group.agents.map(agent => {
+        if (agent === '*') return 0;
+        return token.includes(agent) ? agent.length : -1;
+    }));
+
+    const best = Math.max(-1, ...groups.map(matchLength));
+    const applying = best < 0 ? [] : groups.filter(group => matchLength(group) === best);
+
+    return {
+        allow: applying.flatMap(group => group.allow),
+        disallow: applying.flatMap(group => group.disallow),
+        crawlDelay: applying.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+        sitemaps
+    };
+}
+
+function patternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Whether robots rules allow a URL: the longest matching rule wins, Allow
+ * on a tie. Returns { allowed, rule }.
+ */
+export function isAllowedByRobots(rules, url) {
+    if (!rules) return { allowed: true, rule: '' };
+
+    let path;
+    try {
+        const parsed = new URL(url);
+        path = `${parsed.pathname}${parsed.search}`;
+    } catch (e) {
+        return { allowed: true, rule: '' };
+    }
+
+    let verdict = { allowed: true, rule: '', length: -1 };
+    const consider = (pattern, allowed) => {
+        if (!patternMatches(pattern, path)) return;
+        if (pattern.length > verdict.length || (pattern.length === verdict.length && allowed)) {
+            verdict = { allowed, rule: `${allowed ? 'Allow' : 'Disallow'}: ${pattern}`, length: pattern.length };
+        }
+    };
+    rules.disallow.forEach(pattern => consider(pattern, false));
+    rules.allow.forEach(pattern => consider(pattern, true));
+
+    return { allowed: verdict.allowed, rule: verdict.rule };
+}
+
+// ============================================================================
+// Fetching & Cache
+// ============================================================================
+
+/**
+ * Fetch and parse the robots.txt of an origin: { status, rules }.
+ * With a run's `scheduler` the request waits for its turn like any page.
+ */
+export async function fetchRobotsTxt(origin, proxyUrl = '/api/proxy', retryPolicy = { retries: 1 }, scheduler = null) {
+    const url = `${origin}/robots.txt`;
+    const fetchRobots = () => fetchPageContent(url, proxyUrl, { retryPolicy });
+
+    try {
+        const { html, contentType } = await (scheduler ? scheduler.schedule(url, fetchRobots) : fetchRobots());
+
+        // Sites without robots.txt sometimes answer with their home page
+        if (/html/i.test(contentType) && /<html[\s>]/i.test(html)) {
+            return { status: ROBOTS_STATUS.MISSING, rules: null };
+        }
+        return { status: ROBOTS_STATUS.FOUND, rules: parseRobotsTxt(html) };
+    } catch (error) {
+        if (error.type === FETCH_ERROR_TYPES.HTTP_4XX) {
+            return { status: ROBOTS_STATUS.MISSING, rules: null };
+        }
+        return { status: ROBOTS_STATUS.UNAVAILABLE, rules: null, error: error.message };
+    }
+}
+
+/**
+ * robots.txt of an origin from the cache, fetched when missing or stale
+ */
+export function getRobots(url, options = {}) {
+    const { proxyUrl, retryPolicy, scheduler, fetchRobots = fetchRobotsTxt } = options;
+    const origin = originOf(url);
+    const cached = robotsCache.get(origin);
+
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_CACHE_TTL) {
+        return cached.promise;
+    }
+
+    const promise = fetchRobots(origin, proxyUrl, retryPolicy, scheduler).then(robots => {
+        // Fetch failures are tried again on the next run
+        if (robots.status === ROBOTS_STATUS.UNAVAILABLE) robotsCache.delete(origin);
+        return robots;
+    });
+    robotsCache.set(origin, { promise, fetchedAt: Date.now() });
+    return promise;
+}
+
+/**
+ * Forget cached robots.txt files
+ */
+export function clearRobotsCache() {
+    robotsCache.clear();
+}
+
+// ============================================================================
+// Politeness Policy
+// ============================================================================
+
+/**
+ * Create the politeness policy of a run. `check(url)` resolves to
+ * { allowed, rule, crawlDelay (ms|null), overridden }. What the policy decides
+ * per host (robots status, crawl delay, overrides) and every disallowed URL
+ * is reported once through `onLog({ type, host, message })`.
+ * Overrides come from the site profile (`politeness.ignoreRobots`,
+ * `politeness.crawlDelay` in seconds). robots.txt files are fetched through
+ * the run's `scheduler` when given.
+ */
+export function createPolitenessPolicy(options = {}) {
+    const {
+        proxyUrl = '/api/proxy',
+        retryPolicy = { retries: 1 },
+        scheduler = null,
+        fetchRobots = fetchRobotsTxt,
+        getOverride = (url) => getProfileForUrl(url)?.politeness || {},
+        onLog = () => { }
+    } = options;
+
+    const reportedHosts = new Set();
+
+    const reportHost = (host, robots, override, crawlDelay) => {
+        if (reportedHosts.has(host)) return;
+        reportedHosts.add(host);
+
+        const robotsText = robots.status === ROBOTS_STATUS.FOUND
+            ? `robots.txt: ${robots.rules.disallow.length} Disallow rules`
+            : (robots.status === ROBOTS_STATUS.MISSING ? 'no robots.txt' : `robots.txt unavailable (${robots.error})`);
+        onLog({ type: 'info', host, message: `${robotsText}, ${crawlDelay ? `crawl delay ${crawlDelay / 1000}s` : 'no crawl delay'}` });
+
+        if (override.ignoreRobots) {
+            onLog({ type: 'warning', host, message: 'robots.txt Disallow rules ignored (site profile override)' });
+        }
+        if (override.crawlDelay !== null && override.crawlDelay !== undefined) {
+            const robotsDelay = robots.rules?.crawlDelay;
+            onLog({
+                type: 'warning',
+                host,
+                message: `Crawl delay set to ${override.crawlDelay}s by site profile override` +
+                    (robotsDelay !== null && robotsDelay !== undefined ? ` (robots.txt asks ${robotsDelay}s)` : '')
+            });
+        }
+    };
+
+    return {
+        async check(url) {
+            const host = hostOf(url);
+            const override = getOverride(url) || {};
+            const robots = await getRobots(url, { proxyUrl, retryPolicy, scheduler, fetchRobots });
+
+            const delaySeconds = override.crawlDelay ?? robots.rules?.crawlDelay ?? null;
+            const crawlDelay = delaySeconds !== null ? Math.min(delaySeconds, MAX_CRAWL_DELAY) * 1000 : null;
+            reportHost(host, robots, override, crawlDelay);
+
+            const verdict = isAllowedByRobots(robots.rules, url);
+            if (!verdict.allowed && !override.ignoreRobots) {
+                // The scraper reports the skipped URL itself; the log keeps it with the rule
+                onLog({ type: 'info', host, message: `Skipped ${url} (robots.txt ${verdict.rule})` });
+                return { allowed: false, rule: verdict.rule, crawlDelay, overridden: false };
+            }
+
+            return { allowed: true, rule: verdict.rule, crawlDelay, overridden: !verdict.allowed };
+        }
+    };
+}
+
+/**
+ * URLs of a run that robots.txt disallows (overridden hosts excluded):
+ * [{ url, rule }]. Used to warn before a run starts.
+ */
+export async function findDisallowedUrls(urls, options = {}) {
+    const policy = createPolitenessPolicy(options);
+    const disallowed = [];
+
+    for (const url of urls) {
+        const verdict = await policy.check(url);
+        if (!verdict.allowed) disallowed.push({ url, rule: verdict.rule });
+    }
+    return disallowed;
+}
+
+export default {
+    ROBOTS_USER_AGENT,
+    ROBOTS_STATUS,
+    ROBOTS_CACHE_TTL,
+    parseRobotsTxt,
+    isAllowedByRobots,
+    fetchRobotsTxt,
+    getRobots,
+    clearRobotsCache,
+    createPolitenessPolicy,
+    findDisallowedUrls
+};
@@ -0,0 +1,337 @@
+// Mobile Tools - Site Profiles Module
+// Declarative extraction rules per site, plus the registry that picks one by URL
+
+import { STRUCTURED_SOURCES } from './structured-data.js';
+
+// ============================================================================
+// Profile Format
+// ============================================================================
+//
+// A profile is plain JSON. Selector rules are either a CSS selector (reads the
+// element's text) or "selector@attribute" (reads an attribute). Where a list of
+// rules is given, the first rule that yields a value wins. Custom profiles only
+// need to define what differs from the default profile.
+
+/**
+ * Built-in default profile (the rules the scraper has always used)
+ */
+export const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Default (MovieLinkBD layout)',
+    hosts: ['*'],
+    listing: {
+        card: '.movie-card, .post, article, .item-list',
+        link: ['.image-container a@href'],
+        title: ['img@alt', 'img@title', '.mb-2.font-bold, .card-title, h3, h2'],
+        poster: ['img@src'],
+        status: ['.badge.ep-badge', '.ep-badge'],
+        adultBadge: '.badge.adult18plus-badge'
+    },
+    detail: {
+        marker: '.image-container-view, a[href*="/getLink/"]',
+        title: ['.mb-2.font-bold.text-center.text-xl, h1, .post-title, .md\\:text-3xl, .lg\\:text-4xl, .entry-title'],
+        poster: ['.image-container-view img@src'],
+        screenshots: '.screenshot-wrapper [data-src]@data-src',
+        storyline: ['.storyline-box.mt-2 .story-text'],
+        typePatterns: [
+            '<b[^>]*class="text-orange"[^>]*>([^<]+)<\\/b>',
+            '<b>Type\\s*:?<\\/b>\\s*([^<]+)'
+        ],
+        defaultType: 'Movie',
+        infoPattern: '<(b|strong)>\\s*{label}\\s*:?\\s*</\\1>\\s*([^<]+)',
+        infoFields: {
+            imdb: 'IMDb',
+            genre: 'Genre',
+            language: 'Language',
+            quality: 'Quality',
+            resolution: 'Resolution',
+            released: 'Released',
+            cast: 'Cast',
+            director: 'Director'
+        },
+        // Structured data read (in this order) for fields the rules above miss
+        fallbackSources: ['json-ld', 'microdata', 'opengraph'],
+        status: ['.badge.ep-badge.added'],
+        defaultStatus: 'Online',
+        uploadTime: ['.upload-time time@datetime', '.upload-time', 'time[datetime]@datetime', 'meta[property="article:published_time"]@content'],
+        // Day/month order of numeric dates like 05/01/2025: 'dmy', 'mdy' or '' to guess
+        dateOrder: '',
+        downloadLinks: {
+            selectors: [
+                '.d-flex.justify-content-center.align-items-center.my-2 .d-flex.flex-wrap.justify-content-center.align-items-center.gap-2.gap-md-3.my-2 a[href*="/getLink/"]',
+                '.card.h-100.border-left-success.shadow-sm.position-relative .mb-2.d-flex.justify-content-center a[href*="/getLink/"]'
+            ],
+            // Quality and size capture groups; other link texts are parsed field by field
+            textPattern: 'Download\\s*\\[(.*)\\s*•\\s*(.*)\\]',
+            textPatterns: [],
+            // Server grouping: section containers and their title, or headings before the links
+            sections: '',
+            sectionTitle: ['.server-name', 'h3, h4, h5'],
+            sectionInfo: '',
+            serverHeading: '',
+            // Extra host => server name mappings, e.g. { "files.example": "Example Files" }
+            servers: {},
+            // Server name for links that do not reveal their host (e.g. /getLink/ redirects)
+            defaultServer: 'G-Drive'
+        }
+    },
+    pagination: {
+        defaultStrategy: 'query',
+        param: 'page',
+        template: '',
+        pageSize: 0,
+        pager: '.pagination, .pager, .page-numbers, .nav-links, .wp-pagenavi, [class*="pagination"]',
+        nextLink: ['link[rel="next"]@href', 'a[rel="next"]@href', '.pagination .next@href', 'a.next@href']
+    },
+    // Search mode listings: {query} is the URL-encoded query, {path} the category/tag path
+    search: {
+        queryUrl: '/?s={query}',
+        categoryUrl: '/{path}/'
+    },
+    // Deliberate overrides of the site's robots.txt (recorded in the run log)
+    politeness: {
+        ignoreRobots: false,
+        // Seconds between requests instead of the robots.txt Crawl-delay (null: use robots.txt)
+        crawlDelay: null
+    }
+};
+
+let customProfiles = [];
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Replace the user-defined profiles (built-in default always stays last)
+ */
+export function setCustomProfiles(profiles) {
+    customProfiles = (profiles || []).map(normalizeProfile);
+    return customProfiles;
+}
+
+/**
+ * Get all profiles in matching order
+ */
+export function getProfiles() {
+    return [...customProfiles, normalizeProfile(DEFAULT_PROFILE)];
+}
+
+/**
+ * Pick the first profile whose host patterns match the URL
+ */
+export function getProfileForUrl(url) {
+    let host = '';
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        host = '';
+    }
+
+    return getProfiles().find(profile => profile.hosts.some(pattern => hostMatches(host, pattern)));
+}
+
+/**
+ * Match a hostname against "*", "example.com" or "*.example.com"
+ */
+export function hostMatches(host, pattern) {
+    const p = (pattern || '').toLowerCase().trim();
+    if (!p) return false;
+    if (p === '*') return true;
+    if (p.startsWith('*.')) {
+        const domain = p.slice(2);
+        return host === domain || host.endsWith(`.${domain}`);
+    }
+    return host === p || host === `www.${p}`;
+}
+
+/**
+ * Merge a (partial) custom profile onto the default profile
+ */
+export function normalizeProfile(profile) {
+    return {
+        ...DEFAULT_PROFILE,
+        ...profile,
+        hosts: toList(profile.hosts || DEFAULT_PROFILE.hosts),
+        listing: { ...DEFAULT_PROFILE.listing, ...(profile.listing || {}) },
+        detail: {
+            ...DEFAULT_PROFILE.detail,
+            ...(profile.detail || {}),
+            infoFields: { ...DEFAULT_PROFILE.detail.infoFields, ...(profile.detail?.infoFields || {}) },
+            downloadLinks: { ...DEFAULT_PROFILE.detail.downloadLinks, ...(profile.detail?.downloadLinks || {}) }
+        },
+        pagination: { ...DEFAULT_PROFILE.pagination, ...(profile.pagination || {}) },
+        search: { ...DEFAULT_PROFILE.search, ...(profile.search || {}) },
+        politeness: { ...DEFAULT_PROFILE.politeness, ...(profile.politeness || {}) }
+    };
+}
+
+/**
+ * Parse and validate profiles JSON entered in Settings.
+ * Accepts a single profile object or an array of profiles.
+ */
+export function parseProfilesJSON(jsonText) {
+    if (!jsonText || !jsonText.trim()) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Invalid profile JSON: ${error.message}`);
+    }
+
+    const profiles = Array.isArray(parsed) ? parsed : [parsed];
+
+    profiles.forEach((profile, index) => {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error(`Profile ${index + 1} must be an object`);
+        }
+        if (!profile.id) {
+            throw new Error(`Profile ${index + 1} needs an "id"`);
+        }
+        if (!profile.hosts || toList(profile.hosts).length === 0) {
+            throw new Error(`Profile "${profile.id}" needs at least one host in "hosts"`);
+        }
+        validatePatterns(profile);
+        validateFallbackSources(profile);
+        validatePoliteness(profile);
+        validateSearch(profile);
+    });
+
+    return profiles;
+}
+
+function validatePatterns(profile) {
+    const detail = profile.detail || {};
+    const patterns = [
+        ...toList(detail.typePatterns),
+        detail.infoPattern,
+        detail.downloadLinks?.textPattern,
+        ...toList(detail.downloadLinks?.textPatterns)
+    ].filter(Boolean);
+
+    patterns.forEach(pattern => {
+        try {
+            new RegExp(pattern.replace('{label}', 'x'), 'i');
+        } catch (error) {
+            throw new Error(`Profile "${profile.id}" has an invalid pattern: ${pattern}`);
+        }
+    });
+}
+
+function validateFallbackSources(profile) {
+    const known = Object.values(STRUCTURED_SOURCES);
+    toList(profile.detail?.fallbackSources).forEach(source => {
+        if (!known.includes(source)) {
+            throw new Error(`Profile "${profile.id}" has an unknown fallback source "${source}" (use ${known.join(', ')})`);
+        }
+    });
+}
+
+function validatePoliteness(profile) {
+    const crawlDelay = profile.politeness?.crawlDelay;
+    if (crawlDelay !== null && crawlDelay !== undefined && !(typeof crawlDelay === 'number' && crawlDelay >= 0)) {
+        throw new Error(`Profile "${profile.id}" has an invalid politeness.crawlDelay (use seconds or null)`);
+    }
+}
+
+function validateSearch(profile) {
+    const { queryUrl, categoryUrl } = profile.search || {};
+    if (queryUrl !== undefined && !String(queryUrl).includes('{query}')) {
+        throw new Error(`Profile "${profile.id}" search.queryUrl needs a {query} placeholder`);
+    }
+    if (categoryUrl !== undefined && !String(categoryUrl).includes('{path}')) {
+        throw new Error(`Profile "${profile.id}" search.categoryUrl needs a {path} placeholder`);
+    }
+}
+
+// ============================================================================
+// Rule Evaluation
+// ============================================================================
+
+/**
+ * Split a rule into its selector and optional attribute name
+ */
+function parseRule(rule) {
+    const at = rule.lastIndexOf('@');
+    if (at >= 0 && /^[\w:-]+$/.test(rule.slice(at + 1))) {
+        return { selector: rule.slice(0, at).trim(), attribute: rule.slice(at + 1) };
+    }
+    return { selector: rule.trim(), attribute: null };
+}
+
+function readElement(el, attribute) {
+    if (!el) return '';
+    const value = attribute ? el.getAttribute?.(attribute) : el.textContent;
+    return (value || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the first non-empty value for one or more rules
+ */
+export function selectValue(root, rules) {
+    for (const rule of toList(rules)) {
+        const { selector, attribute } = parseRule(rule);
+        const el = selector ? root.querySelector(selector) : root;
+        const value = readElement(el, attribute);
+        if (value) return value;
+    }
+    return '';
+}
+
+/**
+ * Get the element supplying selectValue's result: { element, rule } or null
+ */
+export function selectElement(root, rules) {
+    for (const rule of toList(rules)) {
+        const { selector, attribute } = parseRule(rule);
+        const el = selector ? root.querySelector(selector) : root;
+        if (readElement(el, attribute)) return { element: el, rule };
+    }
+    return null;
+}
+
+/**
+ * Get every non-empty value for a rule
+ */
+export function selectValues(root, rules) {
+    const values = [];
+    toList(rules).forEach(rule => {
+        const { selector, attribute } = parseRule(rule);
+        root.querySelectorAll(selector).forEach(el => {
+            const value = readElement(el, attribute);
+            if (value) values.push(value);
+        });
+    });
+    return values;
+}
+
+/**
+ * Get the first capture group of the first matching regex pattern
+ */
+export function matchPattern(html, patterns) {
+    for (const pattern of toList(patterns)) {
+        const match = html.match(new RegExp(pattern, 'i'));
+        if (match) return match[1].trim().replace(/\s+/g, ' ');
+    }
+    return '';
+}
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+export default {
+    DEFAULT_PROFILE,
+    setCustomProfiles,
+    getProfiles,
+    getProfileForUrl,
+    hostMatches,
+    normalizeProfile,
+    parseProfilesJSON,
+    selectValue,
+    selectElement,
+    selectValues,
+    matchPattern
+};
@@ -0,0 +1,383 @@
+// Mobile Tools - Schedules Module
+// Saved jobs that run on a schedule (hourly, daily or cron), with incremental
+// unattended runs shared by the app, the service worker and the local server
+
+import { ENGINE_MESSAGES, runScrapeJob } from './engine.js';
+import { setCustomProfiles } from './profiles.js';
+import { createHistoryEntry, mergeHistoryEntries } from './history.js';
+import * as Storage from './storage.js';
+import * as Notifications from './notifications.js';
+
+export const SCHEDULE_TYPES = {
+    HOURLY: 'hourly', // every hour at `minute`
+    DAILY: 'daily',   // every day at `time` (HH:MM, local time)
+    CRON: 'cron'      // 5-field `expression`: minute hour day-of-month month day-of-week
+};
+
+// Periodic Background Sync registration the service worker runs due jobs on
+export const PERIODIC_SYNC_TAG = 'scheduled-scrapes';
+
+// Interval asked of Periodic Background Sync (the browser decides the actual one)
+export const PERIODIC_SYNC_INTERVAL = 60 * 60 * 1000;
+
+// Web Lock held by every run, manual or scheduled, in any tab or the service
+// worker: scheduled jobs are skipped while it is taken
+export const RUN_LOCK_NAME = 'scrape-run';
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Long enough for Feb 29 schedules
+const MAX_SEARCH_DAYS = 5 * 366;
+
+// ============================================================================
+// Cron Expressions
+// ============================================================================
+
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+        const step = match[2] ? parseInt(match[2]) : 1;
+        let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+        // "5/15" runs from 5 to the end of the range
+        if (to === undefined) to = match[2] ? max : from;
+
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid ${name} "${part}" (${min}-${max})`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (numbers, *, ranges, lists and /steps)
+ */
+export function parseCron(expression) {
+    const fields = (expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    // Sunday is 0 or 7
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron: when both day fields are restricted, either one matching is enough
+        anyDay: fields[2].startsWith('*'),
+        anyWeekday: fields[4].startsWith('*')
+    };
+}
+
+function dayMatches(cron, time) {
+    const day = cron.days.has(time.getDate());
+    const weekday = cron.weekdays.has(time.getDay());
+    if (cron.anyDay) return weekday;
+    if (cron.anyWeekday) return day;
+    return day || weekday;
+}
+
+// ============================================================================
+// Schedules
+// ============================================================================
+
+/**
+ * The cron expression a schedule stands for
+ */
+export function scheduleToCron(schedule = {}) {
+    if (schedule.type === SCHEDULE_TYPES.HOURLY) {
+        return `${schedule.minute ?? 0} * * * *`;
+    }
+    if (schedule.type === SCHEDULE_TYPES.DAILY) {
+        const [hour, minute] = (schedule.time || '').split(':').map(Number);
+        return `${minute} ${hour} * * *`;
+    }
+    return schedule.expression || '';
+}
+
+/**
+ * First slot of a schedule strictly after `after` (local time), or null
+ */
+export function getNextRunTime(schedule, after = new Date()) {
+    const cron = parseCron(scheduleToCron(schedule));
+    const time = new Date(after.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (time.getTime() <= limit) {
+        if (!cron.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a schedule; throws with a message for the user
+ */
+export function validateSchedule(schedule = {}) {
+    if (!Object.values(SCHEDULE_TYPES).includes(schedule.type)) {
+        throw new Error(`Unknown schedule type "${schedule.type}"`);
+    }
+    if (schedule.type === SCHEDULE_TYPES.HOURLY) {
+        const minute = Number(schedule.minute ?? 0);
+        if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+            throw new Error('Minute must be between 0 and 59');
+        }
+    }
+    if (schedule.type === SCHEDULE_TYPES.DAILY && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+        throw new Error('Time must be HH:MM');
+    }
+    if (!getNextRunTime(schedule)) {
+        throw new Error('This schedule never runs');
+    }
+}
+
+/**
+ * Short human-readable schedule ("Daily at 06:30")
+ */
+export function describeSchedule(schedule = {}) {
+    if (schedule.type === SCHEDULE_TYPES.HOURLY) {
+        return `Hourly at :${String(schedule.minute ?? 0).padStart(2, '0')}`;
+    }
+    if (schedule.type === SCHEDULE_TYPES.DAILY) {
+        return `Daily at ${schedule.time}`;
+    }
+    return `Cron ${schedule.expression}`;
+}
+
+// ============================================================================
+// Scheduled Jobs
+// ============================================================================
+
+/**
+ * Create a scheduled job from a scraper job (as read from the scraper view):
+ * { id, name, job, schedule, enabled, createdAt, nextRunAt, lastRunAt, lastResult }
+ */
+export function createScheduledJob({ name, job, schedule }, now = new Date()) {
+    validateSchedule(schedule);
+
+    // Run state of the job it was copied from does not belong to the schedule
+    const { runId, sitemapUrls, ...jobSettings } = job;
+
+    return {
+        id: `schedule-${now.getTime()}`,
+        name: name || describeSchedule(schedule),
+        job: jobSettings,
+        schedule,
+        enabled: true,
+        createdAt: now.toISOString(),
+        nextRunAt: getNextRunTime(schedule, now).toISOString(),
+        lastRunAt: null,
+        lastResult: null
+    };
+}
+
+/**
+ * Enabled jobs whose next slot has passed. A job that missed several slots
+ * (device asleep, app closed) is due once, not once per slot.
+ */
+export function getDueJobs(entries, now = new Date()) {
+    return entries.filter(entry => entry.enabled && entry.nextRunAt && Date.parse(entry.nextRunAt) <= now.getTime());
+}
+
+/**
+ * The job of one scheduled run: always incremental, so a run only adds new
+ * posts and merges changes into the ones already stored
+ */
+function getRunJob(entry, runId) {
+    const job = { ...entry.job, runId };
+    if (job.mode === 'page-range') job.incrementalMode = true;
+    if (job.mode === 'sitemap') job.skipKnown = true;
+    return job;
+}
+
+/**
+ * Run a scheduled job without UI against the stored records. Returns
+ * { runId, newRecords, updatedRecords, duplicates, historyEntries, stopped, stats, log };
+ * the caller persists the records. `runJob` runs the engine (runScrapeJob
+ * inline by default; pages pass runScrapeJobInWorker).
+ */
+export async function runScheduledJob(entry, options = {}) {
+    const {
+        settings = {},
+        existingData = [],
+        now = new Date(),
+        shouldStop = () => false,
+        onProgress = () => { },
+        runJob = runScrapeJob
+    } = options;
+
+    setCustomProfiles(settings.siteProfiles || []);
+
+    const runId = now.toISOString();
+    const job = getRunJob(entry, runId);
+    const newRecords = [];
+    const updated = new Map();
+    const history = new Map();
+    let duplicates = 0;
+
+    const handleItem = (event) => {
+        if (event.isDuplicate) {
+            duplicates++;
+            if (event.isUpdated) updated.set(event.existingMovie.id, event.existingMovie);
+        } else if (event.movie) {
+            newRecords.push(event.movie);
+        }
+
+        const historyEntry = createHistoryEntry(event, { runId, mode: job.mode });
+        if (historyEntry) {
+            history.set(historyEntry.key, mergeHistoryEntries(history.get(historyEntry.key), historyEntry));
+        }
+    };
+
+    const result = await runJob(job, {
+        settings,
+        existingData,
+        scrapedData: [...existingData],
+        newScrapedData: [],
+        processedUrls: [],
+        cursor: {},
+        shouldStop,
+        emit: (type, data) => {
+            if (type === ENGINE_MESSAGES.ITEM) handleItem(data.event);
+            else if (data.notice) onProgress(data.notice);
+        }
+    });
+
+    return {
+        runId,
+        newRecords,
+        updatedRecords: [...updated.values()].filter(record => !newRecords.includes(record)),
+        duplicates,
+        historyEntries: [...history.values()],
+        stopped: result.stopped,
+        stats: result.stats,
+        log: result.log
+    };
+}
+
+/**
+ * Record a finished run on its scheduled job and move it to its next slot
+ */
+export function recordScheduledRun(entry, summary, now = new Date()) {
+    const nextRun = getNextRunTime(entry.schedule, now);
+
+    return {
+        ...entry,
+        lastRunAt: now.toISOString(),
+        nextRunAt: nextRun ? nextRun.toISOString() : null,
+        lastResult: summary.error
+            ? { error: summary.error }
+            : {
+                newCount: summary.newRecords.length,
+                updatedCount: summary.updatedRecords.length,
+                duplicates: summary.duplicates
+            }
+    };
+}
+
+/**
+ * Run the due scheduled jobs stored in IndexedDB (or the ones in `jobIds`,
+ * due or not), save their records and history and raise a notification per
+ * job. Used by the app and the service worker; nothing runs while another
+ * run holds RUN_LOCK_NAME. `runJob` is passed to runScheduledJob.
+ * Resolves to the number of jobs run.
+ */
+export async function runDueScheduledJobs(options = {}) {
+    const {
+        jobIds = null,
+        runJob,
+        onJobStart = () => { },
+        onJobDone = () => { }
+    } = options;
+
+    const run = async () => {
+        const settings = options.settings || await Storage.loadSettingsSnapshot();
+        const entries = await Storage.loadScheduledJobs();
+        const jobs = jobIds ? entries.filter(entry => jobIds.includes(entry.id)) : getDueJobs(entries);
+
+        for (const entry of jobs) {
+            onJobStart(entry);
+            console.log(`⏰ Running scheduled job: ${entry.name}`);
+
+            let summary = null;
+            let done;
+            try {
+                summary = await runScheduledJob(entry, { settings, existingData: await Storage.loadMovies(), runJob });
+
+                await Storage.saveMovies([...summary.newRecords, ...summary.updatedRecords]);
+                await Storage.saveHistoryEntries(summary.historyEntries);
+                if (summary.log.length > 0) await Storage.saveRunLog(summary.runId, summary.log);
+
+                done = recordScheduledRun(entry, summary);
+            } catch (error) {
+                console.error(`❌ Scheduled job "${entry.name}" failed:`, error);
+                summary = null;
+                done = recordScheduledRun(entry, { error: error.message });
+            }
+
+            await Storage.saveScheduledJob(done);
+
+            const notification = done.lastResult.error
+                ? Notifications.notifyScheduledJobFailed(entry.name, done.lastResult.error)
+                : Notifications.notifyScheduledJobCompleted(entry.name, done.lastResult);
+            Promise.resolve(notification).catch(error => console.warn('Notification failed:', error));
+
+            onJobDone(done, summary);
+        }
+
+        return jobs.length;
+    };
+
+    // Tabs and the service worker share one lock with manual runs
+    if (globalThis.navigator?.locks) {
+        return navigator.locks.request(RUN_LOCK_NAME, { ifAvailable: true }, lock => lock ? run() : 0);
+    }
+    return run();
+}
+
+export default {
+    SCHEDULE_TYPES,
+    PERIODIC_SYNC_TAG,
+    PERIODIC_SYNC_INTERVAL,
+    RUN_LOCK_NAME,
+    parseCron,
+    scheduleToCron,
+    getNextRunTime,
+    validateSchedule,
+    describeSchedule,
+    createScheduledJob,
+    getDueJobs,
+    runScheduledJob,
+    recordScheduledRun,
+    runDueScheduledJobs
+};
@@ -0,0 +1,42 @@
+// Mobile Tools - Scraper Worker
+// Runs scraping jobs off the main thread; see engine.js for the message protocol
+
+import { ENGINE_MESSAGES, runScrapeJob } from './engine.js';
+import { setCustomProfiles } from './profiles.js';
+
+let stopRequested = false;
+let running = false;
+
+const post = (type, data = {}) => self.postMessage({ type, ...data });
+
+async function start(message) {
+    if (running) return;
+    running = true;
+    stopRequested = false;
+
+    try {
+        setCustomProfiles(message.siteProfiles || []);
+
+        const result = await runScrapeJob(message.job, {
+            ...message,
+            emit: post,
+            shouldStop: () => stopRequested
+        });
+        post(ENGINE_MESSAGES.DONE, result);
+    } catch (error) {
+        console.error('❌ Worker scraping error:', error);
+        post(ENGINE_MESSAGES.DONE, { stopped: true, knownSkipped: null, stats: [], log: [], error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+self.onmessage = (e) => {
+    const message = e.data || {};
+
+    if (message.type === ENGINE_MESSAGES.START) {
+        start(message);
+    } else if (message.type === ENGINE_MESSAGES.STOP) {
+        stopRequested = true;
+    }
+};
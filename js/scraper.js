@@ -1,520 +1,1076 @@
-// Mobile Tools - Scraper Module
-// Extracted and adapted from original web scraper
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
-/**
- * Parse upload time text like "2 hours ago" to ISO timestamp
- */
-export function parseUploadTime(uploadTimeText) {
-    if (!uploadTimeText) return new Date().toISOString();
-
-    const text = uploadTimeText.toLowerCase().trim();
-    const now = new Date();
-
-    const patterns = [
-        { regex: /(\d+)\s*second[s]?\s*ago/i, unit: 'seconds' },
-        { regex: /(\d+)\s*minute[s]?\s*ago/i, unit: 'minutes' },
-        { regex: /(\d+)\s*hour[s]?\s*ago/i, unit: 'hours' },
-        { regex: /(\d+)\s*day[s]?\s*ago/i, unit: 'days' },
-        { regex: /(\d+)\s*week[s]?\s*ago/i, unit: 'weeks' },
-        { regex: /(\d+)\s*month[s]?\s*ago/i, unit: 'months' },
-        { regex: /(\d+)\s*year[s]?\s*ago/i, unit: 'years' }
-    ];
-
-    for (const pattern of patterns) {
-        const match = text.match(pattern.regex);
-        if (match) {
-            const value = parseInt(match[1]);
-            const timestamp = new Date(now);
-
-            switch (pattern.unit) {
-                case 'seconds':
-                    timestamp.setSeconds(timestamp.getSeconds() - value);
-                    break;
-                case 'minutes':
-                    timestamp.setMinutes(timestamp.getMinutes() - value);
-                    break;
-                case 'hours':
-                    timestamp.setHours(timestamp.getHours() - value);
-                    break;
-                case 'days':
-                    timestamp.setDate(timestamp.getDate() - value);
-                    break;
-                case 'weeks':
-                    timestamp.setDate(timestamp.getDate() - (value * 7));
-                    break;
-                case 'months':
-                    timestamp.setMonth(timestamp.getMonth() - value);
-                    break;
-                case 'years':
-                    timestamp.setFullYear(timestamp.getFullYear() - value);
-                    break;
-            }
-
-            return timestamp.toISOString();
-        }
-    }
-
-    return now.toISOString();
-}
-
-/**
- * Normalize language text (replace "Dual" with "Dual Audio", clean brackets)
- */
-export function normalizeLanguage(language) {
-    if (!language) return '';
-
-    // Replace "Dual" with "Dual Audio"
-    language = language.replace(/\bDual\b/gi, 'Dual Audio');
-
-    // Replace [ ] and – with comma
-    language = language.replace(/[\[\]–]/g, ',');
-
-    // Clean up multiple commas
-    language = language.replace(/,+/g, ',').replace(/^,|,$/g, '');
-
-    return language.trim();
-}
-
-/**
- * Clean movie title (remove episode info like [S01 Ep 1-10 Added])
- */
-export function cleanMovieTitle(title) {
-    if (!title) return '';
-    return title.replace(/\[\s*S\d+[^\]]*Added\s*\]/gi, '').trim().replace(/\s+/g, ' ');
-}
-
-/**
- * Extract info value from HTML using label
- */
-export function extractInfoValue(html, label) {
-    const regex = new RegExp(`<(b|strong)>\\s*${label}\\s*:?\\s*</\\1>\\s*([^<]+)`, 'i');
-    const match = html.match(regex);
-    return match ? match[2].trim().replace(/\s+/g, ' ') : '';
-}
-
-/**
- * Resolve relative URL to absolute
- */
-export function resolveUrl(baseUrl, relativeUrl) {
-    if (!relativeUrl) return '';
-    if (relativeUrl.startsWith('http')) return relativeUrl;
-    try {
-        return new URL(relativeUrl, baseUrl).href;
-    } catch (e) {
-        return relativeUrl;
-    }
-}
-
-/**
- * Generate unique ID for movie/series
- */
-export function generateId(type, serial) {
-    const cleanType = (type || 'movie').toString().toLowerCase().trim().replace(/\s+/g, '');
-    return `${cleanType}${serial}`;
-}
-
-/**
- * Get highest ID number from existing data
- */
-export function getHighestIdNumber(existingData, scrapedData) {
-    const allData = [...existingData, ...scrapedData];
-    let maxId = 0;
-
-    allData.forEach(item => {
-        if (item.id) {
-            const match = item.id.match(/(\d+)$/);
-            if (match) {
-                const num = parseInt(match[1]);
-                if (num > maxId) {
-                    maxId = num;
-                }
-            }
-        }
-    });
-
-    return maxId;
-}
-
-// ============================================================================
-// DUPLICATE DETECTION
-// ============================================================================
-
-/**
- * Find existing movie in data (advanced duplicate detection)
- */
-export function findExistingMovie(movie, existingData, scrapedData) {
-    const allData = [...existingData, ...scrapedData];
-    const clean = (str) => (str || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
-
-    // Helper to extract season number
-    const extractSeason = (status) => {
-        if (!status) return null;
-        const match = status.match(/S(\d+)/i);
-        return match ? match[1] : null;
-    };
-
-    return allData.find(item => {
-        const matchTitle = clean(item.title) === clean(movie.title);
-        const matchImageUrl = clean(item.imageUrl) === clean(movie.imageUrl);
-        const matchQuality = clean(item.info2_quality) === clean(movie.info2_quality);
-        const matchType = clean(item.info4_type) === clean(movie.info4_type);
-        const matchGenre = clean(item.genre) === clean(movie.genre);
-        const matchResolution = clean(item.resolution) === clean(movie.resolution);
-        const matchReleased = clean(item.released) === clean(movie.released);
-        const matchCast = clean(item.cast) === clean(movie.cast);
-        const matchStoryline = clean(item.storyline) === clean(movie.storyline);
-        const matchLangInfo = clean(item.language_info) === clean(movie.language_info);
-
-        const basicMatch = matchTitle && matchImageUrl && matchQuality &&
-            matchType && matchGenre && matchResolution &&
-            matchReleased && matchCast && matchStoryline && matchLangInfo;
-
-        if (!basicMatch) return false;
-
-        // Season-aware duplicate detection
-        const itemSeason = extractSeason(item.info6_status);
-        const movieSeason = extractSeason(movie.info6_status);
-
-        // Different seasons = NOT duplicate
-        if (itemSeason && movieSeason && itemSeason !== movieSeason) {
-            return false;
-        }
-
-        return true;
-    });
-}
-
-// ============================================================================
-// CORS PROXY / FETCH
-// ============================================================================
-
-/**
- * Fetch page content via CORS proxy
- */
-export async function fetchPageContent(url, proxyUrl = '/api/proxy') {
-    try {
-        const response = await fetch(proxyUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ url: url })
-        });
-
-        const data = await response.json();
-
-        if (!data.success) {
-            let errorMsg = data.error || 'Failed to fetch page';
-            if (response.status === 501) {
-                errorMsg = 'Server Error (501): The proxy is not responding. Please ensure the proxy server is running.';
-            }
-            throw new Error(errorMsg);
-        }
-
-        return {
-            html: data.html,
-            finalUrl: data.url
-        };
-    } catch (error) {
-        console.error(`Error fetching ${url}:`, error.message);
-        throw error;
-    }
-}
-
-// ============================================================================
-// PARSING FUNCTIONS
-// ============================================================================
-
-/**
- * Parse movie card HTML to extract basic info
- */
-export function parseMovieCard(cardHtml, pageNumber, baseUrl) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(cardHtml, 'text/html');
-
-    // Check for adult badge
-    const hasAdultBadge = doc.querySelector('.badge.adult18plus-badge') !== null ||
-        cardHtml.toLowerCase().includes('adult18plus-badge');
-    const enablePosterBlur = hasAdultBadge ? 'true' : 'false';
-
-    const imageContainer = doc.querySelector('.image-container');
-    const rawHref = imageContainer?.querySelector('a')?.getAttribute('href') || '';
-    const href = resolveUrl(baseUrl, rawHref);
-
-    // Fallback for Title/Image
-    const imgEl = doc.querySelector('img');
-    const listTitle = cleanMovieTitle(imgEl?.getAttribute('alt') || imgEl?.getAttribute('title') ||
-        doc.querySelector('.mb-2.font-bold, .card-title, h3, h2')?.textContent || '');
-    const rawListImageUrl = imgEl?.src || imgEl?.getAttribute('src') || '';
-    const listImageUrl = resolveUrl(baseUrl, rawListImageUrl).trim();
-
-    if (href || listTitle) {
-        return {
-            href: href,
-            title: listTitle,
-            imageUrl: listImageUrl,
-            enablePosterBlur
-        };
-    }
-
-    return {
-        href: '',
-        title: listTitle,
-        imageUrl: listImageUrl,
-        enablePosterBlur
-    };
-}
-
-/**
- * Scrape detailed movie information from movie page
- */
-export async function scrapeMovieDetails(href, enablePosterBlur, pageNumber, serial, currentBaseUrl, proxyUrl) {
-    try {
-        const { html, finalUrl } = await fetchPageContent(href, proxyUrl);
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        const baseUrl = finalUrl || href;
-
-        // Extract image
-        const imgEl = doc.querySelector('.image-container-view img');
-        const rawImageUrl = imgEl?.src || imgEl?.getAttribute('src') || '';
-        const imageUrl = resolveUrl(baseUrl, rawImageUrl).trim();
-
-        // Extract title
-        const title = cleanMovieTitle(doc.querySelector('.mb-2.font-bold.text-center.text-xl, h1, .post-title, .md\\:text-3xl, .lg\\:text-4xl, .entry-title')?.textContent || '');
-
-        // Screenshot links
-        const screenshotElements = doc.querySelectorAll('.screenshot-wrapper [data-src]');
-        const screenshotLinks = Array.from(screenshotElements).map(el => {
-            const raw = el.getAttribute('data-src');
-            return resolveUrl(baseUrl, raw).trim();
-        }).filter(Boolean);
-
-        // Storyline
-        const storyline = (doc.querySelector('.storyline-box.mt-2 .story-text')?.textContent || '').trim().replace(/\s+/g, ' ');
-
-        // Extract type
-        const typeMatch = html.match(/<b[^>]*class="text-orange"[^>]*>([^<]+)<\/b>/i) ||
-            html.match(/<b>Type\s*:?<\/b>\s*([^<]+)/i);
-        const info4_type = typeMatch ? typeMatch[1].trim().replace(/\s+/g, ' ') : 'Movie';
-
-        // Generate ID
-        const id = generateId(info4_type || 'movie', serial);
-
-        // Extract info-line data
-        const imdb = extractInfoValue(html, 'IMDb');
-        const genre = extractInfoValue(html, 'Genre');
-        const languageRaw = extractInfoValue(html, 'Language');
-        const language = normalizeLanguage(languageRaw);
-        const quality = extractInfoValue(html, 'Quality');
-        const resolution = extractInfoValue(html, 'Resolution');
-        const released = extractInfoValue(html, 'Released');
-        const cast = extractInfoValue(html, 'Cast');
-
-        // Extract status
-        const statusElement = doc.querySelector('.badge.ep-badge.added');
-        const info6_status = statusElement?.textContent.trim() || 'Online';
-
-        // Extract upload time
-        const uploadTimeElement = doc.querySelector('.upload-time');
-        const uploadTimeText = uploadTimeElement?.textContent?.trim() || '';
-        const createdAt = parseUploadTime(uploadTimeText);
-        const lastUpdated = createdAt;
-
-        // Extract Download Links
-        const downloadLinks = [];
-        const linkSelectors = [
-            '.d-flex.justify-content-center.align-items-center.my-2 .d-flex.flex-wrap.justify-content-center.align-items-center.gap-2.gap-md-3.my-2 a[href*="/getLink/"]',
-            '.card.h-100.border-left-success.shadow-sm.position-relative .mb-2.d-flex.justify-content-center a[href*="/getLink/"]'
-        ];
-
-        linkSelectors.forEach(selector => {
-            doc.querySelectorAll(selector).forEach(a => {
-                const rawText = a.textContent.trim();
-                const match = rawText.match(/Download\s*\[(.*)\s*•\s*(.*)\]/i);
-                if (match) {
-                    downloadLinks.push({
-                        url: resolveUrl(baseUrl, a.getAttribute('href')),
-                        quality: match[1].trim(),
-                        size: match[2].trim()
-                    });
-                }
-            });
-        });
-
-        const movieData = {
-            id: id,
-            post_url: href,
-            title: title,
-            imageUrl: imageUrl,
-            info1_custom: '',
-            info2_quality: quality,
-            info3_language: language,
-            info4_type: info4_type,
-            language_info: languageRaw,
-            info_subtitle: '',
-            info6_status: info6_status,
-            enablePosterBlur: enablePosterBlur === 'true',
-            blurPercentage: 10,
-            imdb: imdb,
-            genre: genre,
-            resolution: resolution,
-            released: released,
-            cast: cast,
-            storyline: storyline,
-            visibility: 'published',
-            total_views: 0,
-            createdAt: createdAt,
-            lastUpdated: lastUpdated,
-            server: true,
-            server_info: '',
-            runtime: '',
-            director: '',
-            writer: '',
-            rated: '',
-            trailer: '',
-            info5_views: 0,
-            screenshotLinks: screenshotLinks,
-            downloadOptions: [
-                {
-                    server: 'G-Drive',
-                    server_info: '',
-                    qualities: downloadLinks.map(link => ({
-                        quality_text: link.quality,
-                        path: link.url,
-                        file_size: link.size
-                    })),
-                    labels: []
-                }
-            ]
-        };
-
-        return movieData;
-    } catch (error) {
-        console.error(`Error scraping ${href}:`, error.message);
-        throw error;
-    }
-}
-
-/**
- * Scrape a single page for movie cards
- */
-export async function scrapePage(pageUrl, pageNumber, options = {}) {
-    const {
-        proxyUrl = '/api/proxy',
-        onProgress = () => { },
-        onMovieScraped = () => { },
-        shouldStop = () => false,
-        existingData = [],
-        scrapedData = [],
-        newScrapedData = []
-    } = options;
-
-    try {
-        onProgress({ type: 'info', message: `Scraping page ${pageNumber}...` });
-
-        const { html, finalUrl } = await fetchPageContent(pageUrl, proxyUrl);
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        const baseUrl = finalUrl || pageUrl;
-
-        // Find all movie cards
-        let movieCards = doc.querySelectorAll('.movie-card, .post, article, .item-list');
-
-        if (movieCards.length === 0) {
-            onProgress({
-                type: 'warning',
-                message: `No movie cards found on page ${pageNumber}. Site structure may have changed.`
-            });
-        }
-
-        onProgress({ type: 'info', message: `Found ${movieCards.length} cards on page ${pageNumber}` });
-
-        // Start serial from highest existing ID + 1
-        let serial = getHighestIdNumber(existingData, scrapedData) + newScrapedData.length + 1;
-
-        for (let i = 0; i < movieCards.length; i++) {
-            if (shouldStop()) {
-                onProgress({ type: 'warning', message: 'Stop requested, finishing current page...' });
-                break;
-            }
-
-            const cardHtml = movieCards[i].outerHTML;
-            const { href, title, imageUrl, enablePosterBlur } = parseMovieCard(cardHtml, pageNumber, baseUrl);
-
-            if (href) {
-                try {
-                    const movieData = await scrapeMovieDetails(href, enablePosterBlur, pageNumber, serial, baseUrl, proxyUrl);
-
-                    if (movieData) {
-                        // Check for duplicates
-                        const existingMovie = findExistingMovie(movieData, existingData, scrapedData);
-
-                        if (existingMovie) {
-                            // Duplicate found
-                            let isUpdated = false;
-                            if (existingMovie.info6_status !== movieData.info6_status) {
-                                existingMovie.info6_status = movieData.info6_status;
-                                isUpdated = true;
-                                onProgress({
-                                    type: 'info',
-                                    message: `Updated status: ${title} (${movieData.info6_status})`
-                                });
-                            } else {
-                                onProgress({ type: 'warning', message: `Skipped duplicate: ${title}` });
-                            }
-
-                            onMovieScraped({
-                                movie: null,
-                                isDuplicate: true,
-                                isUpdated: isUpdated,
-                                existingMovie: existingMovie
-                            });
-                        } else {
-                            // New movie
-                            onMovieScraped({
-                                movie: movieData,
-                                isDuplicate: false,
-                                isUpdated: false
-                            });
-
-                            onProgress({ type: 'success', message: `Scraped: ${movieData.title}` });
-                            serial++;
-                        }
-                    }
-                } catch (error) {
-                    onProgress({ type: 'error', message: `Failed to scrape ${href}: ${error.message}` });
-                }
-            }
-
-            // Small delay to avoid overwhelming server
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-
-        return movieCards.length;
-    } catch (error) {
-        onProgress({ type: 'error', message: `Error on page ${pageNumber}: ${error.message}` });
-        return 0;
-    }
-}
-
-export default {
-    parseUploadTime,
-    normalizeLanguage,
-    cleanMovieTitle,
-    extractInfoValue,
-    resolveUrl,
-    generateId,
-    getHighestIdNumber,
-    findExistingMovie,
-    fetchPageContent,
-    parseMovieCard,
-    scrapeMovieDetails,
-    scrapePage
-};
+// Mobile Tools - Scraper Module
+// Extracted and adapted from original web scraper
+
+import { DEFAULT_PROFILE, getProfileForUrl, selectValue, selectValues, matchPattern } from './profiles.js';
+import { readPager } from './pagination.js';
+import { parseHTML } from './html-parser.js';
+import { extractStructuredData, pickStructuredValue } from './structured-data.js';
+import { extractDownloadOptions } from './download-links.js';
+import { parseDateText } from './dates.js';
+import { MATCH_RULES, createDuplicateIndex, normalizeUrl } from './duplicates.js';
+import { SEASON_TAG_PATTERN, parseSeasonStatus, buildSeasons, getKnownRanges, hasNewSeasonContent } from './seasons.js';
+import { mergeRecords } from './merge.js';
+import { createIdAllocator, getHighestSerial } from './ids.js';
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse upload time text like "2 hours ago" to ISO timestamp
+ */
+export function parseUploadTime(uploadTimeText) {
+    return parseDateText(uploadTimeText).iso;
+}
+
+/**
+ * Normalize language text (replace "Dual" with "Dual Audio", clean brackets)
+ */
+export function normalizeLanguage(language) {
+    if (!language) return '';
+
+    // Replace "Dual" with "Dual Audio"
+    language = language.replace(/\bDual\b/gi, 'Dual Audio');
+
+    // Replace [ ] and – with comma
+    language = language.replace(/[\[\]–]/g, ',');
+
+    // Clean up multiple commas
+    language = language.replace(/,+/g, ',').replace(/^,|,$/g, '');
+
+    return language.trim();
+}
+
+/**
+ * Clean movie title (remove season tags like [S01 Ep 1-10 Added])
+ */
+export function cleanMovieTitle(title) {
+    if (!title) return '';
+    return title.replace(SEASON_TAG_PATTERN, '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the season tag of a title ("S01 Ep 1-10 Added"), or ''
+ */
+export function extractSeasonTag(title) {
+    const match = (title || '').match(new RegExp(SEASON_TAG_PATTERN.source, 'i'));
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Extract info value from HTML using label.
+ * The pattern comes from the site profile; {label} is replaced by the label
+ * and the last capture group holds the value.
+ */
+export function extractInfoValue(html, label, pattern = DEFAULT_PROFILE.detail.infoPattern) {
+    const regex = new RegExp(pattern.replace('{label}', label), 'i');
+    const match = html.match(regex);
+    return match ? match[match.length - 1].trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Resolve relative URL to absolute
+ */
+export function resolveUrl(baseUrl, relativeUrl) {
+    if (!relativeUrl) return '';
+    if (relativeUrl.startsWith('http')) return relativeUrl;
+    try {
+        return new URL(relativeUrl, baseUrl).href;
+    } catch (e) {
+        return relativeUrl;
+    }
+}
+
+/**
+ * Canonical form of a post URL for lookups (no hash, "www." or trailing slash)
+ */
+export function canonicalUrl(url) {
+    return normalizeUrl(url);
+}
+
+/**
+ * Parse season/episode progress from a status badge like "S01 Ep 1-10 Added"
+ */
+export function parseEpisodeProgress(status) {
+    if (!status) return { season: null, episode: null };
+
+    const seasonMatch = status.match(/\bS(?:eason)?\s*0*(\d+)/i);
+    const episodeMatch = status.match(/\bEp(?:isodes?)?\.?\s*(\d+)(?:\s*(?:-|to|–)\s*(\d+))?/i);
+
+    return {
+        season: seasonMatch ? parseInt(seasonMatch[1]) : null,
+        episode: episodeMatch ? parseInt(episodeMatch[2] || episodeMatch[1]) : null
+    };
+}
+
+/**
+ * Check whether a listing badge announces seasons or episodes that the
+ * stored record (its seasons, else its status) does not have yet
+ */
+export function hasNewEpisodes(listingStatus, storedStatus, storedSeasons = null) {
+    if (!listingStatus) return false;
+
+    const listed = parseSeasonStatus(listingStatus);
+    if (listed.length === 0) return false;
+
+    // Episodes with links count as known even when the badge lags behind
+    const stored = (storedSeasons?.length ? storedSeasons : parseSeasonStatus(storedStatus))
+        .map(season => ({ ...season, ranges: getKnownRanges(season), episodes: [] }));
+    const latestStored = Math.max(0, ...stored.map(season => season.season));
+
+    // Older seasons listed again (e.g. "S01" on a page) are not news
+    const relevant = listed.filter(season => season.season >= latestStored);
+    return hasNewSeasonContent(stored, relevant.map(season => ({ ...season, episodes: [] })));
+}
+
+/**
+ * Generate unique ID for movie/series
+ */
+export function generateId(type, serial) {
+    const cleanType = (type || 'movie').toString().toLowerCase().trim().replace(/\s+/g, '');
+    return `${cleanType}${serial}`;
+}
+
+/**
+ * Get highest ID number from existing data
+ */
+export function getHighestIdNumber(existingData, scrapedData) {
+    return getHighestSerial([...existingData, ...scrapedData]);
+}
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+/**
+ * Find existing movie in data (indexed, fuzzy duplicate detection).
+ * For many lookups build one index with createDuplicateIndex instead.
+ */
+export function findExistingMovie(movie, existingData, scrapedData, matchOptions = {}) {
+    const match = createDuplicateIndex([...existingData, ...scrapedData], matchOptions).find(movie);
+    return match ? match.record : undefined;
+}
+
+// ============================================================================
+// CORS PROXY / FETCH
+// ============================================================================
+
+/**
+ * Kinds of fetch failures
+ */
+export const FETCH_ERROR_TYPES = {
+    NETWORK: 'network',
+    PROXY_UNAVAILABLE: 'proxy-unavailable',
+    HTTP_4XX: 'http-4xx',
+    HTTP_5XX: 'http-5xx',
+    TIMEOUT: 'timeout',
+    BLOCKED: 'blocked',
+    DISALLOWED: 'disallowed'    // robots.txt disallows the URL (not fetched)
+};
+
+/**
+ * Default retry policy (can be overridden per run)
+ */
+export const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    timeout: 30000,
+    retryOn: [
+        FETCH_ERROR_TYPES.NETWORK,
+        FETCH_ERROR_TYPES.PROXY_UNAVAILABLE,
+        FETCH_ERROR_TYPES.HTTP_5XX,
+        FETCH_ERROR_TYPES.TIMEOUT
+    ]
+};
+
+// 4xx statuses that are worth retrying (timeout / rate limit)
+const RETRYABLE_4XX = [408, 425, 429];
+
+// Markers of anti-bot challenge and block pages
+const BLOCKED_PAGE_PATTERNS = [
+    /<title>\s*just a moment\.\.\.\s*<\/title>/i,
+    /attention required!\s*\|\s*cloudflare/i,
+    /cf-browser-verification|cf-challenge|challenge-platform/i,
+    /<title>[^<]*(access denied|captcha)[^<]*<\/title>/i,
+    /g-recaptcha|h-captcha/i
+];
+
+/**
+ * Typed error for failed page fetches
+ */
+export class FetchError extends Error {
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.type = type;
+        this.url = details.url || '';
+        this.status = details.status || 0;
+        this.retryAfter = details.retryAfter ?? null;
+    }
+
+    /**
+     * Whether the error may succeed on another attempt under the given policy
+     */
+    isRetryable(policy = DEFAULT_RETRY_POLICY) {
+        if (this.type === FETCH_ERROR_TYPES.HTTP_4XX) {
+            return RETRYABLE_4XX.includes(this.status);
+        }
+        return policy.retryOn.includes(this.type);
+    }
+}
+
+/**
+ * Parse a Retry-After value (seconds or HTTP date) to milliseconds
+ */
+export function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether HTML looks like an anti-bot challenge or block page
+ */
+export function isBlockedPage(html) {
+    if (!html) return false;
+    return BLOCKED_PAGE_PATTERNS.some(pattern => pattern.test(html));
+}
+
+/**
+ * Single attempt: fetch page content via CORS proxy and classify failures
+ */
+async function fetchPageOnce(url, proxyUrl, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    let data;
+    try {
+        response = await fetch(proxyUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ url: url }),
+            signal: controller.signal
+        });
+
+        data = await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new FetchError(FETCH_ERROR_TYPES.TIMEOUT, `Timed out after ${Math.round(timeout / 1000)}s`, { url });
+        }
+        if (response) {
+            // The proxy answered, but not with our JSON (static host, 501, gateway error page)
+            throw new FetchError(FETCH_ERROR_TYPES.PROXY_UNAVAILABLE,
+                `Proxy unavailable (HTTP ${response.status}). Please ensure the proxy server is running.`,
+                { url, status: response.status, retryAfter: parseRetryAfter(response.headers.get('Retry-After')) });
+        }
+        throw new FetchError(FETCH_ERROR_TYPES.PROXY_UNAVAILABLE, `Proxy unreachable: ${error.message}`, { url });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!data.success) {
+        // The proxy is up but could not reach the target site
+        const type = response.status === 501 ? FETCH_ERROR_TYPES.PROXY_UNAVAILABLE : FETCH_ERROR_TYPES.NETWORK;
+        throw new FetchError(type, data.error || 'Failed to fetch page', { url, status: response.status });
+    }
+
+    const status = parseInt(data.status) || 200;
+    const retryAfter = parseRetryAfter(data.retryAfter);
+
+    if (isBlockedPage(data.html) && (status >= 400 || data.html.length < 20000)) {
+        throw new FetchError(FETCH_ERROR_TYPES.BLOCKED, `Blocked by a challenge page (HTTP ${status})`, { url, status });
+    }
+    if (status >= 500) {
+        throw new FetchError(FETCH_ERROR_TYPES.HTTP_5XX, `HTTP ${status} server error`, { url, status, retryAfter });
+    }
+    if (status >= 400) {
+        throw new FetchError(FETCH_ERROR_TYPES.HTTP_4XX, `HTTP ${status} client error`, { url, status, retryAfter });
+    }
+
+    return {
+        html: data.html,
+        finalUrl: data.finalUrl || data.url,
+        contentType: data.contentType || ''
+    };
+}
+
+/**
+ * Fetch page content via CORS proxy.
+ * Transient failures are retried with exponential backoff (or the site's
+ * Retry-After); `onAttempt` is called for every failed attempt.
+ */
+export async function fetchPageContent(url, proxyUrl = '/api/proxy', options = {}) {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(options.retryPolicy || {}) };
+    const onAttempt = options.onAttempt || (() => { });
+    const maxAttempts = Math.max(0, policy.retries) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fetchPageOnce(url, proxyUrl, policy.timeout);
+        } catch (error) {
+            const fetchError = error instanceof FetchError
+                ? error
+                : new FetchError(FETCH_ERROR_TYPES.NETWORK, error.message, { url });
+
+            const willRetry = attempt < maxAttempts && fetchError.isRetryable(policy);
+            const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+            const delay = willRetry ? Math.min(policy.maxDelay, fetchError.retryAfter ?? backoff) : 0;
+
+            onAttempt({ url, attempt, maxAttempts, error: fetchError, willRetry, delay });
+
+            if (!willRetry) {
+                console.error(`Error fetching ${url}:`, fetchError.message);
+                throw fetchError;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// ============================================================================
+// REQUEST SCHEDULER
+// ============================================================================
+
+/**
+ * Create a request scheduler with bounded concurrency and a per-host minimum
+ * interval (plus random jitter) between request starts.
+ * Tasks are started in the order they were scheduled.
+ */
+export function createRequestScheduler(config = {}) {
+    const concurrency = Math.max(1, parseInt(config.concurrency) || 1);
+    const minInterval = Math.max(0, parseInt(config.minInterval) || 0);
+    const jitter = Math.max(0, parseInt(config.jitter) || 0);
+
+    const queue = [];
+    const nextSlotByHost = new Map();
+    const intervalByHost = new Map();
+    let active = 0;
+
+    const hostOf = (url) => {
+        try {
+            return new URL(url).host;
+        } catch (e) {
+            return '';
+        }
+    };
+
+    // Reserve the next start slot for the host and wait for it
+    const waitForHostSlot = async (host) => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+        const interval = Math.max(minInterval, intervalByHost.get(host) || 0);
+        nextSlotByHost.set(host, slot + interval + Math.round(Math.random() * jitter));
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    };
+
+    const pump = () => {
+        while (active < concurrency && queue.length > 0) {
+            const { url, task, resolve, reject } = queue.shift();
+            active++;
+
+            waitForHostSlot(hostOf(url))
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    pump();
+                });
+        }
+    };
+
+    return {
+        concurrency,
+        minInterval,
+        jitter,
+
+        /**
+         * Queue a task that requests the given URL; resolves with the task result
+         */
+        schedule(url, task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ url, task, resolve, reject });
+                pump();
+            });
+        },
+
+        /**
+         * Raise the minimum interval for the host of a URL (e.g. a robots.txt Crawl-delay)
+         */
+        setHostInterval(url, interval) {
+            intervalByHost.set(hostOf(url), Math.max(0, interval));
+        },
+
+        /**
+         * Number of queued and running tasks
+         */
+        get pending() {
+            return queue.length + active;
+        }
+    };
+}
+
+// ============================================================================
+// INCREMENTAL MODE
+// ============================================================================
+
+/**
+ * Create a run-wide tracker for incremental ("scrape until known") runs.
+ * The run is done once `stopAfterKnown` already-known cards appear in a row.
+ */
+export function createIncrementalTracker(config = {}) {
+    const stopAfterKnown = Math.max(1, parseInt(config.stopAfterKnown) || 10);
+    let consecutiveKnown = 0;
+    let knownSkipped = 0;
+
+    return {
+        stopAfterKnown,
+
+        markKnown() {
+            consecutiveKnown++;
+            knownSkipped++;
+        },
+
+        markNew() {
+            consecutiveKnown = 0;
+        },
+
+        get knownSkipped() {
+            return knownSkipped;
+        },
+
+        get isDone() {
+            return consecutiveKnown >= stopAfterKnown;
+        }
+    };
+}
+
+// ============================================================================
+// PARSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse movie card HTML to extract basic info
+ */
+export function parseMovieCard(cardHtml, pageNumber, baseUrl, profile = getProfileForUrl(baseUrl)) {
+    const doc = parseHTML(cardHtml);
+    const rules = profile.listing;
+
+    // Check for adult badge
+    const hasAdultBadge = doc.querySelector(rules.adultBadge) !== null ||
+        cardHtml.toLowerCase().includes('adult18plus-badge');
+    const enablePosterBlur = hasAdultBadge ? 'true' : 'false';
+
+    const rawHref = selectValue(doc, rules.link);
+    const href = resolveUrl(baseUrl, rawHref);
+
+    // Fallback for Title/Image
+    const rawListTitle = selectValue(doc, rules.title);
+    const listTitle = cleanMovieTitle(rawListTitle);
+    const rawListImageUrl = selectValue(doc, rules.poster);
+    const listImageUrl = resolveUrl(baseUrl, rawListImageUrl).trim();
+
+    // Season/episode badge (or the "[S01 Ep 1-10 Added]" part of the title)
+    const status = selectValue(doc, rules.status) || extractSeasonTag(rawListTitle);
+
+    if (href || listTitle) {
+        return {
+            href: href,
+            title: listTitle,
+            imageUrl: listImageUrl,
+            enablePosterBlur,
+            status
+        };
+    }
+
+    return {
+        href: '',
+        title: listTitle,
+        imageUrl: listImageUrl,
+        enablePosterBlur,
+        status
+    };
+}
+
+/**
+ * Scrape detailed movie information from movie page
+ */
+export async function scrapeMovieDetails(href, enablePosterBlur, pageNumber, serial, currentBaseUrl, proxyUrl, profile) {
+    try {
+        const { html, finalUrl } = await fetchPageContent(href, proxyUrl);
+        return extractMovieDetails(html, href, finalUrl, enablePosterBlur, serial, profile);
+    } catch (error) {
+        console.error(`Error scraping ${href}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Extract detailed movie information from already fetched movie page HTML
+ */
+export function extractMovieDetails(html, href, finalUrl, enablePosterBlur, serial, profile) {
+    const doc = parseHTML(html);
+
+    const baseUrl = finalUrl || href;
+    const siteProfile = profile || getProfileForUrl(baseUrl);
+    const rules = siteProfile.detail;
+
+    // Unknown blur (no listing card): read the adult badge from the post page
+    if (enablePosterBlur === null || enablePosterBlur === undefined) {
+        enablePosterBlur = doc.querySelector(siteProfile.listing.adultBadge) !== null ? 'true' : 'false';
+    }
+
+    // Fields the profile rules miss are read from structured data (parsed on demand).
+    // fieldSources records which source supplied each record field.
+    const fieldSources = {};
+    let structured = null;
+    const withFallback = (recordField, structuredField, value) => {
+        if (value) {
+            fieldSources[recordField] = 'profile';
+            return value;
+        }
+        structured = structured || extractStructuredData(doc, rules.fallbackSources || []);
+        const picked = pickStructuredValue(structured, structuredField);
+        if (!picked) return '';
+        fieldSources[recordField] = picked.source;
+        return picked.value;
+    };
+
+    // Extract image
+    const rawImageUrl = withFallback('imageUrl', 'imageUrl', selectValue(doc, rules.poster));
+    const imageUrl = resolveUrl(baseUrl, rawImageUrl).trim();
+
+    // Extract title
+    const title = cleanMovieTitle(withFallback('title', 'title', selectValue(doc, rules.title)));
+
+    // Screenshot links
+    const screenshotLinks = selectValues(doc, rules.screenshots)
+        .map(raw => resolveUrl(baseUrl, raw).trim())
+        .filter(Boolean);
+
+    // Storyline
+    const storyline = withFallback('storyline', 'storyline', selectValue(doc, rules.storyline));
+
+    // Extract type
+    const info4_type = withFallback('info4_type', 'type', matchPattern(html, rules.typePatterns)) || rules.defaultType;
+
+    // Generate ID
+    const id = generateId(info4_type || 'movie', serial);
+
+    // Extract info-line data
+    const info = (field) => rules.infoFields[field] ? extractInfoValue(html, rules.infoFields[field], rules.infoPattern) : '';
+    const imdb = withFallback('imdb', 'rating', info('imdb'));
+    const genre = withFallback('genre', 'genre', info('genre'));
+    const languageRaw = info('language');
+    const language = normalizeLanguage(languageRaw);
+    const quality = info('quality');
+    const resolution = info('resolution');
+    const released = withFallback('released', 'released', info('released'));
+    const cast = withFallback('cast', 'cast', info('cast'));
+    const director = withFallback('director', 'director', info('director'));
+
+    // Extract status
+    const info6_status = selectValue(doc, rules.status) || rules.defaultStatus;
+
+    // Extract upload time
+    const uploadTimeText = selectValue(doc, rules.uploadTime);
+    const uploadTime = parseDateText(uploadTimeText, { dateOrder: rules.dateOrder });
+    const createdAt = uploadTime.iso;
+    const lastUpdated = createdAt;
+
+    // Extract download links, grouped by server
+    const downloadOptions = extractDownloadOptions(doc, baseUrl, rules.downloadLinks);
+
+    // Series: structured seasons (status badge + per-episode links)
+    const seasons = buildSeasons(info6_status, downloadOptions);
+    const isSeries = /series|season|tv|show/i.test(info4_type) || seasons.length > 0;
+
+    const movieData = {
+        id: id,
+        post_url: href,
+        title: title,
+        imageUrl: imageUrl,
+        info1_custom: '',
+        info2_quality: quality,
+        info3_language: language,
+        info4_type: info4_type,
+        language_info: languageRaw,
+        info_subtitle: '',
+        info6_status: info6_status,
+        enablePosterBlur: enablePosterBlur === 'true',
+        blurPercentage: 10,
+        imdb: imdb,
+        genre: genre,
+        resolution: resolution,
+        released: released,
+        cast: cast,
+        storyline: storyline,
+        visibility: 'published',
+        total_views: 0,
+        createdAt: createdAt,
+        lastUpdated: lastUpdated,
+        upload_time_raw: uploadTime.raw,
+        upload_time_confidence: uploadTime.confidence,
+        server: true,
+        server_info: '',
+        runtime: '',
+        director: director,
+        writer: '',
+        rated: '',
+        trailer: '',
+        info5_views: 0,
+        screenshotLinks: screenshotLinks,
+        field_sources: fieldSources,
+        downloadOptions: downloadOptions
+    };
+
+    if (isSeries) {
+        movieData.seasons = seasons;
+    }
+
+    return movieData;
+}
+
+// ============================================================================
+// PAGE & LINK SCRAPING
+// ============================================================================
+
+/**
+ * Check a scraped movie against known data and report it as new, updated or duplicate.
+ * New movies get their final ID from the run's ID allocator.
+ * Resolves to true when the movie is new.
+ */
+async function handleScrapedMovie(movieData, title, options) {
+    const { onProgress, onMovieScraped, duplicateIndex, idAllocator } = options;
+
+    // Check for duplicates
+    const match = duplicateIndex.find(movieData);
+    const existingMovie = match ? match.record : null;
+
+    if (existingMovie) {
+        // Duplicate found: merge the fresh scrape field by field
+        const { record, changes } = mergeRecords(existingMovie, movieData, options.mergePolicies || {});
+        const isUpdated = changes.length > 0;
+
+        if (isUpdated) {
+            // Re-key the record: the merge can change its title, year, type or poster
+            duplicateIndex.remove(existingMovie);
+            Object.assign(existingMovie, record);
+            duplicateIndex.add(existingMovie);
+            onProgress({
+                type: 'info',
+                message: `Updated: ${title} (${changes.map(change => change.field).join(', ')})`
+            });
+        } else {
+            onProgress({ type: 'warning', message: `Skipped duplicate: ${title} (${match.reason})` });
+        }
+
+        onMovieScraped({
+            movie: null,
+            isDuplicate: true,
+            isUpdated: isUpdated,
+            existingMovie: existingMovie,
+            changes: changes,
+            match: { rule: match.rule, score: match.score, reason: match.reason },
+            postUrl: movieData.post_url
+        });
+
+        return false;
+    }
+
+    // New movie: replace the provisional ID with an allocated one
+    movieData.id = await idAllocator.allocate(movieData);
+    duplicateIndex.add(movieData);
+
+    onMovieScraped({
+        movie: movieData,
+        isDuplicate: false,
+        isUpdated: false,
+        postUrl: movieData.post_url
+    });
+
+    onProgress({ type: 'success', message: `Scraped: ${movieData.title}` });
+    return true;
+}
+
+/**
+ * Fetch a page through the run's scheduler and retry policy.
+ * Retried attempts are reported through onProgress; the final failure is
+ * thrown to the caller, which reports it. With a `politeness` policy, URLs
+ * robots.txt disallows are not fetched and its Crawl-delay spaces requests.
+ */
+export async function fetchScheduled(url, options) {
+    const { proxyUrl, scheduler, retryPolicy, onProgress, shouldStop, politeness } = options;
+
+    if (politeness) {
+        const verdict = await politeness.check(url);
+        if (!verdict.allowed) {
+            throw new FetchError(FETCH_ERROR_TYPES.DISALLOWED, `Disallowed by robots.txt (${verdict.rule})`, { url });
+        }
+        if (verdict.crawlDelay !== null) {
+            scheduler.setHostInterval(url, verdict.crawlDelay);
+        }
+    }
+
+    const onAttempt = ({ attempt, maxAttempts, error, willRetry, delay }) => {
+        if (!willRetry) return;
+
+        onProgress({
+            type: 'warning',
+            message: `Attempt ${attempt}/${maxAttempts} failed for ${url} (${error.message}), retrying in ${Math.round(delay / 1000)}s`,
+            url,
+            attempt,
+            maxAttempts,
+            errorType: error.type
+        });
+    };
+
+    return scheduler.schedule(url, () => shouldStop()
+        ? null
+        : fetchPageContent(url, proxyUrl, { retryPolicy, onAttempt }));
+}
+
+/**
+ * Incremental mode: flag cards whose post is already stored so their detail
+ * page is not fetched. Known series whose listing badge announces a new
+ * season or more episodes are re-checked. Cards after the run's known-card
+ * limit are dropped.
+ */
+function markKnownCards(cards, incremental, options) {
+    const { onProgress, duplicateIndex } = options;
+
+    const kept = [];
+    for (const card of cards) {
+        if (incremental.isDone) break;
+
+        const storedMovie = card.href ? duplicateIndex.findByPostUrl(card.href) : null;
+
+        if (storedMovie && !hasNewEpisodes(card.status, storedMovie.info6_status, storedMovie.seasons)) {
+            incremental.markKnown();
+            kept.push({ ...card, knownMovie: storedMovie });
+        } else {
+            if (storedMovie) {
+                onProgress({ type: 'info', message: `New episodes listed for ${card.title} (${card.status}), re-checking` });
+            }
+            incremental.markNew();
+            kept.push(card);
+        }
+    }
+
+    if (incremental.isDone) {
+        onProgress({
+            type: 'info',
+            message: `${incremental.stopAfterKnown} known posts in a row, stopping incremental run`
+        });
+    }
+
+    return kept;
+}
+
+/**
+ * Scrape the detail page behind every card of a parsed listing page
+ */
+async function scrapeMovieCards(movieCards, pageNumber, baseUrl, options) {
+    const listingProfile = options.profile || getProfileForUrl(baseUrl);
+    const cards = Array.from(movieCards).map(card => parseMovieCard(card.outerHTML, pageNumber, baseUrl, listingProfile));
+
+    await scrapeCards(cards, options);
+}
+
+/**
+ * Scrape the detail page behind every card ({ href, title, enablePosterBlur, status }).
+ * Detail pages are fetched concurrently through the scheduler, but results are
+ * processed strictly in card order so serials and duplicate checks stay deterministic.
+ */
+async function scrapeCards(cards, options) {
+    const { onProgress, onMovieScraped, shouldStop, profile, incremental, skipUrls } = options;
+
+    // Posts handled earlier in the run (or before an interruption) are not fetched again
+    if (skipUrls && skipUrls.size > 0) {
+        const total = cards.length;
+        cards = cards.filter(card => !card.href || !skipUrls.has(canonicalUrl(card.href)));
+        if (cards.length < total) {
+            onProgress({ type: 'info', message: `${total - cards.length} posts already scraped in this run skipped` });
+        }
+    }
+
+    if (incremental) {
+        cards = markKnownCards(cards, incremental, options);
+    }
+
+    // Queue every detail page; requests not started before a stop resolve to null
+    const detailPages = cards.map(({ href, knownMovie }) => href && !knownMovie
+        ? fetchScheduled(href, options)
+        : Promise.resolve(null));
+    detailPages.forEach(page => page.catch(() => { }));
+
+    for (let i = 0; i < cards.length; i++) {
+        if (shouldStop()) {
+            onProgress({ type: 'warning', message: 'Stop requested, finishing current page...' });
+            break;
+        }
+
+        const { href, title, enablePosterBlur, knownMovie } = cards[i];
+
+        if (knownMovie) {
+            onProgress({ type: 'info', message: `Already known: ${title || knownMovie.title}` });
+            onMovieScraped({
+                movie: null,
+                isDuplicate: true,
+                isUpdated: false,
+                existingMovie: knownMovie,
+                match: { rule: MATCH_RULES.POST_URL, score: 1, reason: 'Known post URL (incremental mode)' },
+                postUrl: href
+            });
+            continue;
+        }
+
+        if (href) {
+            try {
+                const page = await detailPages[i];
+                if (!page) continue;
+
+                const movieData = extractMovieDetails(page.html, href, page.finalUrl, enablePosterBlur, 0, profile);
+                options.onPageParsed({ kind: 'detail', url: page.finalUrl || href, html: page.html, record: movieData });
+
+                if (movieData) {
+                    await handleScrapedMovie(movieData, title || movieData.title || href, options);
+                }
+            } catch (error) {
+                console.error(`Error scraping ${href}:`, error.message);
+                onProgress({ type: 'error', message: `Failed to scrape ${href}: ${error.message}`, errorType: error.type });
+            }
+        }
+    }
+}
+
+/**
+ * Fill in callback and data defaults shared by scrapePage and scrapeLink.
+ * Without an explicit `profile` the site profile is picked per URL. Pass one
+ * `scheduler` for a whole run so the per-host interval holds across pages,
+ * one `incremental` tracker to skip already-known posts, and `skipUrls`
+ * (a Set of canonicalUrl values) to skip posts already processed. A run's
+ * `duplicateIndex` and `idAllocator` are likewise shared across pages.
+ */
+function resolveScrapeOptions(options) {
+    const resolved = {
+        proxyUrl: '/api/proxy',
+        profile: null,
+        scheduler: null,
+        retryPolicy: null,
+        incremental: null,
+        skipUrls: null,
+        duplicateIndex: null,
+        duplicateMatching: null,
+        mergePolicies: null,
+        idAllocator: null,
+        politeness: null,
+        concurrency: 3,
+        delayBetweenRequests: 500,
+        jitter: 0,
+        onProgress: () => { },
+        onMovieScraped: () => { },
+        onPageLoaded: () => { },
+        onPageParsed: () => { },
+        shouldStop: () => false,
+        existingData: [],
+        scrapedData: [],
+        newScrapedData: [],
+        ...options
+    };
+
+    // One index per run (passed in) or per call, over everything known so far
+    if (!resolved.duplicateIndex) {
+        resolved.duplicateIndex = createDuplicateIndex(
+            [...resolved.existingData, ...resolved.scrapedData],
+            resolved.duplicateMatching || {}
+        );
+    }
+
+    // Without a shared allocator, IDs are unique within this call only
+    if (!resolved.idAllocator) {
+        resolved.idAllocator = createIdAllocator({
+            records: [...resolved.existingData, ...resolved.scrapedData, ...resolved.newScrapedData]
+        });
+    }
+
+    if (!resolved.scheduler) {
+        resolved.scheduler = createRequestScheduler({
+            concurrency: resolved.concurrency,
+            minInterval: resolved.delayBetweenRequests,
+            jitter: resolved.jitter
+        });
+    }
+
+    return resolved;
+}
+
+/**
+ * Scrape a single page for movie cards
+ */
+export async function scrapePage(pageUrl, pageNumber, options = {}) {
+    const resolved = resolveScrapeOptions(options);
+    const { onProgress } = resolved;
+
+    try {
+        onProgress({ type: 'info', message: `Scraping page ${pageNumber}...` });
+
+        const page = await fetchScheduled(pageUrl, resolved);
+        if (!page) return 0;
+
+        const { html, finalUrl } = page;
+        const doc = parseHTML(html);
+
+        const baseUrl = finalUrl || pageUrl;
+
+        // Find all movie cards
+        const profile = resolved.profile || getProfileForUrl(baseUrl);
+        const movieCards = doc.querySelectorAll(profile.listing.card);
+        resolved.onPageParsed({ kind: 'listing', url: baseUrl, html, cardCount: movieCards.length });
+
+        if (movieCards.length === 0) {
+            onProgress({
+                type: 'warning',
+                message: `No movie cards found on page ${pageNumber}. Site structure may have changed.`
+            });
+        }
+
+        onProgress({ type: 'info', message: `Found ${movieCards.length} cards on page ${pageNumber}` });
+
+        // Report the pager so callers can follow "next" links or detect the last page
+        resolved.onPageLoaded({
+            pageNumber,
+            pageUrl,
+            finalUrl: baseUrl,
+            cardCount: movieCards.length,
+            ...readPager(doc, baseUrl, profile.pagination)
+        });
+
+        await scrapeMovieCards(movieCards, pageNumber, baseUrl, resolved);
+
+        return movieCards.length;
+    } catch (error) {
+        onProgress({ type: 'error', message: `Error on page ${pageNumber}: ${error.message}`, errorType: error.type });
+        return 0;
+    }
+}
+
+/**
+ * Fetch a listing page only to read its pager (next page URL, last page number)
+ */
+export async function fetchPagerInfo(pageUrl, options = {}) {
+    const resolved = resolveScrapeOptions(options);
+
+    const page = await fetchScheduled(pageUrl, resolved);
+    if (!page) return { nextPageUrl: '', lastPage: 0 };
+
+    const doc = parseHTML(page.html);
+    const baseUrl = page.finalUrl || pageUrl;
+    const profile = resolved.profile || getProfileForUrl(baseUrl);
+
+    return readPager(doc, baseUrl, profile.pagination);
+}
+
+/**
+ * Scrape a single custom link. Post URLs are scraped directly; listing pages
+ * are expanded into their cards and every card is scraped like in scrapePage.
+ * Returns the number of posts found behind the link.
+ */
+export async function scrapeLink(linkUrl, linkNumber, options = {}) {
+    const resolved = resolveScrapeOptions(options);
+    const { onProgress, skipUrls } = resolved;
+
+    if (skipUrls && skipUrls.has(canonicalUrl(linkUrl))) {
+        return 0;
+    }
+
+    try {
+        onProgress({ type: 'info', message: `Scraping link ${linkNumber}...` });
+
+        const page = await fetchScheduled(linkUrl, resolved);
+        if (!page) return 0;
+
+        const { html, finalUrl } = page;
+        const doc = parseHTML(html);
+
+        const baseUrl = finalUrl || linkUrl;
+        const profile = resolved.profile || getProfileForUrl(baseUrl);
+        const movieCards = doc.querySelectorAll(profile.listing.card);
+
+        // Listing page: no post markup, but movie cards to expand
+        if (!doc.querySelector(profile.detail.marker) && movieCards.length > 0) {
+            resolved.onPageParsed({ kind: 'listing', url: baseUrl, html, cardCount: movieCards.length });
+            onProgress({ type: 'info', message: `Found ${movieCards.length} cards on link ${linkNumber}` });
+            await scrapeMovieCards(movieCards, linkNumber, baseUrl, resolved);
+            return movieCards.length;
+        }
+
+        // Post page: reuse the fetched HTML instead of fetching it again
+        const hasAdultBadge = doc.querySelector(profile.listing.adultBadge) !== null;
+        const movieData = extractMovieDetails(html, linkUrl, finalUrl, hasAdultBadge ? 'true' : 'false', 0, profile);
+        resolved.onPageParsed({ kind: 'detail', url: baseUrl, html, record: movieData });
+
+        await handleScrapedMovie(movieData, movieData.title || linkUrl, resolved);
+        return 1;
+    } catch (error) {
+        onProgress({ type: 'error', message: `Failed to scrape ${linkUrl}: ${error.message}`, errorType: error.type });
+        return 0;
+    }
+}
+
+/**
+ * Scrape a batch of post URLs (e.g. found in a sitemap) like the cards of a
+ * listing page: fetched through the scheduler, processed in order.
+ * Returns the number of URLs in the batch.
+ */
+export async function scrapePostUrls(postUrls, batchNumber, options = {}) {
+    const resolved = resolveScrapeOptions(options);
+    const { onProgress } = resolved;
+
+    onProgress({ type: 'info', message: `Scraping batch ${batchNumber} (${postUrls.length} posts)...` });
+
+    // Without a listing card, the adult badge is looked up on the post page
+    const cards = postUrls.map(href => ({ href, title: '', imageUrl: '', enablePosterBlur: null, status: '' }));
+    await scrapeCards(cards, resolved);
+
+    return postUrls.length;
+}
+
+export default {
+    parseUploadTime,
+    normalizeLanguage,
+    cleanMovieTitle,
+    extractSeasonTag,
+    extractInfoValue,
+    resolveUrl,
+    canonicalUrl,
+    parseEpisodeProgress,
+    hasNewEpisodes,
+    generateId,
+    getHighestIdNumber,
+    findExistingMovie,
+    parseRetryAfter,
+    isBlockedPage,
+    fetchPageContent,
+    fetchScheduled,
+    createRequestScheduler,
+    createIncrementalTracker,
+    parseMovieCard,
+    scrapeMovieDetails,
+    extractMovieDetails,
+    scrapePage,
+    scrapePostUrls,
+    fetchPagerInfo,
+    scrapeLink
+};
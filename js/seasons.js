@@ -0,0 +1,258 @@
+// Mobile Tools - Seasons Module
+// Structured season/episode model for series records, built from status badges
+// like "S01 Ep 1-10 Added" and per-episode download links. A season's `ranges`
+// come from the badge only; `episodes` are the ones with links.
+
+// "[S01 Ep 1-10 Added]" style tags in titles
+export const SEASON_TAG_PATTERN = /\[\s*(S(?:eason)?\s*\d+[^\]]*)\]/gi;
+
+const SEASON_TOKEN = /\bS(?:eason)?\s*\.?\s*0*(\d+)(?:\s*(?:-|–|to)\s*S(?:eason)?\s*0*(\d+))?/gi;
+const EPISODE_RANGE = /\b(?:Ep(?:isodes?)?|E)\s*\.?\s*0*(\d+)(?:\s*(?:-|–|to)\s*(?:(?:Ep(?:isode)?|E)\s*\.?\s*)?0*(\d+))?((?:\s*,\s*\d{1,3}(?:\s*(?:-|–)\s*\d{1,3})?(?!\d))*)/gi;
+const COMPLETE_PATTERN = /\b(complete[d]?|full\s+season|all\s+episodes)\b/i;
+
+// ============================================================================
+// Ranges
+// ============================================================================
+
+/**
+ * Sort and merge overlapping or adjacent episode ranges
+ */
+export function normalizeRanges(ranges) {
+    const sorted = (ranges || [])
+        .filter(range => range && Number.isFinite(range.from))
+        .map(range => ({ from: range.from, to: Math.max(range.from, range.to ?? range.from) }))
+        .sort((a, b) => a.from - b.from);
+
+    const merged = [];
+    sorted.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.from <= last.to + 1) {
+            last.to = Math.max(last.to, range.to);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged;
+}
+
+function formatRanges(ranges) {
+    return ranges.map(range => (range.from === range.to ? `${range.from}` : `${range.from}-${range.to}`)).join(', ');
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+function createSeason(season) {
+    return { season, ranges: [], complete: false, episodes: [] };
+}
+
+/**
+ * Parse a status badge into seasons:
+ *   "S01 Ep 1-10 Added"      => season 1, episodes 1-10
+ *   "S02 E05 Added"          => season 2, episode 5
+ *   "S02 Ep 1-3, 5 Added"    => season 2, episodes 1-3 and 5
+ *   "Season 3 Complete"      => season 3, complete
+ *   "S01-S03 Complete"       => seasons 1-3, complete
+ *   "Ep 4 Added"             => season 1, episode 4
+ */
+export function parseSeasonStatus(status) {
+    const text = (status || '').trim();
+    if (!text) return [];
+
+    const tokens = [...text.matchAll(SEASON_TOKEN)];
+    const segments = tokens.length > 0
+        ? tokens.map((token, i) => ({
+            from: parseInt(token[1]),
+            to: parseInt(token[2] || token[1]),
+            text: text.slice(token.index + token[0].length, tokens[i + 1]?.index ?? text.length)
+        }))
+        : [{ from: 1, to: 1, text }];
+
+    const seasons = [];
+    segments.forEach(segment => {
+        // "Ep 1-3, 5" lists more ranges after the first one
+        const ranges = [...segment.text.matchAll(EPISODE_RANGE)].flatMap(match => [
+            { from: parseInt(match[1]), to: parseInt(match[2] || match[1]) },
+            ...match[3].split(',').filter(item => item.trim()).map(item => {
+                const [from, to] = item.split(/-|–/).map(number => parseInt(number));
+                return { from, to: to || from };
+            })
+        ]);
+        const complete = COMPLETE_PATTERN.test(segment.text);
+
+        // A bare "Ep 4" without a season only counts when episodes were found
+        if (tokens.length === 0 && ranges.length === 0) return;
+
+        for (let number = segment.from; number <= segment.to; number++) {
+            const season = createSeason(number);
+            // Episode numbers apply to the last season of a "S01-S02 Ep 1-5" range
+            if (number === segment.to) season.ranges = normalizeRanges(ranges);
+            season.complete = complete || number < segment.to;
+            seasons.push(season);
+        }
+    });
+
+    return mergeSeasons([], seasons);
+}
+
+/**
+ * Episode links of a post: download qualities labelled "Episode N"
+ */
+function collectEpisodeLinks(downloadOptions) {
+    const byEpisode = new Map();
+
+    (downloadOptions || []).forEach(option => {
+        (option.qualities || []).forEach(quality => {
+            const match = (quality.label || '').match(/^Episode (\d+)$/);
+            if (!match) return;
+            const episode = parseInt(match[1]);
+            if (!byEpisode.has(episode)) byEpisode.set(episode, []);
+            byEpisode.get(episode).push({
+                server: option.server,
+                quality_text: quality.quality_text,
+                path: quality.path,
+                file_size: quality.file_size
+            });
+        });
+    });
+
+    return byEpisode;
+}
+
+/**
+ * Build the seasons of a series post from its status and download links.
+ * Episode links are attached to the latest season named in the status;
+ * they do not change the badge ranges.
+ */
+export function buildSeasons(status, downloadOptions = []) {
+    const seasons = parseSeasonStatus(status);
+    const episodeLinks = collectEpisodeLinks(downloadOptions);
+
+    if (episodeLinks.size > 0) {
+        if (seasons.length === 0) seasons.push(createSeason(1));
+        const target = seasons[seasons.length - 1];
+
+        target.episodes = Array.from(episodeLinks.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([episode, links]) => ({ episode, links }));
+    }
+
+    return seasons;
+}
+
+/**
+ * Episode ranges of a season: its badge ranges plus its linked episodes
+ */
+export function getKnownRanges(season) {
+    return normalizeRanges([
+        ...(season.ranges || []),
+        ...(season.episodes || []).map(item => ({ from: item.episode, to: item.episode }))
+    ]);
+}
+
+/**
+ * What the status badges of seasons say (numbers, ranges, completion),
+ * without episode links
+ */
+export function getBadgeSeasons(seasons) {
+    return mergeSeasons([], seasons).map(({ season, ranges, complete }) => ({ season, ranges, complete }));
+}
+
+/**
+ * Season numbers of a record (from its seasons, else from its status)
+ */
+export function getSeasonNumbers(record) {
+    const seasons = record?.seasons?.length ? record.seasons : parseSeasonStatus(record?.info6_status);
+    return seasons.map(season => season.season);
+}
+
+// ============================================================================
+// Merging
+// ============================================================================
+
+function mergeEpisodes(current, incoming) {
+    const byNumber = new Map(current.map(item => [item.episode, { episode: item.episode, links: [...item.links] }]));
+
+    incoming.forEach(item => {
+        const target = byNumber.get(item.episode);
+        if (!target) {
+            byNumber.set(item.episode, { episode: item.episode, links: [...item.links] });
+            return;
+        }
+        const paths = new Set(target.links.map(link => link.path));
+        item.links.filter(link => !paths.has(link.path)).forEach(link => target.links.push(link));
+    });
+
+    return Array.from(byNumber.values()).sort((a, b) => a.episode - b.episode);
+}
+
+/**
+ * Merge two season lists: episode ranges and links are combined per season,
+ * a season stays complete once marked complete
+ */
+export function mergeSeasons(current = [], incoming = []) {
+    const bySeason = new Map();
+
+    [...(current || []), ...(incoming || [])].forEach(season => {
+        const target = bySeason.get(season.season);
+        if (!target) {
+            bySeason.set(season.season, {
+                season: season.season,
+                ranges: normalizeRanges(season.ranges),
+                complete: !!season.complete,
+                episodes: mergeEpisodes([], season.episodes || [])
+            });
+            return;
+        }
+        target.ranges = normalizeRanges([...target.ranges, ...(season.ranges || [])]);
+        target.complete = target.complete || !!season.complete;
+        target.episodes = mergeEpisodes(target.episodes, season.episodes || []);
+    });
+
+    return Array.from(bySeason.values()).sort((a, b) => a.season - b.season);
+}
+
+/**
+ * Check whether incoming seasons add seasons, episodes, links or completion
+ */
+export function hasNewSeasonContent(current, incoming) {
+    const before = JSON.stringify(mergeSeasons(current, []));
+    const after = JSON.stringify(mergeSeasons(current, incoming));
+    return before !== after;
+}
+
+/**
+ * Status badge for the latest season from its badge ranges, e.g.
+ * "S01 Ep 1-10 Added", "S02 Complete" or "S01-S03 Complete"
+ */
+export function formatSeasonStatus(seasons) {
+    const list = seasons || [];
+    const latest = list[list.length - 1];
+    if (!latest) return '';
+
+    const seasonLabel = (number) => `S${String(number).padStart(2, '0')}`;
+    const label = seasonLabel(latest.season);
+    if (latest.complete) {
+        // Consecutive complete seasons ending at the latest one
+        let first = list.length - 1;
+        while (first > 0 && list[first - 1].complete && list[first - 1].season === list[first].season - 1) first--;
+        const firstLabel = seasonLabel(list[first].season);
+        return first < list.length - 1 ? `${firstLabel}-${label} Complete` : `${label} Complete`;
+    }
+    if (latest.ranges.length === 0) return `${label} Added`;
+    return `${label} Ep ${formatRanges(latest.ranges)} Added`;
+}
+
+export default {
+    SEASON_TAG_PATTERN,
+    normalizeRanges,
+    parseSeasonStatus,
+    buildSeasons,
+    getKnownRanges,
+    getBadgeSeasons,
+    getSeasonNumbers,
+    mergeSeasons,
+    hasNewSeasonContent,
+    formatSeasonStatus
+};
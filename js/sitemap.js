@@ -0,0 +1,203 @@
+// Mobile Tools - Sitemap Module
+// Discovers post URLs from sitemap.xml files, sitemap indexes and gzip
+// sitemaps (fetched through the proxy), filtered by URL pattern and lastmod
+
+import { decodeEntities } from './html-parser.js';
+
+// Tried in order when neither the URL nor robots.txt names a sitemap
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/wp-sitemap.xml', '/post-sitemap.xml'];
+
+// Sitemaps read per run at most (large indexes list hundreds)
+export const MAX_SITEMAPS = 200;
+
+export const SITEMAP_TYPES = {
+    INDEX: 'index',   // <sitemapindex> listing other sitemaps
+    URLSET: 'urlset', // <urlset> listing pages
+    TEXT: 'text'      // plain text, one URL per line
+};
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+function readTag(block, tag) {
+    const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i'));
+    if (!match) return '';
+    return decodeEntities(match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim());
+}
+
+/**
+ * Parse a sitemap: { type, entries: [{ loc, lastmod }] }.
+ * Index entries are sitemaps, urlset and text entries are pages.
+ */
+export function parseSitemap(text) {
+    const xml = text || '';
+
+    if (/<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml)) {
+        const entries = (xml.match(/<(?:[\w-]+:)?sitemap[\s>][\s\S]*?<\/(?:[\w-]+:)?sitemap>/gi) || [])
+            .map(block => ({ loc: readTag(block, 'loc'), lastmod: readTag(block, 'lastmod') }))
+            .filter(entry => entry.loc);
+        return { type: SITEMAP_TYPES.INDEX, entries };
+    }
+
+    if (/<(?:[\w-]+:)?urlset[\s>]/i.test(xml)) {
+        const entries = (xml.match(/<(?:[\w-]+:)?url[\s>][\s\S]*?<\/(?:[\w-]+:)?url>/gi) || [])
+            .map(block => ({ loc: readTag(block, 'loc'), lastmod: readTag(block, 'lastmod') }))
+            .filter(entry => entry.loc);
+        return { type: SITEMAP_TYPES.URLSET, entries };
+    }
+
+    const entries = xml.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => /^https?:\/\//i.test(line))
+        .map(loc => ({ loc, lastmod: '' }));
+    return { type: SITEMAP_TYPES.TEXT, entries };
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+/**
+ * Compile a URL filter: "re:" followed by a regular expression, or text where
+ * * matches anything (matched anywhere in the URL, ignoring case).
+ * An empty pattern matches every URL.
+ */
+export function compileUrlPattern(pattern) {
+    const text = (pattern || '').trim();
+    if (!text) return () => true;
+
+    if (text.startsWith('re:')) {
+        const compiled = new RegExp(text.slice(3).trim(), 'i');
+        return (url) => compiled.test(url);
+    }
+
+    const wildcard = new RegExp(text
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*'), 'i');
+    return (url) => wildcard.test(url);
+}
+
+/**
+ * Whether a lastmod value falls within [from, to] (YYYY-MM-DD or ISO).
+ * Entries without lastmod pass only when no range is set.
+ */
+export function isInLastmodRange(lastmod, from, to) {
+    if (!from && !to) return true;
+
+    const time = Date.parse(lastmod);
+    if (Number.isNaN(time)) return false;
+    if (from && time < Date.parse(from)) return false;
+    // A date-only upper bound includes that whole day
+    if (to && time >= Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 : 1)) return false;
+    return true;
+}
+
+// ============================================================================
+// Discovery
+// ============================================================================
+
+/**
+ * Sitemaps to start from: { urls, guessed }. The URL itself when it is a
+ * sitemap, else the site's robots.txt Sitemap lines, else the usual paths
+ * (guessed: most of them will not exist).
+ */
+export function getStartSitemaps(url, robotsSitemaps = []) {
+    const looksLikeSitemap = /sitemap|\.xml(\.gz)?(\?|$)|\.txt(\?|$)/i.test(new URL(url).pathname);
+    if (looksLikeSitemap) return { urls: [url], guessed: false };
+    if (robotsSitemaps.length > 0) return { urls: robotsSitemaps, guessed: false };
+
+    const origin = new URL(url).origin;
+    return { urls: DEFAULT_SITEMAP_PATHS.map(path => `${origin}${path}`), guessed: true };
+}
+
+/**
+ * Walk sitemaps (following indexes) and collect the page URLs that pass the
+ * filters: [{ loc, lastmod }] in sitemap order, without duplicates.
+ * Child sitemaps last modified before `lastmodFrom` are not fetched.
+ * `fetchPage(url)` resolves to { html } (null when stopped).
+ */
+export async function collectSitemapUrls(startUrls, options = {}) {
+    const {
+        fetchPage,
+        urlPattern = '',
+        lastmodFrom = '',
+        lastmodTo = '',
+        maxSitemaps = MAX_SITEMAPS,
+        // Default paths are guesses: the ones that do not exist are skipped quietly
+        optional = false,
+        onProgress = () => { },
+        shouldStop = () => false
+    } = options;
+
+    const matches = compileUrlPattern(urlPattern);
+    const queue = [...startUrls];
+    const visited = new Set();
+    const seen = new Set();
+    const urls = [];
+    let read = 0;
+
+    while (queue.length > 0 && read < maxSitemaps && !shouldStop()) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        let page;
+        try {
+            page = await fetchPage(sitemapUrl);
+        } catch (error) {
+            if (!optional) {
+                onProgress({ type: 'warning', message: `Could not read sitemap ${sitemapUrl}: ${error.message}` });
+            }
+            continue;
+        }
+        if (!page) break;
+
+        if (!page.html && /gzip/i.test(page.contentType || '')) {
+            onProgress({ type: 'warning', message: `The proxy returned ${sitemapUrl} still compressed; update the proxy to read gzip sitemaps` });
+            continue;
+        }
+
+        const sitemap = parseSitemap(page.html);
+        read++;
+
+        // One of the guessed paths worked: the others would only repeat it
+        if (optional && sitemap.entries.length > 0) {
+            queue.splice(0, queue.length, ...queue.filter(url => !startUrls.includes(url)));
+        }
+
+        if (sitemap.type === SITEMAP_TYPES.INDEX) {
+            const children = sitemap.entries.filter(entry => !lastmodFrom || !entry.lastmod || isInLastmodRange(entry.lastmod, lastmodFrom, ''));
+            onProgress({ type: 'info', message: `Sitemap index ${sitemapUrl}: ${children.length} of ${sitemap.entries.length} sitemaps to read` });
+            queue.push(...children.map(entry => entry.loc));
+            continue;
+        }
+
+        let added = 0;
+        sitemap.entries.forEach(entry => {
+            if (seen.has(entry.loc)) return;
+            seen.add(entry.loc);
+            if (!matches(entry.loc) || !isInLastmodRange(entry.lastmod, lastmodFrom, lastmodTo)) return;
+            urls.push(entry);
+            added++;
+        });
+        onProgress({ type: 'info', message: `Sitemap ${sitemapUrl}: ${added} of ${sitemap.entries.length} URLs match` });
+    }
+
+    if (queue.length > 0 && read >= maxSitemaps) {
+        onProgress({ type: 'warning', message: `Stopped after ${maxSitemaps} sitemaps; narrow the lastmod range to read the rest` });
+    }
+
+    return urls;
+}
+
+export default {
+    MAX_SITEMAPS,
+    SITEMAP_TYPES,
+    parseSitemap,
+    compileUrlPattern,
+    isInLastmodRange,
+    getStartSitemaps,
+    collectSitemapUrls
+};
@@ -1,332 +1,808 @@
-// Mobile Tools - Storage Module
-// Handles IndexedDB and localStorage for mobile app
-
-const DB_NAME = 'MobileScraperDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'scrapedMovies';
-const SETTINGS_KEY = 'scraperSettings';
-
-let db = null;
-
-// ============================================================================
-// IndexedDB Operations
-// ============================================================================
-
-/**
- * Initialize IndexedDB
- */
-export async function initDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onerror = () => {
-            reject(new Error('Failed to open IndexedDB'));
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            console.log('✅ IndexedDB initialized');
-            resolve(db);
-        };
-
-        request.onupgradeneeded = (event) => {
-            const database = event.target.result;
-
-            // Create object store if it doesn't exist
-            if (!database.objectStoreNames.contains(STORE_NAME)) {
-                const objectStore = database.createObjectStore(STORE_NAME, {
-                    keyPath: 'id'
-                });
-
-                // Create indexes
-                objectStore.createIndex('title', 'title', { unique: false });
-                objectStore.createIndex('createdAt', 'createdAt', { unique: false });
-                objectStore.createIndex('info4_type', 'info4_type', { unique: false });
-
-                console.log('✅ Object store created');
-            }
-        };
-    });
-}
-
-/**
- * Save movies to IndexedDB
- */
-export async function saveMovies(movies) {
-    if (!db) await initDB();
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const objectStore = transaction.objectStore(STORE_NAME);
-
-        let successCount = 0;
-        let errorCount = 0;
-
-        movies.forEach(movie => {
-            const request = objectStore.put(movie);
-            request.onsuccess = () => successCount++;
-            request.onerror = () => errorCount++;
-        });
-
-        transaction.oncomplete = () => {
-            console.log(`✅ Saved ${successCount} movies to IndexedDB`);
-            resolve({ success: successCount, errors: errorCount });
-        };
-
-        transaction.onerror = () => {
-            reject(new Error('Transaction failed'));
-        };
-    });
-}
-
-/**
- * Load all movies from IndexedDB
- */
-export async function loadMovies() {
-    if (!db) await initDB();
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readonly');
-        const objectStore = transaction.objectStore(STORE_NAME);
-        const request = objectStore.getAll();
-
-        request.onsuccess = () => {
-            console.log(`✅ Loaded ${request.result.length} movies from IndexedDB`);
-            resolve(request.result);
-        };
-
-        request.onerror = () => {
-            reject(new Error('Failed to load movies'));
-        };
-    });
-}
-
-/**
- * Clear all movies from IndexedDB
- */
-export async function clearMovies() {
-    if (!db) await initDB();
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const objectStore = transaction.objectStore(STORE_NAME);
-        const request = objectStore.clear();
-
-        request.onsuccess = () => {
-            console.log('✅ Cleared all movies from IndexedDB');
-            resolve();
-        };
-
-        request.onerror = () => {
-            reject(new Error('Failed to clear movies'));
-        };
-    });
-}
-
-/**
- * Get storage usage info
- */
-export async function getStorageInfo() {
-    if ('storage' in navigator && 'estimate' in navigator.storage) {
-        const estimate = await navigator.storage.estimate();
-        const usage = estimate.usage || 0;
-        const quota = estimate.quota || 0;
-        const percentUsed = quota > 0 ? (usage / quota * 100).toFixed(2) : 0;
-
-        return {
-            usage: formatBytes(usage),
-            quota: formatBytes(quota),
-            percentUsed: percentUsed,
-            usageBytes: usage,
-            quotaBytes: quota
-        };
-    }
-
-    return {
-        usage: 'Unknown',
-        quota: 'Unknown',
-        percentUsed: 0,
-        usageBytes: 0,
-        quotaBytes: 0
-    };
-}
-
-function formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-}
-
-// ============================================================================
-// localStorage Operations (Settings)
-// ============================================================================
-
-/**
- * Save settings to localStorage
- */
-export function saveSettings(settings) {
-    try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-        console.log('✅ Settings saved');
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to save settings:', error);
-        return false;
-    }
-}
-
-/**
- * Load settings from localStorage
- */
-export function loadSettings() {
-    try {
-        const settings = localStorage.getItem(SETTINGS_KEY);
-        return settings ? JSON.parse(settings) : getDefaultSettings();
-    } catch (error) {
-        console.error('❌ Failed to load settings:', error);
-        return getDefaultSettings();
-    }
-}
-
-/**
- * Get default settings
- */
-function getDefaultSettings() {
-    return {
-        theme: 'dark',
-        proxyUrl: 'https://mobile-scraper-proxy.saimakanddo.workers.dev/',
-        autoSave: true,
-        notificationsEnabled: true,
-        delayBetweenRequests: 500,
-        lastWebsiteUrl: '',
-        lastJsonUrl: '',
-        mergePosition: 'append',
-        scrapingDirection: 'start-to-end'
-    };
-}
-
-// ============================================================================
-// Export/Import JSON
-// ============================================================================
-
-/**
- * Export movies as JSON file
- */
-export function exportJSON(movies, filename = 'scraped-movies.json') {
-    try {
-        const jsonString = JSON.stringify(movies, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-
-        URL.revokeObjectURL(url);
-        console.log('✅ JSON exported');
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to export JSON:', error);
-        return false;
-    }
-}
-
-/**
- * Import JSON from URL
- */
-export async function importJSON(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-
-        if (!Array.isArray(data)) {
-            throw new Error('Invalid JSON format: expected an array');
-        }
-
-        console.log(`✅ Imported ${data.length} movies from JSON`);
-        return data;
-    } catch (error) {
-        console.error('❌ Failed to import JSON:', error);
-        throw error;
-    }
-}
-
-/**
- * Copy JSON to clipboard
- */
-export async function copyToClipboard(text) {
-    try {
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            await navigator.clipboard.writeText(text);
-            console.log('✅ Copied to clipboard');
-            return true;
-        } else {
-            // Fallback for older browsers
-            const textarea = document.createElement('textarea');
-            textarea.value = text;
-            textarea.style.position = 'fixed';
-            textarea.style.opacity = '0';
-            document.body.appendChild(textarea);
-            textarea.select();
-            const success = document.execCommand('copy');
-            document.body.removeChild(textarea);
-
-            if (success) {
-                console.log('✅ Copied to clipboard (fallback)');
-                return true;
-            }
-            throw new Error('Copy failed');
-        }
-    } catch (error) {
-        console.error('❌ Failed to copy to clipboard:', error);
-        return false;
-    }
-}
-
-/**
- * Share using Web Share API (mobile)
- */
-export async function shareJSON(movies, title = 'Scraped Movies') {
-    try {
-        if (navigator.share) {
-            const jsonString = JSON.stringify(movies, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const file = new File([blob], 'movies.json', { type: 'application/json' });
-
-            await navigator.share({
-                title: title,
-                text: `${movies.length} movies scraped`,
-                files: [file]
-            });
-
-            console.log('✅ Shared successfully');
-            return true;
-        } else {
-            throw new Error('Web Share API not supported');
-        }
-    } catch (error) {
-        console.error('❌ Failed to share:', error);
-        return false;
-    }
-}
-
-export default {
-    initDB,
-    saveMovies,
-    loadMovies,
-    clearMovies,
-    getStorageInfo,
-    saveSettings,
-    loadSettings,
-    exportJSON,
-    importJSON,
-    copyToClipboard,
-    shareJSON
-};
+// Mobile Tools - Storage Module
+// Handles IndexedDB and localStorage for mobile app
+
+const DB_NAME = 'MobileScraperDB';
+const DB_VERSION = 7;
+const STORE_NAME = 'scrapedMovies';
+const SESSION_STORE = 'scrapeSessions';
+const ID_STORE = 'recordIds';
+const ID_COUNTER_KEY = 'counter';
+const HISTORY_STORE = 'recordHistory';
+const RUN_STATS_STORE = 'runStats';
+const SNAPSHOT_STORE = 'htmlSnapshots';
+const RUN_LOG_STORE = 'runLogs';
+const SCHEDULE_STORE = 'scheduledJobs';
+const SETTINGS_STORE = 'settings';
+const MAX_SNAPSHOTS = 50;
+const CURRENT_SESSION_ID = 'current';
+const SETTINGS_KEY = 'scraperSettings';
+
+let db = null;
+
+// ============================================================================
+// IndexedDB Operations
+// ============================================================================
+
+/**
+ * Initialize IndexedDB
+ */
+export async function initDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => {
+            reject(new Error('Failed to open IndexedDB'));
+        };
+
+        request.onsuccess = (event) => {
+            db = event.target.result;
+            // Let another tab (or the scrape worker) upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
+            console.log('✅ IndexedDB initialized');
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+
+            // Create object store if it doesn't exist
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                const objectStore = database.createObjectStore(STORE_NAME, {
+                    keyPath: 'id'
+                });
+
+                // Create indexes
+                objectStore.createIndex('title', 'title', { unique: false });
+                objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                objectStore.createIndex('info4_type', 'info4_type', { unique: false });
+
+                console.log('✅ Object store created');
+            }
+
+            // Checkpoints of the running/interrupted scraping session
+            if (!database.objectStoreNames.contains(SESSION_STORE)) {
+                database.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                console.log('✅ Session store created');
+            }
+
+            // ID counter and post_url => ID map shared by all tabs and workers
+            if (!database.objectStoreNames.contains(ID_STORE)) {
+                database.createObjectStore(ID_STORE, { keyPath: 'key' });
+                console.log('✅ Record ID store created');
+            }
+
+            // Scrape history: one entry per run per record
+            if (!database.objectStoreNames.contains(HISTORY_STORE)) {
+                const historyStore = database.createObjectStore(HISTORY_STORE, { keyPath: 'key' });
+                historyStore.createIndex('recordId', 'recordId', { unique: false });
+                console.log('✅ History store created');
+            }
+
+            // Extraction statistics per run and host (structure drift baseline)
+            if (!database.objectStoreNames.contains(RUN_STATS_STORE)) {
+                const statsStore = database.createObjectStore(RUN_STATS_STORE, { keyPath: 'key' });
+                statsStore.createIndex('host', 'host', { unique: false });
+                console.log('✅ Run stats store created');
+            }
+
+            // Raw HTML of pages that failed extraction
+            if (!database.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                database.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                console.log('✅ Snapshot store created');
+            }
+
+            // Run logs (robots.txt decisions, politeness overrides, skipped URLs)
+            if (!database.objectStoreNames.contains(RUN_LOG_STORE)) {
+                database.createObjectStore(RUN_LOG_STORE, { keyPath: 'runId' });
+                console.log('✅ Run log store created');
+            }
+
+            // Saved jobs with a schedule
+            if (!database.objectStoreNames.contains(SCHEDULE_STORE)) {
+                database.createObjectStore(SCHEDULE_STORE, { keyPath: 'id' });
+                console.log('✅ Scheduled job store created');
+            }
+
+            // Copy of the settings for the service worker (no localStorage there)
+            if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+                database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+                console.log('✅ Settings store created');
+            }
+        };
+    });
+}
+
+/**
+ * Save movies to IndexedDB
+ */
+export async function saveMovies(movies) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+
+        let successCount = 0;
+        let errorCount = 0;
+
+        movies.forEach(movie => {
+            const request = objectStore.put(movie);
+            request.onsuccess = () => successCount++;
+            request.onerror = () => errorCount++;
+        });
+
+        transaction.oncomplete = () => {
+            console.log(`✅ Saved ${successCount} movies to IndexedDB`);
+            resolve({ success: successCount, errors: errorCount });
+        };
+
+        transaction.onerror = () => {
+            reject(new Error('Transaction failed'));
+        };
+    });
+}
+
+/**
+ * Load all movies from IndexedDB
+ */
+export async function loadMovies() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const request = objectStore.getAll();
+
+        request.onsuccess = () => {
+            console.log(`✅ Loaded ${request.result.length} movies from IndexedDB`);
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            reject(new Error('Failed to load movies'));
+        };
+    });
+}
+
+/**
+ * Clear all movies from IndexedDB
+ */
+export async function clearMovies() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(STORE_NAME);
+        const request = objectStore.clear();
+
+        request.onsuccess = () => {
+            console.log('✅ Cleared all movies from IndexedDB');
+            resolve();
+        };
+
+        request.onerror = () => {
+            reject(new Error('Failed to clear movies'));
+        };
+    });
+}
+
+// ============================================================================
+// Session Checkpoints
+// ============================================================================
+
+/**
+ * Save a checkpoint of the current scraping session
+ */
+export async function saveSession(session) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SESSION_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(SESSION_STORE);
+        objectStore.put({ ...session, id: CURRENT_SESSION_ID, updatedAt: new Date().toISOString() });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save session checkpoint'));
+    });
+}
+
+/**
+ * Load the checkpoint of an interrupted session (null if there is none)
+ */
+export async function loadSession() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SESSION_STORE], 'readonly');
+        const objectStore = transaction.objectStore(SESSION_STORE);
+        const request = objectStore.get(CURRENT_SESSION_ID);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(new Error('Failed to load session checkpoint'));
+    });
+}
+
+/**
+ * Remove the session checkpoint
+ */
+export async function clearSession() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SESSION_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(SESSION_STORE);
+        objectStore.delete(CURRENT_SESSION_ID);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to clear session checkpoint'));
+    });
+}
+
+// ============================================================================
+// Record History
+// ============================================================================
+
+/**
+ * Save history entries (an entry replaces the one with the same record and run)
+ */
+export async function saveHistoryEntries(entries) {
+    if (!db) await initDB();
+    if (entries.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(HISTORY_STORE);
+        entries.forEach(entry => objectStore.put(entry));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save history'));
+    });
+}
+
+/**
+ * Load the history of a record, oldest entry first
+ */
+export async function loadRecordHistory(recordId) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HISTORY_STORE], 'readonly');
+        const index = transaction.objectStore(HISTORY_STORE).index('recordId');
+        const request = index.getAll(recordId);
+
+        request.onsuccess = () => {
+            const entries = request.result || [];
+            resolve(entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        };
+        request.onerror = () => reject(new Error('Failed to load history'));
+    });
+}
+
+// ============================================================================
+// Run Reports (extraction stats, snapshots, logs)
+// ============================================================================
+
+/**
+ * Save the extraction statistics of a run for one host
+ */
+export async function saveRunStats(stats) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUN_STATS_STORE], 'readwrite');
+        transaction.objectStore(RUN_STATS_STORE).put({ ...stats, key: `${stats.host}|${stats.runId}` });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save run stats'));
+    });
+}
+
+/**
+ * Load previous run statistics of a host, newest first
+ */
+export async function loadRunStats(host) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUN_STATS_STORE], 'readonly');
+        const request = transaction.objectStore(RUN_STATS_STORE).index('host').getAll(host);
+
+        request.onsuccess = () => {
+            const runs = request.result || [];
+            resolve(runs.sort((a, b) => b.finishedAt.localeCompare(a.finishedAt)));
+        };
+        request.onerror = () => reject(new Error('Failed to load run stats'));
+    });
+}
+
+/**
+ * Save the HTML of a failing page. Only the newest MAX_SNAPSHOTS are kept.
+ */
+export async function saveHtmlSnapshot(snapshot) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNAPSHOT_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(SNAPSHOT_STORE);
+        objectStore.add({ ...snapshot, capturedAt: new Date().toISOString() });
+
+        // Oldest snapshots beyond the limit are removed
+        const keysRequest = objectStore.getAllKeys();
+        keysRequest.onsuccess = () => {
+            const keys = keysRequest.result;
+            keys.slice(0, Math.max(0, keys.length - MAX_SNAPSHOTS)).forEach(key => objectStore.delete(key));
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save HTML snapshot'));
+    });
+}
+
+/**
+ * Load saved HTML snapshots, newest first
+ */
+export async function loadHtmlSnapshots() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNAPSHOT_STORE], 'readonly');
+        const request = transaction.objectStore(SNAPSHOT_STORE).getAll();
+
+        request.onsuccess = () => resolve((request.result || []).reverse());
+        request.onerror = () => reject(new Error('Failed to load HTML snapshots'));
+    });
+}
+
+/**
+ * Remove all HTML snapshots
+ */
+export async function clearHtmlSnapshots() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNAPSHOT_STORE], 'readwrite');
+        transaction.objectStore(SNAPSHOT_STORE).clear();
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to clear HTML snapshots'));
+    });
+}
+
+/**
+ * Append entries to the log of a run (a resumed run continues its log)
+ */
+export async function saveRunLog(runId, entries) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUN_LOG_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(RUN_LOG_STORE);
+        const request = objectStore.get(runId);
+
+        request.onsuccess = () => {
+            const previous = request.result?.entries || [];
+            objectStore.put({ runId, entries: [...previous, ...entries], updatedAt: new Date().toISOString() });
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save run log'));
+    });
+}
+
+/**
+ * Load the log entries of a run
+ */
+export async function loadRunLog(runId) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUN_LOG_STORE], 'readonly');
+        const request = transaction.objectStore(RUN_LOG_STORE).get(runId);
+
+        request.onsuccess = () => resolve(request.result?.entries || []);
+        request.onerror = () => reject(new Error('Failed to load run log'));
+    });
+}
+
+// ============================================================================
+// Scheduled Jobs
+// ============================================================================
+
+/**
+ * Save a scheduled job (replaces the one with the same id)
+ */
+export async function saveScheduledJob(entry) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SCHEDULE_STORE], 'readwrite');
+        transaction.objectStore(SCHEDULE_STORE).put(entry);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save scheduled job'));
+    });
+}
+
+/**
+ * Load all scheduled jobs, oldest first
+ */
+export async function loadScheduledJobs() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SCHEDULE_STORE], 'readonly');
+        const request = transaction.objectStore(SCHEDULE_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        request.onerror = () => reject(new Error('Failed to load scheduled jobs'));
+    });
+}
+
+/**
+ * Delete a scheduled job
+ */
+export async function deleteScheduledJob(id) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SCHEDULE_STORE], 'readwrite');
+        transaction.objectStore(SCHEDULE_STORE).delete(id);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to delete scheduled job'));
+    });
+}
+
+/**
+ * Keep a copy of the settings in IndexedDB, where the service worker can read them
+ */
+export async function saveSettingsSnapshot(settings) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readwrite');
+        transaction.objectStore(SETTINGS_STORE).put({ key: SETTINGS_KEY, settings, savedAt: new Date().toISOString() });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to save settings snapshot'));
+    });
+}
+
+/**
+ * Load the settings copied by saveSettingsSnapshot (defaults when none)
+ */
+export async function loadSettingsSnapshot() {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readonly');
+        const request = transaction.objectStore(SETTINGS_STORE).get(SETTINGS_KEY);
+
+        request.onsuccess = () => resolve(request.result?.settings || getDefaultSettings());
+        request.onerror = () => reject(new Error('Failed to load settings snapshot'));
+    });
+}
+
+// ============================================================================
+// Record IDs
+// ============================================================================
+
+/**
+ * Return the ID mapped to a post URL key, or reserve a new one. Lookup,
+ * counter update and mapping happen in one transaction, so tabs and workers
+ * allocating at the same time never get the same ID.
+ * `propose(counter)` returns { id, counter } for an unmapped URL, or for a
+ * URL whose mapped ID `isTaken(id)` by another record (the mapping is replaced).
+ */
+export async function reserveRecordId(urlKey, propose, isTaken = () => false) {
+    if (!db) await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ID_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(ID_STORE);
+        let id = null;
+
+        const reserveNew = () => {
+            const counterRequest = objectStore.get(ID_COUNTER_KEY);
+            counterRequest.onsuccess = () => {
+                const next = propose(counterRequest.result?.value || 0);
+                id = next.id;
+                objectStore.put({ key: ID_COUNTER_KEY, value: next.counter });
+                if (urlKey) objectStore.put({ key: `url:${urlKey}`, id });
+            };
+        };
+
+        if (urlKey) {
+            const mapped = objectStore.get(`url:${urlKey}`);
+            mapped.onsuccess = () => {
+                if (mapped.result && !isTaken(mapped.result.id)) {
+                    id = mapped.result.id;
+                } else {
+                    reserveNew();
+                }
+            };
+        } else {
+            reserveNew();
+        }
+
+        transaction.oncomplete = () => resolve(id);
+        transaction.onerror = () => reject(new Error('Failed to reserve record ID'));
+    });
+}
+
+/**
+ * Map post URL keys to the IDs of known records ([[urlKey, id]]).
+ * URLs that already have an ID keep it.
+ */
+export async function registerRecordIds(entries) {
+    if (!db) await initDB();
+    if (entries.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ID_STORE], 'readwrite');
+        const objectStore = transaction.objectStore(ID_STORE);
+
+        entries.forEach(([urlKey, id]) => {
+            const request = objectStore.add({ key: `url:${urlKey}`, id });
+            // An existing mapping is not an error (and must not abort the transaction)
+            request.onerror = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to register record IDs'));
+    });
+}
+
+/**
+ * ID store for the ID allocator, backed by IndexedDB
+ */
+export const recordIdStore = {
+    reserve: reserveRecordId,
+    register: registerRecordIds
+};
+
+/**
+ * Get storage usage info
+ */
+export async function getStorageInfo() {
+    if ('storage' in navigator && 'estimate' in navigator.storage) {
+        const estimate = await navigator.storage.estimate();
+        const usage = estimate.usage || 0;
+        const quota = estimate.quota || 0;
+        const percentUsed = quota > 0 ? (usage / quota * 100).toFixed(2) : 0;
+
+        return {
+            usage: formatBytes(usage),
+            quota: formatBytes(quota),
+            percentUsed: percentUsed,
+            usageBytes: usage,
+            quotaBytes: quota
+        };
+    }
+
+    return {
+        usage: 'Unknown',
+        quota: 'Unknown',
+        percentUsed: 0,
+        usageBytes: 0,
+        quotaBytes: 0
+    };
+}
+
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+// ============================================================================
+// localStorage Operations (Settings)
+// ============================================================================
+
+/**
+ * Save settings to localStorage
+ */
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        saveSettingsSnapshot(settings).catch(error => console.error('❌ Failed to copy settings:', error));
+        console.log('✅ Settings saved');
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to save settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Load settings from localStorage
+ */
+export function loadSettings() {
+    try {
+        const settings = localStorage.getItem(SETTINGS_KEY);
+        return settings ? JSON.parse(settings) : getDefaultSettings();
+    } catch (error) {
+        console.error('❌ Failed to load settings:', error);
+        return getDefaultSettings();
+    }
+}
+
+/**
+ * Get default settings
+ */
+function getDefaultSettings() {
+    return {
+        theme: 'dark',
+        proxyUrl: 'https://mobile-scraper-proxy.saimakanddo.workers.dev/',
+        autoSave: true,
+        notificationsEnabled: true,
+        delayBetweenRequests: 500,
+        concurrency: 3,
+        requestJitter: 250,
+        maxRetries: 3,
+        requestTimeout: 30000,
+        resolverMaxHops: 6,
+        idScheme: 'serial',
+        duplicateMatching: {
+            rules: ['post_url', 'title_year_type', 'poster', 'fuzzy_title'],
+            fuzzyThreshold: 0.88
+        },
+        lastWebsiteUrl: '',
+        lastJsonUrl: '',
+        mergePosition: 'append',
+        scrapingDirection: 'start-to-end',
+        siteProfiles: []
+    };
+}
+
+// ============================================================================
+// Export/Import JSON
+// ============================================================================
+
+/**
+ * Export movies as JSON file
+ */
+export function exportJSON(movies, filename = 'scraped-movies.json') {
+    try {
+        const jsonString = JSON.stringify(movies, null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        console.log('✅ JSON exported');
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to export JSON:', error);
+        return false;
+    }
+}
+
+/**
+ * Import JSON from URL
+ */
+export async function importJSON(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid JSON format: expected an array');
+        }
+
+        console.log(`✅ Imported ${data.length} movies from JSON`);
+        return data;
+    } catch (error) {
+        console.error('❌ Failed to import JSON:', error);
+        throw error;
+    }
+}
+
+/**
+ * Copy JSON to clipboard
+ */
+export async function copyToClipboard(text) {
+    try {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+            console.log('✅ Copied to clipboard');
+            return true;
+        } else {
+            // Fallback for older browsers
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const success = document.execCommand('copy');
+            document.body.removeChild(textarea);
+
+            if (success) {
+                console.log('✅ Copied to clipboard (fallback)');
+                return true;
+            }
+            throw new Error('Copy failed');
+        }
+    } catch (error) {
+        console.error('❌ Failed to copy to clipboard:', error);
+        return false;
+    }
+}
+
+/**
+ * Share using Web Share API (mobile)
+ */
+export async function shareJSON(movies, title = 'Scraped Movies') {
+    try {
+        if (navigator.share) {
+            const jsonString = JSON.stringify(movies, null, 2);
+            const blob = new Blob([jsonString], { type: 'application/json' });
+            const file = new File([blob], 'movies.json', { type: 'application/json' });
+
+            await navigator.share({
+                title: title,
+                text: `${movies.length} movies scraped`,
+                files: [file]
+            });
+
+            console.log('✅ Shared successfully');
+            return true;
+        } else {
+            throw new Error('Web Share API not supported');
+        }
+    } catch (error) {
+        console.error('❌ Failed to share:', error);
+        return false;
+    }
+}
+
+export default {
+    initDB,
+    saveMovies,
+    loadMovies,
+    clearMovies,
+    saveSession,
+    loadSession,
+    clearSession,
+    saveHistoryEntries,
+    loadRecordHistory,
+    saveRunStats,
+    loadRunStats,
+    saveHtmlSnapshot,
+    loadHtmlSnapshots,
+    clearHtmlSnapshots,
+    saveRunLog,
+    loadRunLog,
+    saveScheduledJob,
+    loadScheduledJobs,
+    deleteScheduledJob,
+    saveSettingsSnapshot,
+    loadSettingsSnapshot,
+    reserveRecordId,
+    registerRecordIds,
+    recordIdStore,
+    getStorageInfo,
+    saveSettings,
+    loadSettings,
+    exportJSON,
+    importJSON,
+    copyToClipboard,
+    shareJSON
+};
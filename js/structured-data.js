@@ -0,0 +1,239 @@
+// Mobile Tools - Structured Data Module
+// Fallback extraction from JSON-LD, schema.org microdata and OpenGraph/Twitter meta tags
+
+export const STRUCTURED_SOURCES = {
+    JSON_LD: 'json-ld',
+    MICRODATA: 'microdata',
+    OPENGRAPH: 'opengraph'
+};
+
+// Fields the fallback layer can supply
+export const STRUCTURED_FIELDS = ['title', 'imageUrl', 'type', 'genre', 'released', 'cast', 'director', 'storyline', 'rating'];
+
+// schema.org types describing a movie or series post
+const MEDIA_TYPES = ['Movie', 'TVSeries', 'TVSeason', 'TVEpisode', 'VideoObject'];
+const SERIES_TYPES = ['TVSeries', 'TVSeason', 'TVEpisode'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function clean(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Read a person/thing list ("A", {name: "A"}, [...]) as "A, B"
+ */
+function joinNames(value) {
+    return toList(value)
+        .map(item => (item && typeof item === 'object' ? item.name : item))
+        .map(clean)
+        .filter(Boolean)
+        .join(', ');
+}
+
+function readImage(value) {
+    const first = toList(value)[0];
+    if (!first) return '';
+    return clean(typeof first === 'object' ? first.url || first.contentUrl || '' : first);
+}
+
+function readRating(value, best) {
+    const rating = clean(value);
+    if (!rating) return '';
+    return `${rating}/${clean(best) || '10'}`;
+}
+
+function mediaTypeToType(types) {
+    if (types.some(type => SERIES_TYPES.includes(type))) return 'Series';
+    if (types.includes('Movie')) return 'Movie';
+    return '';
+}
+
+function typesOf(node) {
+    return toList(node['@type'] || node.type).map(type => String(type).replace(/^.*[/#]/, ''));
+}
+
+// ============================================================================
+// JSON-LD
+// ============================================================================
+
+/**
+ * Parse every application/ld+json block and return the flattened nodes
+ */
+function readJsonLdNodes(doc) {
+    const nodes = [];
+
+    const collect = (value) => {
+        toList(value).forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            nodes.push(item);
+            if (item['@graph']) collect(item['@graph']);
+            if (item.mainEntity) collect(item.mainEntity);
+        });
+    };
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        const text = (script.textContent || '').replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim();
+        if (!text) return;
+        try {
+            collect(JSON.parse(text));
+        } catch (error) {
+            console.warn('⚠️ Skipping invalid JSON-LD block:', error.message);
+        }
+    });
+
+    return nodes;
+}
+
+function extractJsonLd(doc) {
+    const node = readJsonLdNodes(doc).find(item => typesOf(item).some(type => MEDIA_TYPES.includes(type)));
+    if (!node) return {};
+
+    const rating = node.aggregateRating || {};
+
+    return {
+        title: clean(node.name || node.headline),
+        imageUrl: readImage(node.image || node.thumbnailUrl),
+        type: mediaTypeToType(typesOf(node)),
+        genre: toList(node.genre).map(clean).filter(Boolean).join(', '),
+        released: clean(node.datePublished || node.dateCreated || node.startDate || node.uploadDate),
+        cast: joinNames(node.actor || node.actors),
+        director: joinNames(node.director),
+        storyline: clean(node.description),
+        rating: readRating(rating.ratingValue, rating.bestRating)
+    };
+}
+
+// ============================================================================
+// Microdata
+// ============================================================================
+
+/**
+ * Read an itemprop value the way the microdata spec does
+ */
+function readItemValue(el) {
+    if (el.hasAttribute('itemscope')) {
+        const name = el.querySelector('[itemprop="name"]');
+        return clean(name ? readItemValue(name) : el.textContent);
+    }
+
+    const tag = (el.localName || el.tagName || '').toLowerCase();
+    if (tag === 'meta') return clean(el.getAttribute('content'));
+    if (['img', 'source', 'video', 'audio', 'iframe', 'embed'].includes(tag)) return clean(el.getAttribute('src'));
+    if (['a', 'link', 'area'].includes(tag)) return clean(el.getAttribute('href'));
+    if (tag === 'time') return clean(el.getAttribute('datetime') || el.textContent);
+    if (tag === 'data' || tag === 'meter') return clean(el.getAttribute('value') || el.textContent);
+    return clean(el.getAttribute('content') || el.textContent);
+}
+
+function extractMicrodata(doc) {
+    const selector = MEDIA_TYPES.map(type => `[itemscope][itemtype*="schema.org/${type}"]`).join(', ');
+    const scope = doc.querySelector(selector);
+    if (!scope) return {};
+
+    // Properties of this item only (not of nested items such as an actor's url)
+    const props = {};
+    scope.querySelectorAll('[itemprop]').forEach(el => {
+        const owner = el.parentElement?.closest('[itemscope]');
+        if (owner !== scope) return;
+        (el.getAttribute('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => {
+            (props[name] = props[name] || []).push(readItemValue(el));
+        });
+    });
+
+    const first = (name) => (props[name] || []).find(Boolean) || '';
+    const all = (name) => (props[name] || []).filter(Boolean).join(', ');
+    const itemType = (scope.getAttribute('itemtype') || '').split(/\s+/).map(type => type.replace(/^.*[/#]/, ''));
+
+    const ratingScope = scope.querySelector('[itemprop="aggregateRating"]');
+    const ratingValue = ratingScope?.querySelector('[itemprop="ratingValue"]');
+    const bestRating = ratingScope?.querySelector('[itemprop="bestRating"]');
+
+    return {
+        title: first('name') || first('headline'),
+        imageUrl: first('image') || first('thumbnailUrl'),
+        type: mediaTypeToType(itemType),
+        genre: all('genre'),
+        released: first('datePublished') || first('dateCreated') || first('startDate'),
+        cast: all('actor') || all('actors'),
+        director: all('director'),
+        storyline: first('description'),
+        rating: ratingValue ? readRating(readItemValue(ratingValue), bestRating ? readItemValue(bestRating) : '') : ''
+    };
+}
+
+// ============================================================================
+// OpenGraph / Twitter
+// ============================================================================
+
+function extractOpenGraph(doc) {
+    const meta = (...names) => {
+        for (const name of names) {
+            const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            const value = clean(el?.getAttribute('content'));
+            if (value) return value;
+        }
+        return '';
+    };
+    const metaAll = (name) => Array.from(doc.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`))
+        .map(el => clean(el.getAttribute('content')))
+        .filter(value => value && !/^https?:\/\//i.test(value))
+        .join(', ');
+
+    const ogType = meta('og:type');
+
+    return {
+        title: meta('og:title', 'twitter:title'),
+        imageUrl: meta('og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'),
+        type: /^video\.(tv_show|episode)$/i.test(ogType) ? 'Series' : (/^video\.movie$/i.test(ogType) ? 'Movie' : ''),
+        genre: metaAll('video:tag'),
+        released: meta('video:release_date'),
+        cast: metaAll('video:actor'),
+        director: metaAll('video:director'),
+        storyline: meta('og:description', 'twitter:description', 'description'),
+        rating: ''
+    };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+const EXTRACTORS = {
+    [STRUCTURED_SOURCES.JSON_LD]: extractJsonLd,
+    [STRUCTURED_SOURCES.MICRODATA]: extractMicrodata,
+    [STRUCTURED_SOURCES.OPENGRAPH]: extractOpenGraph
+};
+
+/**
+ * Read all structured data sources of a parsed page, in the given order
+ */
+export function extractStructuredData(doc, sources = Object.values(STRUCTURED_SOURCES)) {
+    return sources
+        .filter(source => EXTRACTORS[source])
+        .map(source => ({ source, fields: EXTRACTORS[source](doc) }));
+}
+
+/**
+ * Pick the first value for a field, with the source that supplied it
+ */
+export function pickStructuredValue(structured, field) {
+    for (const { source, fields } of structured) {
+        if (fields[field]) return { value: fields[field], source };
+    }
+    return null;
+}
+
+export default {
+    STRUCTURED_SOURCES,
+    STRUCTURED_FIELDS,
+    extractStructuredData,
+    pickStructuredValue
+};
@@ -0,0 +1,93 @@
+// Mobile Tools - Duplicates Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MATCH_RULES,
+    normalizeUrl,
+    normalizePosterUrl,
+    normalizeTitle,
+    getRecordYear,
+    titleSimilarity,
+    createDuplicateIndex
+} from '../duplicates.js';
+
+const movie = (title, fields = {}) => ({
+    post_url: `https://site.test/${title.toLowerCase().replace(/\W+/g, '-')}/`,
+    title,
+    info4_type: 'Movie',
+    ...fields
+});
+
+test('normalizeUrl drops scheme, www, hash and trailing slashes', () => {
+    assert.equal(normalizeUrl('https://www.Site.test/alpha/#comments'), 'site.test/alpha');
+    assert.equal(normalizeUrl('http://site.test/alpha?p=2'), 'site.test/alpha?p=2');
+    assert.equal(normalizeUrl(''), '');
+});
+
+test('normalizePosterUrl ignores CDN hosts, sizes and formats', () => {
+    assert.equal(normalizePosterUrl('https://cdn.test/uploads/alpha-300x450.jpg?v=2'), 'alpha');
+    assert.equal(normalizePosterUrl('https://site.test/img/alpha_thumb.webp'), 'alpha');
+});
+
+test('normalizeTitle removes season tags, years and release words', () => {
+    assert.equal(normalizeTitle('Alpha & Omega (2024) 1080p WEB-DL'), 'alpha and omega');
+    assert.equal(normalizeTitle('Alpha [Season 2 Added]'), 'alpha');
+});
+
+test('getRecordYear reads the released field before the title', () => {
+    assert.equal(getRecordYear({ released: '12 May 2021', title: 'Alpha (2024)' }), '2021');
+    assert.equal(getRecordYear({ title: 'Alpha (2024)' }), '2024');
+    assert.equal(getRecordYear({ title: 'Alpha' }), '');
+});
+
+test('titleSimilarity is 1 for equal titles and 0 for empty ones', () => {
+    assert.equal(titleSimilarity('alpha', 'alpha'), 1);
+    assert.equal(titleSimilarity('alpha', ''), 0);
+    assert.ok(titleSimilarity('the alpha story', 'the alpha storry') > 0.88);
+});
+
+test('matches are explained by the rule that found them', () => {
+    const stored = movie('Alpha', { released: '2024', imageUrl: 'https://cdn.test/alpha-300x450.jpg' });
+    const index = createDuplicateIndex([stored]);
+
+    assert.equal(index.find({ ...stored, post_url: 'https://www.site.test/alpha' }).rule, MATCH_RULES.POST_URL);
+    assert.equal(index.find(movie('Alpha (2024)', { post_url: 'https://other.test/a/' })).rule, MATCH_RULES.TITLE_YEAR_TYPE);
+    assert.equal(index.find(movie('Alpha!', { post_url: 'https://other.test/b/', imageUrl: 'https://x.test/alpha.webp' })).rule, MATCH_RULES.POSTER);
+});
+
+test('fuzzy titles match when only one record has a year', () => {
+    const index = createDuplicateIndex([movie('The Alpha Story', { released: '2024' })]);
+    const match = index.find(movie('The Alpha Storry', { post_url: 'https://other.test/c/' }));
+    assert.equal(match.rule, MATCH_RULES.FUZZY_TITLE);
+});
+
+test('fuzzy titles with different years do not match', () => {
+    const index = createDuplicateIndex([movie('The Alpha Story', { released: '2020' })]);
+    assert.equal(index.find(movie('The Alpha Storry', { post_url: 'https://other.test/c/', released: '2024' })), null);
+});
+
+test('series posts only match records that share a season', () => {
+    const index = createDuplicateIndex([movie('Alpha Season 1', { info4_type: 'Series', info6_status: 'S01 Ep 1-8 Added' })]);
+    const season2 = movie('Alpha Season 2', { info4_type: 'Series', info6_status: 'S02 Ep 1-4 Added' });
+    assert.equal(index.find(season2), null);
+});
+
+test('rules can be turned off', () => {
+    const index = createDuplicateIndex([movie('The Alpha Story')], { rules: [MATCH_RULES.POST_URL] });
+    assert.equal(index.find(movie('The Alpha Storry', { post_url: 'https://other.test/c/' })), null);
+});
+
+test('a removed and re-added record is found by its new keys', () => {
+    const stored = movie('Alpha', { imageUrl: 'https://cdn.test/alpha.jpg' });
+    const index = createDuplicateIndex([stored]);
+
+    index.remove(stored);
+    Object.assign(stored, { imageUrl: 'https://cdn.test/omega.jpg' });
+    index.add(stored);
+
+    assert.equal(index.size, 1);
+    const lookup = movie('Alphas', { post_url: 'https://other.test/d/' });
+    assert.equal(index.find({ ...lookup, imageUrl: 'https://x.test/alpha.jpg' }), null);
+    assert.equal(index.find({ ...lookup, imageUrl: 'https://x.test/omega.jpg' }).record, stored);
+});
@@ -0,0 +1,61 @@
+// Mobile Tools - HTML Parser Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, parseHTMLDocument } from '../html-parser.js';
+
+const texts = (nodes) => [...nodes].map(node => node.textContent.trim());
+
+test('decodeEntities decodes numeric and named references', () => {
+    assert.equal(decodeEntities('Tom &amp; Jerry &#8211; &#x2764;'), 'Tom & Jerry – ❤');
+    assert.equal(decodeEntities('Am&eacute;lie &ndash; Caf&Eacute; &hellip; &copy;&nbsp;2024'), 'Amélie – CafÉ … © 2024');
+    assert.equal(decodeEntities('&laquo;&frac12;&raquo; &euro;5 &rarr; &AMP;'), '«½» €5 → &');
+});
+
+test('decodeEntities keeps unknown references as they are', () => {
+    assert.equal(decodeEntities('&unknown; &#xZZ; a & b'), '&unknown; &#xZZ; a & b');
+});
+
+test('elements know their children and siblings', () => {
+    const doc = parseHTMLDocument('<ul><li>1</li>text<li>2</li><li>3</li></ul>');
+    const [first, second, third] = doc.querySelector('ul').children;
+
+    assert.equal(doc.querySelector('ul').children.length, 3);
+    assert.equal(first.previousElementSibling, null);
+    assert.equal(first.nextElementSibling, second);
+    assert.equal(third.previousElementSibling, second);
+    assert.equal(third.nextElementSibling, null);
+});
+
+test(':nth-child and :nth-of-type count element siblings', () => {
+    const doc = parseHTMLDocument('<div><h2>A</h2><p>1</p><p>2</p><h2>B</h2><p>3</p></div>');
+
+    assert.deepEqual(texts(doc.querySelectorAll('div > :nth-child(2n)')), ['1', 'B']);
+    assert.deepEqual(texts(doc.querySelectorAll('p:nth-of-type(odd)')), ['1', '3']);
+    assert.deepEqual(texts(doc.querySelectorAll('p:nth-child(-n+3)')), ['1', '2']);
+    assert.deepEqual(texts(doc.querySelectorAll('h2:first-child, p:last-child')), ['A', '3']);
+});
+
+test('sibling combinators', () => {
+    const doc = parseHTMLDocument('<div><h2>A</h2><p>1</p><p>2</p><h2>B</h2><p>3</p></div>');
+
+    assert.deepEqual(texts(doc.querySelectorAll('h2 + p')), ['1', '3']);
+    assert.deepEqual(texts(doc.querySelectorAll('h2 ~ h2')), ['B']);
+    assert.deepEqual(texts(doc.querySelectorAll('p ~ p')), ['2', '3']);
+});
+
+test('implied end tags close paragraphs and list items', () => {
+    const doc = parseHTMLDocument('<div><p>One<p>Two &amp; <b>x</b></div><ul><li>1<li>2</ul>');
+
+    assert.deepEqual(texts(doc.querySelectorAll('p')), ['One', 'Two & x']);
+    assert.deepEqual(texts(doc.querySelectorAll('li')), ['1', '2']);
+    assert.equal(doc.querySelectorAll('li')[1].previousElementSibling.textContent, '1');
+});
+
+test('positions in long sibling lists', () => {
+    const items = Array.from({ length: 5000 }, (_, i) => `<li>${i + 1}</li>`).join('');
+    const doc = parseHTMLDocument(`<ul>${items}</ul>`);
+
+    assert.equal(doc.querySelectorAll('li:nth-child(2n) + li').length, 2499);
+    assert.equal(doc.querySelector('li:nth-of-type(4321)').textContent, '4321');
+});
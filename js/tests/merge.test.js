@@ -0,0 +1,114 @@
+// Mobile Tools - Merge Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MERGE_POLICIES, mergeRecords, validateMergePolicies } from '../merge.js';
+import { buildSeasons } from '../seasons.js';
+
+const downloadOptions = (...qualities) => [{
+    server: 'G-Drive',
+    server_info: '',
+    qualities: qualities.map(([path, label = '']) => ({ quality_text: '720p', path, file_size: '1GB', label })),
+    labels: []
+}];
+
+const series = (status, options = downloadOptions(['p1'])) => ({
+    id: 'm1',
+    post_url: 'https://site.test/alpha/',
+    title: 'Alpha',
+    info4_type: 'Series',
+    info6_status: status,
+    imdb: '7.0',
+    screenshotLinks: ['a.jpg'],
+    downloadOptions: options,
+    seasons: buildSeasons(status, options),
+    createdAt: '2024-01-01T00:00:00.000Z',
+    upload_time_confidence: 'exact',
+    lastUpdated: '2024-01-01T00:00:00.000Z'
+});
+
+test('merging a record with itself changes nothing', () => {
+    const record = series('S02 Ep 01-08 Added');
+    const { record: merged, changes } = mergeRecords(record, structuredClone(record));
+    assert.deepEqual(changes, []);
+    assert.equal(merged.info6_status, 'S02 Ep 01-08 Added');
+    assert.equal(merged.lastUpdated, record.lastUpdated);
+});
+
+test('merging a series with episode links into itself keeps its status', () => {
+    const record = series('S01 Ep 1-2 Added', downloadOptions(['p3', 'Episode 3']));
+    assert.deepEqual(mergeRecords(record, structuredClone(record)).changes, []);
+});
+
+test('a badge with the same seasons keeps the stored status text', () => {
+    const stored = series('S01E01-E08');
+    const { record, changes } = mergeRecords(stored, series('S01 Ep 1-8 Added'));
+    assert.equal(record.info6_status, 'S01E01-E08');
+    assert.deepEqual(changes, []);
+});
+
+test('new episodes take the fresh status when it describes the merged seasons', () => {
+    const { record, changes } = mergeRecords(series('S01 Ep 1-3 Added'), series('S01 Ep 1-5 Added'));
+    assert.equal(record.info6_status, 'S01 Ep 1-5 Added');
+    assert.ok(changes.some(change => change.field === 'info6_status'));
+});
+
+test('new episodes outside the fresh badge are formatted from the merged seasons', () => {
+    const { record } = mergeRecords(series('S01 Ep 1-3 Added'), series('S01 Ep 4-5 Added'));
+    assert.equal(record.info6_status, 'S01 Ep 1-5 Added');
+});
+
+test('a series stored before seasons existed starts from its status badge', () => {
+    const fresh = series('S01 Ep 1-3 Added');
+    const { seasons, ...stored } = fresh;
+    const { record, changes } = mergeRecords(stored, fresh);
+    assert.equal(record.info6_status, 'S01 Ep 1-3 Added');
+    assert.deepEqual(changes.map(change => change.field), ['seasons']);
+    assert.deepEqual(record.seasons, seasons);
+});
+
+test('keep, overwrite and union policies', () => {
+    const stored = series('S01 Ep 1 Added');
+    const fresh = { ...series('S01 Ep 1 Added'), id: 'm9', title: 'Alpha!', imdb: '7.4', screenshotLinks: ['a.jpg', 'b.jpg'] };
+    const { record } = mergeRecords(stored, fresh);
+    assert.equal(record.id, 'm1');
+    assert.equal(record.title, 'Alpha');
+    assert.equal(record.imdb, '7.4');
+    assert.deepEqual(record.screenshotLinks, ['a.jpg', 'b.jpg']);
+
+    const custom = mergeRecords(stored, fresh, { imdb: MERGE_POLICIES.KEEP, screenshotLinks: MERGE_POLICIES.OVERWRITE });
+    assert.equal(custom.record.imdb, '7.0');
+    assert.deepEqual(custom.record.screenshotLinks, ['a.jpg', 'b.jpg']);
+});
+
+test('empty fresh values never replace stored ones', () => {
+    const { record, changes } = mergeRecords(series('S01 Ep 1 Added'), { imdb: '', screenshotLinks: [] });
+    assert.equal(record.imdb, '7.0');
+    assert.deepEqual(changes, []);
+});
+
+test('download options are merged by server and path', () => {
+    const stored = series('S01 Ep 1 Added', downloadOptions(['p1']));
+    const fresh = { downloadOptions: downloadOptions(['p1'], ['p2']) };
+    fresh.downloadOptions[0].qualities[0].file_size = '1.1GB';
+    const { record } = mergeRecords(stored, fresh);
+    assert.deepEqual(record.downloadOptions[0].qualities.map(quality => [quality.path, quality.file_size]), [
+        ['p1', '1.1GB'],
+        ['p2', '1GB']
+    ]);
+});
+
+test('upload time is only taken from an exact or more reliable date', () => {
+    const stored = { ...series('S01 Ep 1 Added'), upload_time_confidence: 'relative' };
+    const drifting = { createdAt: '2026-01-01T00:00:00.000Z', upload_time_confidence: 'relative' };
+    assert.equal(mergeRecords(stored, drifting).record.createdAt, stored.createdAt);
+
+    const exact = { createdAt: '2023-05-01T00:00:00.000Z', upload_time_confidence: 'exact' };
+    assert.equal(mergeRecords(stored, exact).record.createdAt, exact.createdAt);
+});
+
+test('validateMergePolicies reports unknown policies', () => {
+    assert.deepEqual(validateMergePolicies({ imdb: 'keep' }), []);
+    assert.equal(validateMergePolicies({ imdb: 'bad' }).length, 1);
+    assert.equal(validateMergePolicies([]).length, 1);
+});
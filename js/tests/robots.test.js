@@ -0,0 +1,104 @@
+// Mobile Tools - robots.txt Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ROBOTS_STATUS,
+    parseRobotsTxt,
+    isAllowedByRobots,
+    clearRobotsCache,
+    createPolitenessPolicy
+} from '../politeness.js';
+
+const ROBOTS = `
+# Everyone
+User-agent: *
+Disallow: /private/
+Crawl-delay: 5
+
+User-agent: OtherBot
+User-agent: MobileScraper
+Disallow: /search
+Allow: /search/help
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+Sitemap: https://site.test/sitemap.xml
+`;
+
+test('parseRobotsTxt follows the group of the scraper token', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    assert.deepEqual(rules.disallow, ['/search', '/*.pdf$']);
+    assert.deepEqual(rules.allow, ['/search/help']);
+    assert.equal(rules.crawlDelay, 2);
+    assert.deepEqual(rules.sitemaps, ['https://site.test/sitemap.xml']);
+});
+
+test('parseRobotsTxt falls back to the * group', () => {
+    const rules = parseRobotsTxt(ROBOTS, 'SomeoneElse');
+    assert.deepEqual(rules.disallow, ['/private/']);
+    assert.equal(rules.crawlDelay, 5);
+});
+
+test('parseRobotsTxt without a matching group allows everything', () => {
+    const rules = parseRobotsTxt('User-agent: OtherBot\nDisallow: /');
+    assert.deepEqual(rules.disallow, []);
+    assert.equal(rules.crawlDelay, null);
+});
+
+test('an empty Disallow allows everything', () => {
+    assert.deepEqual(parseRobotsTxt('User-agent: *\nDisallow:').disallow, []);
+});
+
+test('isAllowedByRobots lets the longest matching rule win', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    assert.equal(isAllowedByRobots(rules, 'https://site.test/movies/alpha').allowed, true);
+    assert.deepEqual(isAllowedByRobots(rules, 'https://site.test/search?q=alpha'), { allowed: false, rule: 'Disallow: /search' });
+    assert.deepEqual(isAllowedByRobots(rules, 'https://site.test/search/help'), { allowed: true, rule: 'Allow: /search/help' });
+});
+
+test('isAllowedByRobots supports * and $ patterns', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    assert.equal(isAllowedByRobots(rules, 'https://site.test/files/alpha.pdf').allowed, false);
+    assert.equal(isAllowedByRobots(rules, 'https://site.test/files/alpha.pdf?download=1').allowed, true);
+});
+
+test('Allow wins a tie and missing rules allow everything', () => {
+    const rules = { allow: ['/a'], disallow: ['/a'] };
+    assert.equal(isAllowedByRobots(rules, 'https://site.test/a').allowed, true);
+    assert.equal(isAllowedByRobots(null, 'https://site.test/a').allowed, true);
+});
+
+test('the politeness policy fetches robots.txt through the run scheduler', async () => {
+    clearRobotsCache();
+    const scheduler = { schedule: (url, task) => task() };
+    const calls = [];
+    const policy = createPolitenessPolicy({
+        scheduler,
+        getOverride: () => ({}),
+        fetchRobots: async (origin, proxyUrl, retryPolicy, runScheduler) => {
+            calls.push({ origin, runScheduler });
+            return { status: ROBOTS_STATUS.FOUND, rules: parseRobotsTxt(ROBOTS) };
+        }
+    });
+
+    const verdict = await policy.check('https://site.test/search?q=alpha');
+    await policy.check('https://site.test/movies/alpha');
+
+    assert.equal(verdict.allowed, false);
+    assert.equal(verdict.crawlDelay, 2000);
+    assert.deepEqual(calls, [{ origin: 'https://site.test', runScheduler: scheduler }]);
+    clearRobotsCache();
+});
+
+test('site profile overrides ignore Disallow rules', async () => {
+    clearRobotsCache();
+    const policy = createPolitenessPolicy({
+        getOverride: () => ({ ignoreRobots: true, crawlDelay: 1 }),
+        fetchRobots: async () => ({ status: ROBOTS_STATUS.FOUND, rules: parseRobotsTxt(ROBOTS) })
+    });
+
+    const verdict = await policy.check('https://site.test/search');
+    assert.deepEqual(verdict, { allowed: true, rule: 'Disallow: /search', crawlDelay: 1000, overridden: true });
+    clearRobotsCache();
+});
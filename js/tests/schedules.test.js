@@ -0,0 +1,94 @@
+// Mobile Tools - Schedules Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SCHEDULE_TYPES,
+    parseCron,
+    scheduleToCron,
+    getNextRunTime,
+    validateSchedule,
+    describeSchedule,
+    createScheduledJob,
+    getDueJobs
+} from '../schedules.js';
+
+// Local time, like the schedules themselves (2026-10-19 is a Monday)
+const at = (month, day, hour = 0, minute = 0, year = 2026) => new Date(year, month - 1, day, hour, minute);
+const cron = (expression) => ({ type: SCHEDULE_TYPES.CRON, expression });
+
+test('parseCron reads numbers, ranges, lists and steps', () => {
+    const parsed = parseCron('*/15 8-10 1,15 * 1-5');
+    assert.deepEqual([...parsed.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...parsed.hours], [8, 9, 10]);
+    assert.deepEqual([...parsed.days], [1, 15]);
+    assert.equal(parsed.months.size, 12);
+    assert.deepEqual([...parsed.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(parsed.anyDay, false);
+    assert.equal(parsed.anyWeekday, false);
+});
+
+test('parseCron runs "5/15" to the end of the range and treats 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('5/15 * * * *').minutes], [5, 20, 35, 50]);
+    assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * *'), /5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), /Invalid minute "61"/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid day of week/);
+    assert.throws(() => parseCron('5-1 * * * *'), /Invalid minute/);
+});
+
+test('scheduleToCron covers hourly and daily schedules', () => {
+    assert.equal(scheduleToCron({ type: SCHEDULE_TYPES.HOURLY, minute: 15 }), '15 * * * *');
+    assert.equal(scheduleToCron({ type: SCHEDULE_TYPES.DAILY, time: '06:30' }), '30 6 * * *');
+});
+
+test('getNextRunTime returns the first slot strictly after the given time', () => {
+    assert.deepEqual(getNextRunTime({ type: SCHEDULE_TYPES.HOURLY, minute: 15 }, at(10, 19, 10, 20)), at(10, 19, 11, 15));
+    assert.deepEqual(getNextRunTime({ type: SCHEDULE_TYPES.DAILY, time: '06:30' }, at(10, 19, 6, 30)), at(10, 20, 6, 30));
+    assert.deepEqual(getNextRunTime(cron('0 */6 * * 1-5'), at(10, 23, 19)), at(10, 26, 0));
+});
+
+test('getNextRunTime finds the next Feb 29', () => {
+    assert.deepEqual(getNextRunTime(cron('0 0 29 2 *'), at(10, 19)), at(2, 29, 0, 0, 2028));
+});
+
+test('getNextRunTime matches either day field when both are restricted', () => {
+    // The 1st of the month or any Sunday
+    assert.deepEqual(getNextRunTime(cron('30 8 1 * 0'), at(10, 19)), at(10, 25, 8, 30));
+    assert.deepEqual(getNextRunTime(cron('30 8 1 * 0'), at(10, 31, 12)), at(11, 1, 8, 30));
+});
+
+test('validateSchedule rejects bad and impossible schedules', () => {
+    assert.doesNotThrow(() => validateSchedule(cron('0 6 * * *')));
+    assert.throws(() => validateSchedule({ type: 'weekly' }), /Unknown schedule type/);
+    assert.throws(() => validateSchedule({ type: SCHEDULE_TYPES.HOURLY, minute: 60 }), /Minute/);
+    assert.throws(() => validateSchedule({ type: SCHEDULE_TYPES.DAILY, time: '25:00' }), /HH:MM/);
+    assert.throws(() => validateSchedule(cron('0 0 31 2 *')), /never runs/);
+});
+
+test('describeSchedule', () => {
+    assert.equal(describeSchedule({ type: SCHEDULE_TYPES.HOURLY, minute: 5 }), 'Hourly at :05');
+    assert.equal(describeSchedule({ type: SCHEDULE_TYPES.DAILY, time: '06:30' }), 'Daily at 06:30');
+    assert.equal(describeSchedule(cron('0 */6 * * *')), 'Cron 0 */6 * * *');
+});
+
+test('createScheduledJob drops run state and schedules the next slot', () => {
+    const job = { mode: 'page-range', websiteUrl: 'https://site.test/', runId: 'old', sitemapUrls: [] };
+    const entry = createScheduledJob({ job, schedule: { type: SCHEDULE_TYPES.HOURLY, minute: 0 } }, at(10, 19, 10, 20));
+
+    assert.deepEqual(entry.job, { mode: 'page-range', websiteUrl: 'https://site.test/' });
+    assert.equal(entry.name, 'Hourly at :00');
+    assert.equal(entry.nextRunAt, at(10, 19, 11).toISOString());
+    assert.equal(entry.enabled, true);
+});
+
+test('getDueJobs returns enabled jobs whose slot has passed, once', () => {
+    const entry = createScheduledJob({ job: { mode: 'sitemap' }, schedule: { type: SCHEDULE_TYPES.HOURLY, minute: 0 } }, at(10, 19, 10, 20));
+
+    assert.equal(getDueJobs([entry], at(10, 19, 10, 59)).length, 0);
+    assert.deepEqual(getDueJobs([entry], at(10, 19, 15)), [entry]);
+    assert.equal(getDueJobs([{ ...entry, enabled: false }], at(10, 19, 15)).length, 0);
+});
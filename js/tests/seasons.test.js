@@ -0,0 +1,92 @@
+// Mobile Tools - Seasons Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeRanges,
+    parseSeasonStatus,
+    buildSeasons,
+    getKnownRanges,
+    getBadgeSeasons,
+    mergeSeasons,
+    hasNewSeasonContent,
+    formatSeasonStatus
+} from '../seasons.js';
+
+const episodeLinks = (...episodes) => [{
+    server: 'Drive',
+    qualities: episodes.map(episode => ({ label: `Episode ${episode}`, path: `https://drive.test/${episode}` }))
+}];
+
+test('normalizeRanges merges overlapping and adjacent ranges', () => {
+    assert.deepEqual(
+        normalizeRanges([{ from: 5, to: 6 }, { from: 1, to: 3 }, { from: 4, to: 4 }, { from: 9 }]),
+        [{ from: 1, to: 6 }, { from: 9, to: 9 }]
+    );
+});
+
+test('parseSeasonStatus reads season and episode badges', () => {
+    const [season] = parseSeasonStatus('S01 Ep 1-10 Added');
+    assert.equal(season.season, 1);
+    assert.deepEqual(season.ranges, [{ from: 1, to: 10 }]);
+    assert.equal(season.complete, false);
+
+    assert.deepEqual(parseSeasonStatus('Season 2 Episode 5 Added')[0].ranges, [{ from: 5, to: 5 }]);
+    assert.deepEqual(parseSeasonStatus('S02 Ep 01-03, 05 Added')[0].ranges, [{ from: 1, to: 3 }, { from: 5, to: 5 }]);
+    assert.deepEqual(parseSeasonStatus('S01 Ep 1, 2020 Release')[0].ranges, [{ from: 1, to: 1 }]);
+    assert.equal(parseSeasonStatus('Season 3 Complete')[0].complete, true);
+    assert.equal(parseSeasonStatus('Ep 4 Added')[0].season, 1);
+    assert.deepEqual(parseSeasonStatus('Hindi Dubbed'), []);
+    assert.deepEqual(parseSeasonStatus(''), []);
+});
+
+test('parseSeasonStatus expands season ranges', () => {
+    const seasons = parseSeasonStatus('S01-S03 Complete');
+    assert.deepEqual(seasons.map(season => [season.season, season.complete]), [[1, true], [2, true], [3, true]]);
+});
+
+test('buildSeasons keeps link episodes out of the badge ranges', () => {
+    const [season] = buildSeasons('S01 Ep 1-1 Added', episodeLinks(1, 3));
+    assert.deepEqual(season.ranges, [{ from: 1, to: 1 }]);
+    assert.deepEqual(season.episodes.map(item => item.episode), [1, 3]);
+    assert.deepEqual(getKnownRanges(season), [{ from: 1, to: 1 }, { from: 3, to: 3 }]);
+    assert.equal(formatSeasonStatus([season]), 'S01 Ep 1 Added');
+});
+
+test('buildSeasons puts links without a badge in season 1', () => {
+    const seasons = buildSeasons('', episodeLinks(2));
+    assert.equal(seasons.length, 1);
+    assert.deepEqual(seasons[0].ranges, []);
+    assert.deepEqual(getBadgeSeasons(seasons), [{ season: 1, ranges: [], complete: false }]);
+});
+
+test('mergeSeasons combines ranges, links and completion', () => {
+    const merged = mergeSeasons(
+        buildSeasons('S01 Ep 1-4 Added', episodeLinks(4)),
+        [...buildSeasons('S01 Ep 5-6 Added', episodeLinks(4, 5)), ...parseSeasonStatus('S02 Complete')]
+    );
+    assert.deepEqual(merged[0].ranges, [{ from: 1, to: 6 }]);
+    assert.deepEqual(merged[0].episodes.map(item => [item.episode, item.links.length]), [[4, 1], [5, 1]]);
+    assert.equal(merged[1].complete, true);
+});
+
+test('mergeSeasons of a season list with itself changes nothing', () => {
+    const seasons = buildSeasons('S02 Ep 01-08 Added', episodeLinks(7, 8));
+    assert.deepEqual(mergeSeasons(seasons, seasons), mergeSeasons(seasons, []));
+    assert.equal(hasNewSeasonContent(seasons, seasons), false);
+});
+
+test('hasNewSeasonContent sees new episodes and seasons', () => {
+    const stored = parseSeasonStatus('S01 Ep 1-4 Added');
+    assert.equal(hasNewSeasonContent(stored, parseSeasonStatus('S01 Ep 5 Added')), true);
+    assert.equal(hasNewSeasonContent(stored, parseSeasonStatus('S01 Ep 2-3 Added')), false);
+    assert.equal(hasNewSeasonContent(stored, parseSeasonStatus('S02 Ep 1 Added')), true);
+});
+
+test('formatSeasonStatus describes the latest season', () => {
+    assert.equal(formatSeasonStatus(parseSeasonStatus('S01 Ep 1-10 Added')), 'S01 Ep 1-10 Added');
+    assert.equal(formatSeasonStatus(parseSeasonStatus('S02 Ep 1-3, 5 Added')), 'S02 Ep 1-3, 5 Added');
+    assert.equal(formatSeasonStatus(parseSeasonStatus('S01-S02 Complete')), 'S01-S02 Complete');
+    assert.equal(formatSeasonStatus(parseSeasonStatus('S03 Complete')), 'S03 Complete');
+    assert.equal(formatSeasonStatus([]), '');
+});
@@ -1,377 +1,624 @@
-// Mobile Tools - UI Module
-// Handles all UI interactions and updates
-
-// ============================================================================
-// Toast Notifications
-// ============================================================================
-
-/**
- * Show toast notification
- */
-export function showToast(message, type = 'info', duration = 3000) {
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.textContent = message;
-
-    document.body.appendChild(toast);
-
-    // Trigger animation
-    setTimeout(() => toast.classList.add('show'), 10);
-
-    // Auto-dismiss
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => toast.remove(), 300);
-    }, duration);
-}
-
-// ============================================================================
-// Progress Updates
-// ============================================================================
-
-/**
- * Update progress bar
- */
-export function updateProgress(current, total) {
-    const progressFill = document.getElementById('progressFill');
-    if (!progressFill || !total || total <= 0) return;
-
-    const percentage = Math.min(100, Math.max(0, (current / total) * 100));
-    progressFill.style.width = `${percentage}%`;
-}
-
-/**
- * Update status panel
- */
-export function updateStatus(statusText, currentPage, cardsScraped, duplicatesSkipped) {
-    const elements = {
-        statusText: document.getElementById('statusText'),
-        currentPage: document.getElementById('currentPage'),
-        cardsScraped: document.getElementById('cardsScraped'),
-        duplicatesSkipped: document.getElementById('duplicatesSkipped')
-    };
-
-    if (elements.statusText) elements.statusText.textContent = statusText;
-    if (elements.currentPage && currentPage !== undefined) elements.currentPage.textContent = currentPage;
-    if (elements.cardsScraped && cardsScraped !== undefined) elements.cardsScraped.textContent = cardsScraped;
-    if (elements.duplicatesSkipped && duplicatesSkipped !== undefined) elements.duplicatesSkipped.textContent = duplicatesSkipped;
-}
-
-// ============================================================================
-// JSON Viewer
-// ============================================================================
-
-/**
- * Update JSON viewer with syntax highlighting
- */
-export function updateJsonViewer(data, viewerId = 'jsonViewer') {
-    const viewer = document.getElementById(viewerId);
-    if (!viewer) return;
-
-    const jsonString = JSON.stringify(data, null, 2);
-
-    // Simple syntax highlighting
-    const highlighted = jsonString
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"([^"]+)":/g, '<span class="json-key">"$1"</span>:')
-        .replace(/: "([^"]*)"/g, ': <span class="json-string">"$1"</span>')
-        .replace(/: (\d+)/g, ': <span class="json-number">$1</span>')
-        .replace(/: (true|false|null)/g, ': <span class="json-boolean">$1</span>');
-
-    viewer.innerHTML = `<pre>${highlighted}</pre>`;
-}
-
-// ============================================================================
-// Collapsible Sections
-// ============================================================================
-
-/**
- * Setup collapsible section handlers
- */
-export function setupCollapsibles() {
-    const collapsibles = document.querySelectorAll('.collapsible-header');
-
-    collapsibles.forEach(header => {
-        header.addEventListener('click', () => {
-            const content = header.nextElementSibling;
-            const icon = header.querySelector('.collapsible-icon');
-
-            if (content && content.classList.contains('collapsible-content')) {
-                const isExpanded = content.classList.contains('expanded');
-
-                if (isExpanded) {
-                    content.classList.remove('expanded');
-                    if (icon) icon.textContent = '▼';
-                } else {
-                    content.classList.add('expanded');
-                    if (icon) icon.textContent = '▲';
-                }
-            }
-        });
-    });
-}
-
-// ============================================================================
-// Theme Toggle
-// ============================================================================
-
-/**
- * Toggle theme between dark and light
- */
-export function toggleTheme() {
-    const html = document.documentElement;
-    const currentTheme = html.getAttribute('data-theme') || 'dark';
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-
-    html.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-
-    // Update theme toggle button icon
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        themeToggle.textContent = newTheme === 'dark' ? '☀️' : '🌙';
-    }
-
-    return newTheme;
-}
-
-/**
- * Initialize theme from localStorage or system preference
- */
-export function initTheme() {
-    const savedTheme = localStorage.getItem('theme');
-    const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const theme = savedTheme || (systemPrefersDark ? 'dark' : 'light');
-
-    document.documentElement.setAttribute('data-theme', theme);
-
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
-    }
-
-    return theme;
-}
-
-// ============================================================================
-// Bottom Navigation
-// ============================================================================
-
-/**
- * Setup bottom navigation
- */
-export function setupBottomNav() {
-    const navItems = document.querySelectorAll('.nav-item');
-
-    navItems.forEach(item => {
-        item.addEventListener('click', () => {
-            // Remove active from all
-            navItems.forEach(nav => nav.classList.remove('active'));
-
-            // Add active to clicked
-            item.classList.add('active');
-
-            // Get view name
-            const view = item.getAttribute('data-view');
-
-            // Show corresponding view (implement view switching logic)
-            switchView(view);
-        });
-    });
-}
-
-function switchView(viewName) {
-    // Hide all views
-    const views = document.querySelectorAll('.view');
-    views.forEach(view => {
-        view.classList.add('hidden');
-    });
-
-    // Show selected view
-    const selectedView = document.getElementById(`${viewName}View`);
-    if (selectedView) {
-        selectedView.classList.remove('hidden');
-    }
-
-    showToast(`Switched to ${viewName} view`, 'info', 1500);
-}
-
-// ============================================================================
-// FAB (Floating Action Button)
-// ============================================================================
-
-/**
- * Update FAB state
- */
-export function updateFAB(isRunning) {
-    const fab = document.getElementById('fab');
-    const fabIcon = document.getElementById('fabIcon');
-
-    if (!fab || !fabIcon) return;
-
-    if (isRunning) {
-        fab.classList.add('active');
-        fabIcon.textContent = '⏹️';
-        fab.setAttribute('aria-label', 'Stop scraping');
-    } else {
-        fab.classList.remove('active');
-        fabIcon.textContent = '▶️';
-        fab.setAttribute('aria-label', 'Start scraping');
-    }
-}
-
-// ============================================================================
-// Mode Tabs
-// ============================================================================
-
-/**
- * Setup mode tabs (Page Range / Custom Links)
- */
-export function setupModeTabs() {
-    const tabs = document.querySelectorAll('.mode-tab');
-    const pageRangeControls = document.getElementById('pageRangeControls');
-    const customLinksControls = document.getElementById('customLinksControls');
-
-    tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            // Remove active from all tabs
-            tabs.forEach(t => t.classList.remove('active'));
-
-            // Add active to clicked tab
-            tab.classList.add('active');
-
-            // Get mode
-            const mode = tab.getAttribute('data-mode');
-
-            // Show/hide controls
-            if (mode === 'page-range') {
-                if (pageRangeControls) pageRangeControls.style.display = 'block';
-                if (customLinksControls) customLinksControls.style.display = 'none';
-            } else if (mode === 'custom-links') {
-                if (pageRangeControls) pageRangeControls.style.display = 'none';
-                if (customLinksControls) customLinksControls.style.display = 'block';
-            }
-        });
-    });
-}
-
-// ============================================================================
-// Running Time Display
-// ============================================================================
-
-let runningTimeInterval = null;
-let startTime = null;
-
-/**
- * Start running time counter
- */
-export function startRunningTimer() {
-    startTime = Date.now();
-
-    runningTimeInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const formatted = formatTime(elapsed);
-
-        const runningTimeEl = document.getElementById('runningTime');
-        if (runningTimeEl) {
-            runningTimeEl.textContent = formatted;
-        }
-    }, 1000);
-}
-
-/**
- * Stop running time counter
- */
-export function stopRunningTimer() {
-    if (runningTimeInterval) {
-        clearInterval(runningTimeInterval);
-        runningTimeInterval = null;
-    }
-}
-
-/**
- * Reset running time
- */
-export function resetRunningTimer() {
-    stopRunningTimer();
-    startTime = null;
-
-    const runningTimeEl = document.getElementById('runningTime');
-    if (runningTimeEl) {
-        runningTimeEl.textContent = '00:00:00';
-    }
-}
-
-function formatTime(ms) {
-    if (ms < 0) ms = 0;
-    const seconds = Math.floor(ms / 1000);
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
-}
-
-function pad(num) {
-    return num.toString().padStart(2, '0');
-}
-
-// ============================================================================
-// PWA Install Prompt
-// ============================================================================
-
-let deferredPrompt = null;
-
-/**
- * Setup PWA install prompt
- */
-export function setupPWAInstall() {
-    window.addEventListener('beforeinstallprompt', (e) => {
-        e.preventDefault();
-        deferredPrompt = e;
-
-        // Show install button
-        const installBtn = document.getElementById('installBtn');
-        if (installBtn) {
-            installBtn.classList.remove('hidden');
-        }
-    });
-
-    // Handle install button click
-    const installBtn = document.getElementById('installBtn');
-    if (installBtn) {
-        installBtn.addEventListener('click', async () => {
-            if (deferredPrompt) {
-                deferredPrompt.prompt();
-                const { outcome } = await deferredPrompt.userChoice;
-
-                if (outcome === 'accepted') {
-                    showToast('App installed successfully!', 'success');
-                } else {
-                    showToast('Installation cancelled', 'info');
-                }
-
-                deferredPrompt = null;
-                installBtn.classList.add('hidden');
-            }
-        });
-    }
-}
-
-export default {
-    showToast,
-    updateProgress,
-    updateStatus,
-    updateJsonViewer,
-    setupCollapsibles,
-    toggleTheme,
-    initTheme,
-    setupBottomNav,
-    updateFAB,
-    setupModeTabs,
-    startRunningTimer,
-    stopRunningTimer,
-    resetRunningTimer,
-    setupPWAInstall
-};
+// Mobile Tools - UI Module
+// Handles all UI interactions and updates
+
+// ============================================================================
+// Toast Notifications
+// ============================================================================
+
+/**
+ * Show toast notification
+ */
+export function showToast(message, type = 'info', duration = 3000) {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+
+    document.body.appendChild(toast);
+
+    // Trigger animation
+    setTimeout(() => toast.classList.add('show'), 10);
+
+    // Auto-dismiss
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, duration);
+}
+
+// ============================================================================
+// Progress Updates
+// ============================================================================
+
+/**
+ * Update progress bar
+ */
+export function updateProgress(current, total) {
+    const progressFill = document.getElementById('progressFill');
+    if (!progressFill || !total || total <= 0) return;
+
+    const percentage = Math.min(100, Math.max(0, (current / total) * 100));
+    progressFill.style.width = `${percentage}%`;
+}
+
+/**
+ * Update status panel
+ */
+export function updateStatus(statusText, currentPage, cardsScraped, duplicatesSkipped) {
+    const elements = {
+        statusText: document.getElementById('statusText'),
+        currentPage: document.getElementById('currentPage'),
+        cardsScraped: document.getElementById('cardsScraped'),
+        duplicatesSkipped: document.getElementById('duplicatesSkipped')
+    };
+
+    if (elements.statusText) elements.statusText.textContent = statusText;
+    if (elements.currentPage && currentPage !== undefined) elements.currentPage.textContent = currentPage;
+    if (elements.cardsScraped && cardsScraped !== undefined) elements.cardsScraped.textContent = cardsScraped;
+    if (elements.duplicatesSkipped && duplicatesSkipped !== undefined) elements.duplicatesSkipped.textContent = duplicatesSkipped;
+}
+
+// ============================================================================
+// JSON Viewer
+// ============================================================================
+
+/**
+ * Update JSON viewer with syntax highlighting
+ */
+export function updateJsonViewer(data, viewerId = 'jsonViewer') {
+    const viewer = document.getElementById(viewerId);
+    if (!viewer) return;
+
+    const jsonString = JSON.stringify(data, null, 2);
+
+    // Simple syntax highlighting
+    const highlighted = jsonString
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"([^"]+)":/g, '<span class="json-key">"$1"</span>:')
+        .replace(/: "([^"]*)"/g, ': <span class="json-string">"$1"</span>')
+        .replace(/: (\d+)/g, ': <span class="json-number">$1</span>')
+        .replace(/: (true|false|null)/g, ': <span class="json-boolean">$1</span>');
+
+    viewer.innerHTML = `<pre>${highlighted}</pre>`;
+}
+
+// ============================================================================
+// Extraction Report
+// ============================================================================
+
+/**
+ * Render the extraction report of a run: field rates per host (fields that
+ * drifted are marked), the saved HTML of failing pages and the run log
+ */
+export function renderExtractionReport(reports, snapshots = [], log = []) {
+    const card = document.getElementById('extractionReportCard');
+    const container = document.getElementById('extractionReport');
+    if (!card || !container) return;
+
+    container.innerHTML = '';
+    card.classList.toggle('hidden', reports.length === 0 && snapshots.length === 0 && log.length === 0);
+
+    reports.forEach(report => {
+        const section = document.createElement('div');
+        section.className = `extraction-host${report.alerts.length > 0 ? ' drifted' : ''}`;
+
+        const title = document.createElement('h4');
+        title.textContent = `${report.alerts.length > 0 ? '⚠️' : '✅'} ${report.host} · ${report.records} posts · ` +
+            `${report.listingPages - report.emptyListingPages}/${report.listingPages} listing pages with cards`;
+        section.appendChild(title);
+
+        report.alerts.forEach(alert => {
+            const line = document.createElement('p');
+            line.className = 'extraction-alert';
+            line.textContent = `Structure drift: ${alert.message}`;
+            section.appendChild(line);
+        });
+
+        const list = document.createElement('ul');
+        list.className = 'extraction-fields';
+        Object.entries(report.fields).forEach(([field, counts]) => {
+            const item = document.createElement('li');
+            if (report.alerts.some(alert => alert.field === field)) item.className = 'drifted';
+            const fallback = counts.fallback > 0 ? ` (${counts.fallback} via fallback)` : '';
+            item.textContent = `${field}: ${Math.round(counts.rate * 100)}%${fallback}`;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        container.appendChild(section);
+    });
+
+    if (log.length > 0) {
+        const logTitle = document.createElement('h4');
+        logTitle.textContent = '📜 Run log';
+        container.appendChild(logTitle);
+
+        const logList = document.createElement('ul');
+        logList.className = 'extraction-log';
+        log.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `log-${entry.type}`;
+            item.textContent = `${new Date(entry.time).toLocaleTimeString()} · ${entry.host}: ${entry.message}`;
+            logList.appendChild(item);
+        });
+        container.appendChild(logList);
+    }
+
+    if (snapshots.length === 0) return;
+
+    const title = document.createElement('h4');
+    title.textContent = `📸 Failing pages (${snapshots.length})`;
+    container.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'extraction-snapshots';
+    snapshots.forEach(snapshot => {
+        const item = document.createElement('li');
+
+        const text = document.createElement('span');
+        text.textContent = `${snapshot.reason} · ${snapshot.url}`;
+        item.appendChild(text);
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-primary';
+        button.dataset.snapshotId = snapshot.id;
+        button.textContent = 'View HTML';
+        item.appendChild(button);
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+// ============================================================================
+// Scheduled Jobs
+// ============================================================================
+
+/**
+ * Show the input of the chosen schedule type (minute, time or cron expression)
+ */
+export function showScheduleInputs(type) {
+    document.querySelectorAll('[data-schedule-input]').forEach(group => {
+        group.classList.toggle('hidden', group.dataset.scheduleInput !== type);
+    });
+}
+
+/**
+ * Render the scheduled jobs with their next and last run. Buttons carry
+ * data-schedule-action (run, toggle, delete) and data-schedule-id.
+ */
+export function renderScheduledJobs(entries, busy = false) {
+    const container = document.getElementById('scheduledJobsList');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-help';
+        empty.textContent = 'No scheduled jobs yet.';
+        container.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `schedule-item${entry.enabled ? '' : ' disabled'}`;
+
+        const title = document.createElement('h4');
+        title.textContent = `${entry.name} · ${entry.description}`;
+        item.appendChild(title);
+
+        const next = entry.enabled && entry.nextRunAt ? new Date(entry.nextRunAt).toLocaleString() : 'paused';
+        const info = document.createElement('p');
+        info.className = 'form-help';
+        info.textContent = `${entry.job.mode} · next: ${next}`;
+        item.appendChild(info);
+
+        if (entry.lastRunAt) {
+            const result = entry.lastResult || {};
+            const last = document.createElement('p');
+            last.className = result.error ? 'schedule-result failed' : 'schedule-result';
+            last.textContent = `Last run ${new Date(entry.lastRunAt).toLocaleString()}: ` + (result.error
+                ? `failed (${result.error})`
+                : `${result.newCount} new, ${result.updatedCount} updated, ${result.duplicates} duplicates`);
+            item.appendChild(last);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'button-group';
+        [
+            ['run', '▶️ Run Now', 'btn-primary'],
+            ['toggle', entry.enabled ? '⏸️ Pause' : '⏯️ Resume', 'btn-primary'],
+            ['delete', '🗑️ Delete', 'btn-danger']
+        ].forEach(([action, label, style]) => {
+            const button = document.createElement('button');
+            button.className = `btn ${style}`;
+            button.dataset.scheduleAction = action;
+            button.dataset.scheduleId = entry.id;
+            button.textContent = label;
+            button.disabled = busy;
+            actions.appendChild(button);
+        });
+        item.appendChild(actions);
+
+        container.appendChild(item);
+    });
+}
+
+// ============================================================================
+// Test URL Playground
+// ============================================================================
+
+function playgroundRow(label, value, note, fragment, empty) {
+    const row = document.createElement('div');
+    row.className = `playground-field${empty ? ' empty' : ''}`;
+
+    const header = document.createElement('div');
+    header.className = 'playground-field-header';
+    const name = document.createElement('strong');
+    name.textContent = label;
+    header.appendChild(name);
+    if (note) {
+        const source = document.createElement('span');
+        source.className = 'playground-source';
+        source.textContent = note;
+        header.appendChild(source);
+    }
+    row.appendChild(header);
+
+    const text = document.createElement('div');
+    text.className = 'playground-value';
+    text.textContent = empty ? '(empty)' : value;
+    row.appendChild(text);
+
+    if (fragment) {
+        const pre = document.createElement('pre');
+        pre.className = 'playground-fragment';
+        pre.textContent = fragment;
+        row.appendChild(pre);
+    }
+    return row;
+}
+
+/**
+ * Render the result of a Test URL run (see playground.js)
+ */
+export function renderPlaygroundResult(result) {
+    const container = document.getElementById('playgroundResult');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'form-help';
+    summary.textContent = result.kind === 'listing'
+        ? `Listing page · ${result.cardCount} cards · ${result.profile}`
+        : `Detail page · ${result.profile}`;
+    if (result.finalUrl !== result.url) summary.textContent += ` · redirected to ${result.finalUrl}`;
+    container.appendChild(summary);
+
+    const callout = document.createElement('p');
+    callout.className = result.emptyFields.length > 0 ? 'playground-empty' : 'playground-ok';
+    callout.textContent = result.emptyFields.length > 0
+        ? `⚠️ Empty: ${result.emptyFields.join(', ')}`
+        : '✅ Every field found';
+    container.appendChild(callout);
+
+    if (result.kind === 'listing') {
+        result.cards.forEach((card, i) => {
+            const note = card.emptyFields.length > 0 ? `empty: ${card.emptyFields.join(', ')}` : '';
+            container.appendChild(playgroundRow(`Card ${i + 1}: ${card.title || '(no title)'}`,
+                [card.href, card.imageUrl, card.status].filter(Boolean).join('\n'), note, card.fragment, false));
+        });
+        if (result.cards.length < result.cardCount) {
+            const more = document.createElement('p');
+            more.className = 'form-help';
+            more.textContent = `…and ${result.cardCount - result.cards.length} more cards`;
+            container.appendChild(more);
+        }
+        return;
+    }
+
+    result.fields.forEach(field => {
+        const note = field.source && field.source !== 'profile' ? `via ${field.source}` : '';
+        container.appendChild(playgroundRow(field.field, field.display, note, field.fragment, field.empty));
+    });
+}
+
+// ============================================================================
+// Collapsible Sections
+// ============================================================================
+
+/**
+ * Setup collapsible section handlers
+ */
+export function setupCollapsibles() {
+    const collapsibles = document.querySelectorAll('.collapsible-header');
+
+    collapsibles.forEach(header => {
+        header.addEventListener('click', () => {
+            const content = header.nextElementSibling;
+            const icon = header.querySelector('.collapsible-icon');
+
+            if (content && content.classList.contains('collapsible-content')) {
+                const isExpanded = content.classList.contains('expanded');
+
+                if (isExpanded) {
+                    content.classList.remove('expanded');
+                    if (icon) icon.textContent = '▼';
+                } else {
+                    content.classList.add('expanded');
+                    if (icon) icon.textContent = '▲';
+                }
+            }
+        });
+    });
+}
+
+// ============================================================================
+// Theme Toggle
+// ============================================================================
+
+/**
+ * Toggle theme between dark and light
+ */
+export function toggleTheme() {
+    const html = document.documentElement;
+    const currentTheme = html.getAttribute('data-theme') || 'dark';
+    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+    html.setAttribute('data-theme', newTheme);
+    localStorage.setItem('theme', newTheme);
+
+    // Update theme toggle button icon
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+        themeToggle.textContent = newTheme === 'dark' ? '☀️' : '🌙';
+    }
+
+    return newTheme;
+}
+
+/**
+ * Initialize theme from localStorage or system preference
+ */
+export function initTheme() {
+    const savedTheme = localStorage.getItem('theme');
+    const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = savedTheme || (systemPrefersDark ? 'dark' : 'light');
+
+    document.documentElement.setAttribute('data-theme', theme);
+
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+        themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
+    }
+
+    return theme;
+}
+
+// ============================================================================
+// Bottom Navigation
+// ============================================================================
+
+/**
+ * Setup bottom navigation
+ */
+export function setupBottomNav() {
+    const navItems = document.querySelectorAll('.nav-item');
+
+    navItems.forEach(item => {
+        item.addEventListener('click', () => {
+            // Remove active from all
+            navItems.forEach(nav => nav.classList.remove('active'));
+
+            // Add active to clicked
+            item.classList.add('active');
+
+            // Get view name
+            const view = item.getAttribute('data-view');
+
+            // Show corresponding view (implement view switching logic)
+            switchView(view);
+        });
+    });
+}
+
+function switchView(viewName) {
+    // Hide all views
+    const views = document.querySelectorAll('.view');
+    views.forEach(view => {
+        view.classList.add('hidden');
+    });
+
+    // Show selected view
+    const selectedView = document.getElementById(`${viewName}View`);
+    if (selectedView) {
+        selectedView.classList.remove('hidden');
+    }
+
+    showToast(`Switched to ${viewName} view`, 'info', 1500);
+}
+
+// ============================================================================
+// FAB (Floating Action Button)
+// ============================================================================
+
+/**
+ * Update FAB state
+ */
+export function updateFAB(isRunning) {
+    const fab = document.getElementById('fab');
+    const fabIcon = document.getElementById('fabIcon');
+
+    if (!fab || !fabIcon) return;
+
+    if (isRunning) {
+        fab.classList.add('active');
+        fabIcon.textContent = '⏹️';
+        fab.setAttribute('aria-label', 'Stop scraping');
+    } else {
+        fab.classList.remove('active');
+        fabIcon.textContent = '▶️';
+        fab.setAttribute('aria-label', 'Start scraping');
+    }
+}
+
+// ============================================================================
+// Mode Tabs
+// ============================================================================
+
+/**
+ * Setup mode tabs (Page Range / Custom Links)
+ */
+export function setupModeTabs() {
+    const tabs = document.querySelectorAll('.mode-tab');
+    const pageRangeControls = document.getElementById('pageRangeControls');
+    const customLinksControls = document.getElementById('customLinksControls');
+    const sitemapControls = document.getElementById('sitemapControls');
+    const searchControls = document.getElementById('searchControls');
+
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            // Remove active from all tabs
+            tabs.forEach(t => t.classList.remove('active'));
+
+            // Add active to clicked tab
+            tab.classList.add('active');
+
+            // Get mode
+            const mode = tab.getAttribute('data-mode');
+
+            // Show/hide controls
+            if (pageRangeControls) pageRangeControls.classList.toggle('hidden', mode !== 'page-range');
+            if (customLinksControls) customLinksControls.classList.toggle('hidden', mode !== 'custom-links');
+            if (sitemapControls) sitemapControls.classList.toggle('hidden', mode !== 'sitemap');
+            if (searchControls) searchControls.classList.toggle('hidden', mode !== 'search');
+        });
+    });
+}
+
+// ============================================================================
+// Running Time Display
+// ============================================================================
+
+let runningTimeInterval = null;
+let startTime = null;
+
+/**
+ * Start running time counter
+ */
+export function startRunningTimer() {
+    startTime = Date.now();
+
+    runningTimeInterval = setInterval(() => {
+        const elapsed = Date.now() - startTime;
+        const formatted = formatTime(elapsed);
+
+        const runningTimeEl = document.getElementById('runningTime');
+        if (runningTimeEl) {
+            runningTimeEl.textContent = formatted;
+        }
+    }, 1000);
+}
+
+/**
+ * Stop running time counter
+ */
+export function stopRunningTimer() {
+    if (runningTimeInterval) {
+        clearInterval(runningTimeInterval);
+        runningTimeInterval = null;
+    }
+}
+
+/**
+ * Reset running time
+ */
+export function resetRunningTimer() {
+    stopRunningTimer();
+    startTime = null;
+
+    const runningTimeEl = document.getElementById('runningTime');
+    if (runningTimeEl) {
+        runningTimeEl.textContent = '00:00:00';
+    }
+}
+
+function formatTime(ms) {
+    if (ms < 0) ms = 0;
+    const seconds = Math.floor(ms / 1000);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+}
+
+function pad(num) {
+    return num.toString().padStart(2, '0');
+}
+
+// ============================================================================
+// PWA Install Prompt
+// ============================================================================
+
+let deferredPrompt = null;
+
+/**
+ * Setup PWA install prompt
+ */
+export function setupPWAInstall() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        deferredPrompt = e;
+
+        // Show install button
+        const installBtn = document.getElementById('installBtn');
+        if (installBtn) {
+            installBtn.classList.remove('hidden');
+        }
+    });
+
+    // Handle install button click
+    const installBtn = document.getElementById('installBtn');
+    if (installBtn) {
+        installBtn.addEventListener('click', async () => {
+            if (deferredPrompt) {
+                deferredPrompt.prompt();
+                const { outcome } = await deferredPrompt.userChoice;
+
+                if (outcome === 'accepted') {
+                    showToast('App installed successfully!', 'success');
+                } else {
+                    showToast('Installation cancelled', 'info');
+                }
+
+                deferredPrompt = null;
+                installBtn.classList.add('hidden');
+            }
+        });
+    }
+}
+
+export default {
+    showToast,
+    updateProgress,
+    updateStatus,
+    updateJsonViewer,
+    renderExtractionReport,
+    renderPlaygroundResult,
+    showScheduleInputs,
+    renderScheduledJobs,
+    setupCollapsibles,
+    toggleTheme,
+    initTheme,
+    setupBottomNav,
+    updateFAB,
+    setupModeTabs,
+    startRunningTimer,
+    stopRunningTimer,
+    resetRunningTimer,
+    setupPWAInstall
+};
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+// Mobile Scraper CLI
+// Runs the app's scrape engine (js/engine.js) from a terminal or cron:
+// scrapes listing pages, post links or sitemaps into JSON files and merges
+// or exports JSON files with the app's duplicate handling.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const USAGE = `Usage: mobile-scraper <command> [options]
+
+Commands:
+  scrape pages <url> [--from N] [--to N]   Scrape listing pages (all pages when --to is left out)
+  scrape links <file>                      Scrape the post URLs listed in a file (one per line)
+  scrape sitemap <url>                     Scrape the posts listed in a sitemap
+  merge <existing.json> <new.json...>      Merge records into an existing JSON file
+  export <file.json>                       Filter a JSON file for export
+
+Scrape options:
+  --existing <file>     Records already scraped: duplicates are merged into them
+  --new-only            Write only the new records (default: existing + new)
+  --reverse             Scrape pages from the last to the first (pages)
+  --pagination <type>   auto, query, path, template or next-link (pages)
+  --incremental         Stop after a run of already known posts (pages)
+  --stop-after <N>      Known posts in a row that end an incremental run (pages)
+  --pattern <text>      URL filter, * as wildcard or "re:" + regex (sitemap)
+  --lastmod-from <date> Only posts modified on or after this date (sitemap)
+  --lastmod-to <date>   Only posts modified on or before this date (sitemap)
+  --skip-known          Skip posts already in --existing (sitemap)
+  --proxy <url>         Fetch through a running proxy instead of fetching directly
+
+Export options:
+  --links <filter>      all, dead, healthy or unchecked
+  --exclude-dead        Leave out download links found dead by a link check
+
+Common options:
+  --out <file>          Write the JSON here (default: standard output)
+  --settings <file>     App settings as JSON (siteProfiles, mergePolicies, duplicateMatching,
+                        idScheme, concurrency, delayBetweenRequests, ...)
+  --quiet               Only print warnings and errors
+  --help                Show this help
+`;
+
+// Options that take no value
+const FLAGS = ['new-only', 'reverse', 'incremental', 'skip-known', 'exclude-dead', 'quiet', 'help'];
+
+const NOTICE_ICONS = { success: '✅', info: 'ℹ️ ', warning: '⚠️ ', error: '❌' };
+
+/**
+ * Split command line arguments into positionals (_) and --options
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            args[name] = inline;
+        } else if (FLAGS.includes(name)) {
+            args[name] = true;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[name] = argv[++i];
+        } else {
+            throw new Error(`--${name} needs a value`);
+        }
+    }
+
+    return args;
+}
+
+function parsePageNumber(value, name) {
+    if (value === undefined) return null;
+    const page = parseInt(value);
+    if (!page || page < 1) throw new Error(`--${name} must be a page number`);
+    return page;
+}
+
+// ============================================================================
+// Files
+// ============================================================================
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Records of a JSON file (an array, like the app's exports)
+ */
+function readRecords(file) {
+    const data = readJSON(file);
+    if (!Array.isArray(data)) {
+        throw new Error(`Invalid JSON format in ${file}: expected an array`);
+    }
+    return data;
+}
+
+/**
+ * Write records as the app exports them, to a file or standard output
+ */
+function writeRecords(records, out) {
+    const json = JSON.stringify(records, null, 2);
+
+    if (!out) {
+        process.stdout.write(`${json}\n`);
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(`${out}.tmp`, json);
+    fs.renameSync(`${out}.tmp`, out);
+    console.error(`💾 Saved ${records.length} records to ${out}`);
+}
+
+// ============================================================================
+// Proxy
+// ============================================================================
+
+/**
+ * Serve the proxy endpoint on a free local port for the length of a run
+ * (the scraper fetches every page through a proxy). Resolves to
+ * { url, close }.
+ */
+function startLocalProxy() {
+    const { fetchForProxy } = require('./proxy');
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            let status = 200;
+            let payload;
+            try {
+                payload = await fetchForProxy(JSON.parse(body).url);
+            } catch (error) {
+                status = 500;
+                payload = { success: false, error: error.message };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/api/proxy`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Engine job of a scrape command, shaped like the app's jobs
+ */
+function buildJob(type, target, args) {
+    if (!target) throw new Error(`scrape ${type || '<pages|links|sitemap>'} needs a URL or file`);
+
+    if (type === 'pages') {
+        const from = parsePageNumber(args.from, 'from') || 1;
+        const to = parsePageNumber(args.to, 'to');
+        if (to && to < from) throw new Error('--to must not be before --from');
+
+        return {
+            mode: 'page-range',
+            websiteUrl: target,
+            startPage: from,
+            endPage: to,
+            direction: args.reverse ? 'end-to-start' : 'start-to-end',
+            pagination: args.pagination ? { strategy: args.pagination } : undefined,
+            incrementalMode: Boolean(args.incremental),
+            stopAfterKnown: parseInt(args['stop-after']) || undefined
+        };
+    }
+
+    if (type === 'links') {
+        const customLinks = fs.readFileSync(target, 'utf8').trim();
+        if (!customLinks) throw new Error(`${target} lists no links`);
+        return { mode: 'custom-links', customLinks };
+    }
+
+    if (type === 'sitemap') {
+        return {
+            mode: 'sitemap',
+            sitemapUrl: target,
+            urlPattern: args.pattern || '',
+            lastmodFrom: args['lastmod-from'] || '',
+            lastmodTo: args['lastmod-to'] || '',
+            skipKnown: Boolean(args['skip-known'])
+        };
+    }
+
+    throw new Error(`Unknown scrape type "${type}" (use pages, links or sitemap)`);
+}
+
+async function scrapeCommand(args, settings) {
+    const [, type, target] = args._;
+    const job = { ...buildJob(type, target, args), runId: new Date().toISOString() };
+    const existingData = args.existing && fs.existsSync(args.existing) ? readRecords(args.existing) : [];
+
+    const Engine = await import('../js/engine.js');
+    const proxy = args.proxy ? null : await startLocalProxy();
+
+    let stopRequested = false;
+    const onInterrupt = () => {
+        console.error('⏹️  Stopping after the current requests...');
+        stopRequested = true;
+    };
+    process.once('SIGINT', onInterrupt);
+
+    let duplicates = 0;
+    let updated = 0;
+    const scrapedData = [...existingData];
+    const newScrapedData = [];
+
+    console.error(`🚀 Scraping ${target} (${existingData.length} existing records)`);
+
+    try {
+        const result = await Engine.runScrapeJob(job, {
+            settings: { ...settings, proxyUrl: args.proxy || proxy.url },
+            existingData,
+            scrapedData,
+            newScrapedData,
+            shouldStop: () => stopRequested,
+            emit: (type, data) => {
+                if (type === Engine.ENGINE_MESSAGES.ITEM && data.event.isDuplicate) {
+                    duplicates++;
+                    if (data.event.isUpdated) updated++;
+                } else if (data.notice) {
+                    printNotice(data.notice, args.quiet);
+                }
+            }
+        });
+
+        result.log.forEach(entry => printNotice({ ...entry, message: `[${entry.host}] ${entry.message}` }, args.quiet));
+        console.error(`${result.stopped ? '⏹️  Stopped' : '✅ Done'}: ${newScrapedData.length} new, ` +
+            `${updated} updated, ${duplicates - updated} unchanged duplicates`);
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+        if (proxy) await proxy.close();
+    }
+
+    // Duplicates were merged into the existing records during the run
+    writeRecords(args['new-only'] ? newScrapedData : scrapedData, args.out);
+}
+
+/**
+ * Merge the records of other JSON files into an existing one. Duplicates
+ * are found and merged field by field like during a scrape; new records
+ * get IDs from the existing file's sequence.
+ */
+async function mergeCommand(args, settings) {
+    const [, existingFile, ...newFiles] = args._;
+    if (!existingFile || newFiles.length === 0) {
+        throw new Error('merge needs an existing JSON file and at least one JSON file to merge into it');
+    }
+
+    const { createDuplicateIndex } = await import('../js/duplicates.js');
+    const { mergeRecords } = await import('../js/merge.js');
+    const { createIdAllocator, ID_SCHEMES } = await import('../js/ids.js');
+
+    const records = fs.existsSync(existingFile) ? readRecords(existingFile) : [];
+    const duplicateIndex = createDuplicateIndex(records, settings.duplicateMatching || {});
+    const idAllocator = createIdAllocator({ scheme: settings.idScheme || ID_SCHEMES.SERIAL, records });
+    let added = 0;
+    let updated = 0;
+    let unchanged = 0;
+
+    for (const file of newFiles) {
+        for (const fresh of readRecords(file)) {
+            const match = duplicateIndex.find(fresh);
+
+            if (match) {
+                const { record, changes } = mergeRecords(match.record, fresh, settings.mergePolicies || {});
+                if (changes.length > 0) {
+                    duplicateIndex.remove(match.record);
+                    Object.assign(match.record, record);
+                    duplicateIndex.add(match.record);
+                    updated++;
+                    printNotice({ type: 'info', message: `Updated: ${fresh.title} (${changes.map(change => change.field).join(', ')})` }, args.quiet);
+                } else {
+                    unchanged++;
+                }
+                continue;
+            }
+
+            const record = { ...fresh, id: await idAllocator.allocate(fresh) };
+            records.push(record);
+            duplicateIndex.add(record);
+            added++;
+        }
+    }
+
+    console.error(`✅ Merged: ${added} new, ${updated} updated, ${unchanged} unchanged duplicates`);
+    writeRecords(records, args.out || existingFile);
+}
+
+/**
+ * Filter a JSON file the way the app's Copy / Save / Share buttons do
+ */
+async function exportCommand(args) {
+    const [, file] = args._;
+    if (!file) throw new Error('export needs a JSON file');
+
+    const LinkHealth = await import('../js/link-health.js');
+    const filter = args.links || LinkHealth.LINK_FILTERS.ALL;
+    if (!Object.values(LinkHealth.LINK_FILTERS).includes(filter)) {
+        throw new Error(`Unknown --links filter "${filter}" (use ${Object.values(LinkHealth.LINK_FILTERS).join(', ')})`);
+    }
+
+    const records = LinkHealth.filterRecordsByLinkStatus(readRecords(file), filter);
+    writeRecords(args['exclude-dead'] ? LinkHealth.excludeDeadQualities(records) : records, args.out);
+}
+
+function printNotice(notice, quiet) {
+    if (quiet && (notice.type === 'info' || notice.type === 'success')) return;
+    console.error(`${NOTICE_ICONS[notice.type] || ''} ${notice.message}`);
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = args._[0];
+
+    if (args.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const settings = args.settings ? readJSON(args.settings) : {};
+
+    // DOM adapter: js/scraper.js parses HTML with the browser's DOMParser,
+    // which Node does not have; the app's own parser answers the same queries
+    const { setHTMLParser, parseHTMLDocument } = await import('../js/html-parser.js');
+    setHTMLParser(parseHTMLDocument);
+
+    const { setCustomProfiles } = await import('../js/profiles.js');
+    setCustomProfiles(settings.siteProfiles || []);
+
+    if (command === 'scrape') await scrapeCommand(args, settings);
+    else if (command === 'merge') await mergeCommand(args, settings);
+    else if (command === 'export') await exportCommand(args);
+    else throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
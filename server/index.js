@@ -1,64 +1,137 @@
-const express = require('express');
-const cors = require('cors');
-const fetch = require('node-fetch');
-const path = require('path');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Serve static files from the parent directory (Mobile Tools root)
-app.use(express.static(path.join(__dirname, '../')));
-
-// Health check
-app.get('/health', (req, res) => res.status(200).json({ status: 'OK' }));
-
-// CORS Proxy endpoint
-app.post('/api/proxy', async (req, res) => {
-    try {
-        const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
-
-        console.log(`📡 [Proxy] Requesting: ${url}`);
-
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
-            },
-            timeout: 30000, // 30 seconds
-            follow: 20
-        });
-
-        const html = await response.text();
-
-        res.json({
-            success: true,
-            html: html,
-            finalUrl: response.url,
-            status: response.status
-        });
-
-    } catch (error) {
-        console.error('❌ [Proxy] Error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
-
-app.listen(PORT, () => {
-    console.log('\n========================================');
-    console.log('🚀 MOBILE SCRAPER PROXY IS RUNNING');
-    console.log(`🌐 Local:   http://localhost:${PORT}`);
-    console.log(`🔌 API:     http://localhost:${PORT}/api/proxy`);
-    console.log('========================================\n');
-    console.log('💡 TIP: To access from mobile, use your PC IP address');
-    console.log('💡 RUN: `ipconfig` to find your IPv4 Address\n');
-});
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const fs = require('fs');
+const { fetchForProxy } = require('./proxy');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Serve static files from the parent directory (Mobile Tools root)
+app.use(express.static(path.join(__dirname, '../')));
+
+// Health check
+app.get('/health', (req, res) => res.status(200).json({ status: 'OK' }));
+
+// CORS Proxy endpoint
+app.post('/api/proxy', async (req, res) => {
+    try {
+        const { url } = req.body;
+
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+
+        console.log(`📡 [Proxy] Requesting: ${url}`);
+
+        res.json(await fetchForProxy(url));
+    } catch (error) {
+        console.error('❌ [Proxy] Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============================================================================
+// Scheduled Jobs
+// ============================================================================
+// Jobs listed in scheduled-jobs.json run on a timer through the app's own
+// scrape engine (js/schedules.js). Each job keeps its records in
+// data/<job id>.json; run times and results are kept in data/schedule-state.json.
+
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || path.join(__dirname, 'scheduled-jobs.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STATE_FILE = path.join(DATA_DIR, 'schedule-state.json');
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+let schedulerBusy = false;
+
+function readJSON(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`❌ [Scheduler] Cannot read ${file}:`, error.message);
+        return fallback;
+    }
+}
+
+function writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+async function runScheduledJobs() {
+    const config = readJSON(SCHEDULE_FILE, { jobs: [] });
+    if (schedulerBusy || !(config.jobs || []).length) return;
+    schedulerBusy = true;
+
+    try {
+        const Schedules = await import('../js/schedules.js');
+        const runState = readJSON(STATE_FILE, {});
+        const settings = { proxyUrl: `http://localhost:${PORT}/api/proxy`, ...config.settings };
+        const entries = [];
+
+        config.jobs.forEach(job => {
+            try {
+                // A new or edited schedule starts at its next slot
+                const cron = Schedules.scheduleToCron(job.schedule);
+                if (runState[job.id]?.cron !== cron) {
+                    runState[job.id] = { cron, nextRunAt: Schedules.getNextRunTime(job.schedule).toISOString() };
+                }
+                entries.push({ enabled: true, name: job.id, ...job, ...runState[job.id] });
+            } catch (error) {
+                console.error(`❌ [Scheduler] Job "${job.id}" has an invalid schedule:`, error.message);
+            }
+        });
+        writeJSON(STATE_FILE, runState);
+
+        for (const entry of Schedules.getDueJobs(entries)) {
+            const dataFile = path.join(DATA_DIR, `${entry.id}.json`);
+            const records = readJSON(dataFile, []);
+            console.log(`⏰ [Scheduler] Running "${entry.name}" (${records.length} stored records)`);
+
+            let summary;
+            try {
+                summary = await Schedules.runScheduledJob(entry, { settings, existingData: records });
+
+                const byId = new Map(records.map(record => [record.id, record]));
+                [...summary.updatedRecords, ...summary.newRecords].forEach(record => byId.set(record.id, record));
+                writeJSON(dataFile, [...byId.values()]);
+
+                console.log(`✅ [Scheduler] "${entry.name}": ${summary.newRecords.length} new, ` +
+                    `${summary.updatedRecords.length} updated, saved to ${dataFile}`);
+            } catch (error) {
+                summary = { error: error.message };
+                console.error(`❌ [Scheduler] "${entry.name}" failed:`, error.message);
+            }
+
+            const { nextRunAt, lastRunAt, lastResult } = Schedules.recordScheduledRun(entry, summary);
+            runState[entry.id] = { ...runState[entry.id], nextRunAt, lastRunAt, lastResult };
+            writeJSON(STATE_FILE, runState);
+        }
+    } catch (error) {
+        console.error('❌ [Scheduler] Error:', error.message);
+    } finally {
+        schedulerBusy = false;
+    }
+}
+
+app.listen(PORT, () => {
+    console.log('\n========================================');
+    console.log('🚀 MOBILE SCRAPER PROXY IS RUNNING');
+    console.log(`🌐 Local:   http://localhost:${PORT}`);
+    console.log(`🔌 API:     http://localhost:${PORT}/api/proxy`);
+    console.log('========================================\n');
+    console.log('💡 TIP: To access from mobile, use your PC IP address');
+    console.log('💡 RUN: `ipconfig` to find your IPv4 Address\n');
+
+    runScheduledJobs();
+    setInterval(runScheduledJobs, SCHEDULE_CHECK_INTERVAL);
+});
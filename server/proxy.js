@@ -0,0 +1,49 @@
+const fetch = require('node-fetch');
+const zlib = require('zlib');
+
+// Mobile browser User-Agent plus the scraper's product token, which robots.txt
+// rules are evaluated for (ROBOTS_USER_AGENT in js/politeness.js)
+const USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1 MobileScraper/1.0';
+
+/**
+ * Fetch a page for the scraper and return the proxy response body
+ * ({ success, html, finalUrl, status, contentType, retryAfter }).
+ * Used by the /api/proxy endpoint and by the CLI.
+ */
+async function fetchForProxy(url) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': USER_AGENT
+        },
+        timeout: 30000, // 30 seconds
+        follow: 20
+    });
+
+    // Gzip files (e.g. sitemap.xml.gz) are returned decompressed
+    const contentType = response.headers.get('content-type') || '';
+    const isGzip = /gzip/i.test(contentType) || /\.gz(\?|$)/i.test(response.url);
+
+    // Files reached by download links are not downloaded, only reported
+    const isText = !contentType || /html|xml|text|json|javascript/i.test(contentType);
+    let html = '';
+    if (isGzip) {
+        const buffer = await response.buffer();
+        const compressed = buffer[0] === 0x1f && buffer[1] === 0x8b;
+        html = (compressed ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+    } else if (isText) {
+        html = await response.text();
+    } else if (response.body) {
+        response.body.destroy();
+    }
+
+    return {
+        success: true,
+        html: html,
+        finalUrl: response.url,
+        status: response.status,
+        contentType: contentType,
+        retryAfter: response.headers.get('retry-after')
+    };
+}
+
+module.exports = { fetchForProxy };
@@ -0,0 +1,27 @@
+// Mobile Tools - Service Worker (module)
+// The service worker plus scheduled jobs, which import the scrape engine.
+// Registered instead of service-worker.js where module service workers are supported.
+
+import './service-worker.js';
+import { runDueScheduledJobs, PERIODIC_SYNC_TAG } from './js/schedules.js';
+
+// Periodic Background Sync (scheduled jobs while the app is closed)
+self.addEventListener('periodicsync', (event) => {
+    console.log('[SW] Periodic sync:', event.tag);
+
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(
+            runDueScheduledJobs()
+                .then((count) => {
+                    if (count === 0) return;
+                    // Open windows reload their records and schedule list
+                    return self.clients.matchAll({ type: 'window' }).then((windows) => {
+                        windows.forEach((client) => client.postMessage({ type: 'SCHEDULED_JOBS_RAN', count }));
+                    });
+                })
+                .catch((err) => {
+                    console.error('[SW] Scheduled jobs failed:', err);
+                })
+        );
+    }
+});